@@ -0,0 +1,253 @@
+// Pixel Lens service worker. Cache names are shared with src/offline.js.
+// v2 drops API caches that may hold listings fetched in admin mode, v3 image
+// caches that may hold opaque error responses.
+const CACHE_VERSION = "v3";
+const SHELL_CACHE = `pixel-lens-shell-${CACHE_VERSION}`;
+const API_CACHE = `pixel-lens-api-${CACHE_VERSION}`;
+const IMAGE_CACHE = `pixel-lens-images-${CACHE_VERSION}`;
+const PINNED_CACHE = "pixel-lens-pinned";
+const CURRENT_CACHES = [SHELL_CACHE, API_CACHE, IMAGE_CACHE, PINNED_CACHE];
+
+const SHELL_URLS = [
+  "/",
+  "/manifest.webmanifest",
+  "/camera-icon.svg",
+  "/basemap/land-110m.json",
+];
+const MAX_CACHED_IMAGES = 500;
+const MAX_CACHED_API_RESPONSES = 200;
+// Set by the API on responses to a signed-in owner. Those can include hidden
+// photos, so they are never kept for offline use.
+const ADMIN_RESPONSE_HEADER = "X-Pixel-Lens-Admin";
+const UNCACHED_API_PATHS = [
+  /^\/api\/favorites\//,
+  /^\/api\/uploads/,
+  /^\/api\/admin\//,
+  /^\/api\/images\/.+\/download$/,
+];
+
+// Registered as `/sw.js?mode=downloads` in development: nothing is cached and
+// only streamed downloads are answered.
+const DOWNLOADS_ONLY =
+  new URL(self.location).searchParams.get("mode") === "downloads";
+
+// ZIP downloads streamed from the page, keyed by their /downloads/ path. Each
+// holds the MessagePort the page writes chunks to.
+const pendingDownloads = new Map();
+
+// Presigned URLs change their query string on every signing, so images are
+// cached under the URL without it, which identifies the object key.
+const getImageCacheKey = (url) => {
+  const parsed = new URL(url);
+  return parsed.origin + parsed.pathname;
+};
+
+// The built index.html references hashed bundles, so they are discovered from
+// the page itself rather than listed here.
+const precacheShell = async () => {
+  const cache = await caches.open(SHELL_CACHE);
+  const response = await fetch("/", { cache: "no-cache" });
+  const html = await response.clone().text();
+  const assetUrls = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(
+    (match) => match[1]
+  );
+
+  await cache.put("/", response);
+  await cache.addAll([...SHELL_URLS.slice(1), ...assetUrls]);
+};
+
+// Cache keys come back in insertion order, so the oldest entries go first.
+const trimCache = async (cacheName, maxEntries) => {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(
+    keys
+      .slice(0, Math.max(0, keys.length - maxEntries))
+      .map((key) => cache.delete(key))
+  );
+};
+
+const networkFirst = async (
+  event,
+  cacheName,
+  cacheKey = event.request,
+  maxEntries = null
+) => {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(event.request);
+    if (response.ok && !response.headers.has(ADMIN_RESPONSE_HEADER)) {
+      event.waitUntil(
+        cache
+          .put(cacheKey, response.clone())
+          .then(() => maxEntries && trimCache(cacheName, maxEntries))
+      );
+    }
+    return response;
+  } catch (error) {
+    const cachedResponse = await cache.match(cacheKey);
+    if (cachedResponse) return cachedResponse;
+    throw error;
+  }
+};
+
+const staleWhileRevalidate = async (event) => {
+  const cache = await caches.open(SHELL_CACHE);
+  const cachedResponse = await cache.match(event.request);
+  const update = fetch(event.request).then((response) => {
+    if (response.ok) cache.put(event.request, response.clone());
+    return response;
+  });
+
+  if (cachedResponse) {
+    event.waitUntil(update.catch(() => {}));
+    return cachedResponse;
+  }
+  return update;
+};
+
+// Images are fetched again in CORS mode so their status can be checked. An
+// opaque response might be an expired-signature 403 or a passing 5xx, which
+// would then be served for that photo, and each one counts against the quota
+// at a heavily padded size. A bucket without CORS rules still gets its images
+// shown, just not cached.
+const cacheFirstImage = async (event) => {
+  const cacheKey = getImageCacheKey(event.request.url);
+  const cachedResponse = await caches.match(cacheKey);
+  if (cachedResponse) return cachedResponse;
+
+  let response;
+  try {
+    response = await fetch(event.request.url, { mode: "cors" });
+  } catch {
+    return fetch(event.request);
+  }
+  if (response.ok) {
+    event.waitUntil(
+      caches
+        .open(IMAGE_CACHE)
+        .then((cache) => cache.put(cacheKey, response.clone()))
+        .then(() => trimCache(IMAGE_CACHE, MAX_CACHED_IMAGES))
+    );
+  }
+  return response;
+};
+
+// Answers the download URL with a stream fed by the page. Chunks are
+// requested one at a time, so the page never gets ahead of the disk.
+const streamDownload = (pathname) => {
+  const { port, filename } = pendingDownloads.get(pathname);
+  pendingDownloads.delete(pathname);
+
+  const stream = new ReadableStream({
+    start(controller) {
+      port.onmessage = ({ data }) => {
+        if (data.type === "chunk") controller.enqueue(data.chunk);
+        else if (data.type === "end") controller.close();
+        else if (data.type === "abort") {
+          controller.error(new Error("Download cancelled"));
+        }
+      };
+    },
+    pull() {
+      port.postMessage({ type: "pull" });
+    },
+    cancel() {
+      port.postMessage({ type: "cancel" });
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "application/zip",
+      "Content-Disposition": `attachment; filename*=UTF-8''${encodeURIComponent(
+        filename
+      )}`,
+    },
+  });
+};
+
+self.addEventListener("message", (event) => {
+  // Sent by a page that wants to stream a download before this worker has
+  // taken control of it (src/download.js).
+  if (event.data?.type === "claim") {
+    event.waitUntil(self.clients.claim());
+    return;
+  }
+  if (event.data?.type !== "download") return;
+  const [port] = event.ports;
+  pendingDownloads.set(new URL(event.data.url, self.location).pathname, {
+    port,
+    filename: event.data.filename,
+  });
+  port.postMessage({ type: "ready" });
+});
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (DOWNLOADS_ONLY ? Promise.resolve() : precacheShell()).then(() =>
+      self.skipWaiting()
+    )
+  );
+});
+
+// Pinned images outlive cache versions; ones pinned as opaque responses before
+// their status was checked are dropped and count as not saved.
+const dropOpaqueEntries = async (cacheName) => {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(
+    keys.map(async (key) => {
+      const response = await cache.match(key);
+      if (response?.type === "opaque") await cache.delete(key);
+    })
+  );
+};
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter(
+              (name) =>
+                name.startsWith("pixel-lens-") && !CURRENT_CACHES.includes(name)
+            )
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => !DOWNLOADS_ONLY && dropOpaqueEntries(PINNED_CACHE))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || request.headers.has("Range")) return;
+
+  const url = new URL(request.url);
+  const isSameOrigin = url.origin === self.location.origin;
+
+  if (isSameOrigin && pendingDownloads.has(url.pathname)) {
+    event.respondWith(streamDownload(url.pathname));
+  } else if (DOWNLOADS_ONLY) {
+    return;
+  } else if (request.mode === "navigate") {
+    // Navigations to the API are file downloads, not the app shell.
+    if (isSameOrigin && url.pathname.startsWith("/api/")) return;
+    event.respondWith(networkFirst(event, SHELL_CACHE, "/"));
+  } else if (request.destination === "image") {
+    event.respondWith(cacheFirstImage(event));
+  } else if (isSameOrigin && url.pathname.startsWith("/api/")) {
+    if (UNCACHED_API_PATHS.some((pattern) => pattern.test(url.pathname))) {
+      return;
+    }
+    event.respondWith(
+      networkFirst(event, API_CACHE, request, MAX_CACHED_API_RESPONSES)
+    );
+  } else if (isSameOrigin) {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
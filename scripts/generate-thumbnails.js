@@ -0,0 +1,179 @@
+import exifr from "exifr";
+import sharp from "sharp";
+import { loadEnv } from "vite";
+import { createStorageProvider } from "../server/providers/index.js";
+import {
+  THUMBNAIL_PREFIX,
+  THUMBNAIL_WIDTHS,
+  getThumbnailKey,
+  isGalleryImageKey,
+  readPlaceholderIndex,
+  writePlaceholderIndex,
+} from "../server/thumbnails.js";
+
+const PLACEHOLDER_SIZE = 16;
+const INDEX_SAVE_INTERVAL = 50;
+
+// Usage: npm run thumbnails -- [--prefix=trips/] [--force]
+const args = process.argv.slice(2);
+const force = args.includes("--force");
+const prefixArg = args.find((arg) => arg.startsWith("--prefix="));
+const prefix = prefixArg ? prefixArg.slice("--prefix=".length) : "";
+
+const env = loadEnv(process.env.NODE_ENV || "production", process.cwd(), "");
+const provider = createStorageProvider(env);
+
+if (!provider.readObject || !provider.writeObject) {
+  console.error(`The ${provider.name} provider cannot store thumbnails.`);
+  process.exit(1);
+}
+
+const listKeys = async (listPrefix) => {
+  const keys = [];
+  let cursor = null;
+  do {
+    const page = await provider.list(listPrefix, cursor, { limit: 1000 });
+    keys.push(...page.items.map((item) => item.key));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return keys;
+};
+
+const toHex = (value) => value.toString(16).padStart(2, "0");
+
+const readCaptureDate = async (original) => {
+  try {
+    const tags = await exifr.parse(original, [
+      "DateTimeOriginal",
+      "CreateDate",
+    ]);
+    const capturedAt = tags?.DateTimeOriginal || tags?.CreateDate;
+    return capturedAt instanceof Date && !isNaN(capturedAt)
+      ? capturedAt.toISOString()
+      : null;
+  } catch {
+    return null;
+  }
+};
+
+// Rounded to 5 decimals (about a metre), which is plenty for the map view.
+const readLocation = async (original) => {
+  try {
+    const gps = await exifr.gps(original);
+    if (!Number.isFinite(gps?.latitude) || !Number.isFinite(gps?.longitude)) {
+      return null;
+    }
+    return {
+      latitude: Math.round(gps.latitude * 1e5) / 1e5,
+      longitude: Math.round(gps.longitude * 1e5) / 1e5,
+    };
+  } catch {
+    return null;
+  }
+};
+
+const createPlaceholder = async (original) => {
+  const image = sharp(original);
+  const [
+    { width, height, orientation },
+    { dominant },
+    preview,
+    capturedAt,
+    location,
+  ] = await Promise.all([
+    image.metadata(),
+    image.stats(),
+    sharp(original)
+      .rotate()
+      .resize(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE, { fit: "inside" })
+      .webp({ quality: 40 })
+      .toBuffer(),
+    readCaptureDate(original),
+    readLocation(original),
+  ]);
+  // EXIF orientations 5-8 are rotated by 90 degrees.
+  const isRotated = orientation >= 5;
+
+  return {
+    width: isRotated ? height : width,
+    height: isRotated ? width : height,
+    color: `#${toHex(dominant.r)}${toHex(dominant.g)}${toHex(dominant.b)}`,
+    lqip: `data:image/webp;base64,${preview.toString("base64")}`,
+    ...(capturedAt && { capturedAt }),
+    ...(location && { location }),
+  };
+};
+
+// Originals narrower than a thumbnail width are not enlarged, so the actual
+// width of each thumbnail is recorded for the API's srcset widths.
+const generateThumbnails = async (key, { thumbnails, previous }) => {
+  const original = await provider.readObject(key);
+  const placeholder = await createPlaceholder(original);
+  if (!thumbnails) {
+    return previous?.thumbnailWidths
+      ? { ...placeholder, thumbnailWidths: previous.thumbnailWidths }
+      : placeholder;
+  }
+
+  const thumbnailWidths = [];
+  for (const width of THUMBNAIL_WIDTHS) {
+    const { data, info } = await sharp(original)
+      .rotate()
+      .resize({ width, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+    await provider.writeObject(getThumbnailKey(key, width), data, "image/webp");
+    thumbnailWidths.push(info.width);
+  }
+  return { ...placeholder, thumbnailWidths };
+};
+
+const main = async () => {
+  const existing = new Set(force ? [] : await listKeys(THUMBNAIL_PREFIX));
+  const placeholders = await readPlaceholderIndex(provider);
+  const imageKeys = (await listKeys(prefix)).filter(isGalleryImageKey);
+  const hasThumbnails = (key) =>
+    THUMBNAIL_WIDTHS.every((width) =>
+      existing.has(getThumbnailKey(key, width))
+    );
+
+  // Drop placeholders for images that were deleted since the last run.
+  const listed = new Set(imageKeys);
+  Object.keys(placeholders)
+    .filter((key) => key.startsWith(prefix) && !listed.has(key))
+    .forEach((key) => delete placeholders[key]);
+
+  const keys = imageKeys.filter(
+    (key) => force || !hasThumbnails(key) || !placeholders[key]
+  );
+
+  console.log(`Generating thumbnails for ${keys.length} image(s)`);
+
+  let failures = 0;
+  for (const [index, key] of keys.entries()) {
+    try {
+      placeholders[key] = await generateThumbnails(key, {
+        thumbnails: force || !hasThumbnails(key),
+        previous: placeholders[key],
+      });
+      console.log(`[${index + 1}/${keys.length}] ${key}`);
+    } catch (error) {
+      failures += 1;
+      console.error(
+        `[${index + 1}/${keys.length}] Failed ${key}:`,
+        error.message
+      );
+    }
+    if ((index + 1) % INDEX_SAVE_INTERVAL === 0) {
+      await writePlaceholderIndex(provider, placeholders);
+    }
+  }
+
+  await writePlaceholderIndex(provider, placeholders);
+  if (failures > 0) process.exitCode = 1;
+};
+
+main().catch((error) => {
+  console.error("Error generating thumbnails:", error.message);
+  process.exit(1);
+});
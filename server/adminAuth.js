@@ -0,0 +1,105 @@
+import crypto from "node:crypto";
+
+const SESSION_COOKIE = "pixel-lens-admin";
+const SESSION_LIFETIME = 12 * 60 * 60 * 1000;
+// Slows down password guessing without keeping per-client state.
+const LOGIN_FAILURE_DELAY = 1000;
+
+const hash = (value) => crypto.createHash("sha256").update(value).digest();
+
+const parseCookies = (header = "") =>
+  Object.fromEntries(
+    header
+      .split(";")
+      .map((part) => part.trim())
+      .filter(Boolean)
+      .map((part) => {
+        const separator = part.indexOf("=");
+        return separator === -1
+          ? [part, ""]
+          : [part.slice(0, separator), part.slice(separator + 1)];
+      })
+  );
+
+const isSecureRequest = (req) =>
+  !!req.socket?.encrypted ||
+  req.headers["x-forwarded-proto"]?.split(",")[0] === "https";
+
+const serializeCookie = (req, value, maxAge) =>
+  [
+    `${SESSION_COOKIE}=${value}`,
+    "Path=/api",
+    `Max-Age=${maxAge}`,
+    "HttpOnly",
+    "SameSite=Strict",
+    ...(isSecureRequest(req) ? ["Secure"] : []),
+  ].join("; ");
+
+// Cross-site requests can't read the session cookie's responses, but they can
+// still send it with a form post; mutations additionally require the request to
+// come from the gallery's own origin.
+export const isSameOriginRequest = (req) => {
+  const { origin } = req.headers;
+  if (!origin) return true;
+  const host = req.headers["x-forwarded-host"] || req.headers.host;
+  try {
+    return new URL(origin).host === host;
+  } catch {
+    return false;
+  }
+};
+
+// Stateless owner sessions: the cookie holds an expiry time signed with a key
+// derived from the password (or ADMIN_SESSION_SECRET), so changing either
+// signs everyone out. Nothing but the signature ever reaches the browser.
+export const createAdminAuth = ({ password, sessionSecret = null }) => {
+  const secret = sessionSecret || hash(`pixel-lens-admin-session:${password}`);
+
+  const sign = (expiresAt) =>
+    crypto
+      .createHmac("sha256", secret)
+      .update(`admin:${expiresAt}`)
+      .digest("base64url");
+
+  const isAdmin = (req) => {
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (!token) return false;
+    const [expiresAt, signature] = token.split(".");
+    if (!signature || !(Number(expiresAt) > Date.now())) return false;
+    const expected = Buffer.from(sign(expiresAt));
+    const actual = Buffer.from(signature);
+    return (
+      expected.length === actual.length &&
+      crypto.timingSafeEqual(expected, actual)
+    );
+  };
+
+  const checkPassword = async (candidate) => {
+    const matches =
+      typeof candidate === "string" &&
+      crypto.timingSafeEqual(hash(candidate), hash(password));
+    if (!matches) {
+      await new Promise((resolve) => setTimeout(resolve, LOGIN_FAILURE_DELAY));
+    }
+    return matches;
+  };
+
+  const startSession = (req, res) => {
+    const expiresAt = Date.now() + SESSION_LIFETIME;
+    res.setHeader(
+      "Set-Cookie",
+      serializeCookie(
+        req,
+        `${expiresAt}.${sign(expiresAt)}`,
+        SESSION_LIFETIME / 1000
+      )
+    );
+    return { expiresAt };
+  };
+
+  const endSession = (req, res) => {
+    res.setHeader("Set-Cookie", serializeCookie(req, "", 0));
+  };
+
+  return { isAdmin, checkPassword, startSession, endSession };
+};
@@ -0,0 +1,363 @@
+import crypto from "node:crypto";
+import path from "node:path";
+import { getSidecarKey } from "./captions.js";
+import { HttpError } from "./httpError.js";
+import { isNotFoundError } from "./providers/errors.js";
+import {
+  INTERNAL_PREFIX,
+  THUMBNAIL_WIDTHS,
+  getThumbnailKey,
+  readPlaceholderIndex,
+  writePlaceholderIndex,
+} from "./thumbnails.js";
+
+const STATE_KEY = `${INTERNAL_PREFIX}admin/state.json`;
+const LOG_KEY = `${INTERNAL_PREFIX}admin/log.json`;
+const TRASH_PREFIX = `${INTERNAL_PREFIX}trash/`;
+const MAX_LOG_ENTRIES = 500;
+const STATE_CACHE_TTL = 5 * 60 * 1000;
+
+const readJsonObject = async (provider, key, fallback) => {
+  try {
+    return JSON.parse((await provider.readObject(key)).toString("utf8"));
+  } catch (error) {
+    if (isNotFoundError(error)) return fallback;
+    throw error;
+  }
+};
+
+const writeJsonObject = (provider, key, value) =>
+  provider.writeObject(key, JSON.stringify(value), "application/json");
+
+// Hidden keys and chosen album covers. Read errors are passed on rather than
+// treated as "nothing hidden", so a storage hiccup never exposes hidden photos.
+const readAdminState = async (provider) => {
+  if (!provider.readObject) return { hidden: [], covers: {} };
+  const state = await readJsonObject(provider, STATE_KEY, {});
+  return { hidden: state.hidden || [], covers: state.covers || {} };
+};
+
+// A photo and everything stored under its key: the caption sidecar and the
+// generated thumbnails.
+const getRelatedKeys = (key) => [
+  key,
+  getSidecarKey(key),
+  ...THUMBNAIL_WIDTHS.map((width) => getThumbnailKey(key, width)),
+];
+
+const describeCount = (count) => `${count} photo${count !== 1 ? "s" : ""}`;
+
+// Owner changes to the bucket. Every mutation is appended to a log in the
+// storage and can be undone until `undoWindow` ms have passed: deleted photos
+// are moved to a trash prefix and only purged once that window is over, and
+// moves, visibility and cover changes are reversed from what the log recorded.
+export const createAdminStore = ({ provider, undoWindow }) => {
+  let stateCache = null;
+  let queue = Promise.resolve();
+
+  // Mutations read, change and rewrite whole JSON files, so they run one at a
+  // time.
+  const exclusive = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const getState = () => {
+    if (!stateCache || Date.now() - stateCache.timestamp >= STATE_CACHE_TTL) {
+      const state = readAdminState(provider);
+      stateCache = { state, timestamp: Date.now() };
+      state.catch(() => {
+        if (stateCache?.state === state) stateCache = null;
+      });
+    }
+    return stateCache.state;
+  };
+
+  const saveState = async (state) => {
+    await writeJsonObject(provider, STATE_KEY, state);
+    stateCache = { state: Promise.resolve(state), timestamp: Date.now() };
+  };
+
+  const readLog = async () =>
+    (await readJsonObject(provider, LOG_KEY, {})).mutations || [];
+
+  const writeLog = (mutations) =>
+    writeJsonObject(provider, LOG_KEY, {
+      mutations: mutations.slice(0, MAX_LOG_ENTRIES),
+    });
+
+  const record = async (type, summary, details) => {
+    const mutation = {
+      id: details.id || crypto.randomUUID(),
+      type,
+      summary,
+      at: Date.now(),
+      undoneAt: null,
+      ...details,
+    };
+    await writeLog([mutation, ...(await readLog())]);
+    console.log(`Admin: ${summary}`);
+    return mutation;
+  };
+
+  const isUndoable = (mutation) =>
+    !mutation.undoneAt && Date.now() - mutation.at < undoWindow;
+
+  const exists = async (key) => {
+    try {
+      await provider.getMetadata(key);
+      return true;
+    } catch (error) {
+      if (isNotFoundError(error)) return false;
+      throw error;
+    }
+  };
+
+  const ensureAbsent = async (keys) => {
+    for (const key of keys) {
+      if (await exists(key)) {
+        throw new HttpError(409, `${key} already exists`);
+      }
+    }
+  };
+
+  // Copies each object to its new key, then deletes the original. Objects that
+  // don't exist (a photo without a sidecar or thumbnails) are skipped, and the
+  // pairs that were moved are returned.
+  const moveObjects = async (pairs) => {
+    const moved = await Promise.all(
+      pairs.map(async ({ from, to }) => {
+        if (!(await exists(from))) return null;
+        await provider.copyObject(from, to);
+        await provider.deleteObject(from);
+        return { from, to };
+      })
+    );
+    return moved.filter(Boolean);
+  };
+
+  const moveImageObjects = async (moves) => {
+    const objects = [];
+    for (const { from, to } of moves) {
+      const targets = getRelatedKeys(to);
+      objects.push(
+        ...(await moveObjects(
+          getRelatedKeys(from).map((key, index) => ({
+            from: key,
+            to: targets[index],
+          }))
+        ))
+      );
+    }
+    return objects;
+  };
+
+  // Keeps hidden flags, album covers and placeholders attached to moved keys.
+  const renameKeys = async (renames) => {
+    const state = await getState();
+    await saveState({
+      hidden: state.hidden.map((key) => renames.get(key) || key),
+      covers: Object.fromEntries(
+        Object.entries(state.covers).map(([prefix, key]) => [
+          prefix,
+          renames.get(key) || key,
+        ])
+      ),
+    });
+
+    const placeholders = await readPlaceholderIndex(provider);
+    let changed = false;
+    renames.forEach((to, from) => {
+      if (!placeholders[from]) return;
+      placeholders[to] = placeholders[from];
+      delete placeholders[from];
+      changed = true;
+    });
+    if (changed) await writePlaceholderIndex(provider, placeholders);
+  };
+
+  // Permanently removes deleted photos whose undo window has passed.
+  const purgeExpired = async () => {
+    const mutations = await readLog();
+    const expired = mutations.filter(
+      (mutation) =>
+        mutation.type === "delete" &&
+        !mutation.undoneAt &&
+        !mutation.purgedAt &&
+        !isUndoable(mutation)
+    );
+    if (expired.length === 0) return;
+
+    for (const mutation of expired) {
+      await Promise.all(
+        mutation.objects.map(({ to }) =>
+          provider.deleteObject(to).catch((error) => {
+            if (!isNotFoundError(error)) throw error;
+          })
+        )
+      );
+      mutation.purgedAt = Date.now();
+    }
+    await writeLog(mutations);
+  };
+
+  const deleteImages = (keys) =>
+    exclusive(async () => {
+      await purgeExpired();
+      const id = crypto.randomUUID();
+      const objects = [];
+      for (const key of keys) {
+        objects.push(
+          ...(await moveObjects(
+            getRelatedKeys(key).map((relatedKey) => ({
+              from: relatedKey,
+              to: `${TRASH_PREFIX}${id}/${relatedKey}`,
+            }))
+          ))
+        );
+      }
+
+      const deleted = keys.filter((key) =>
+        objects.some((object) => object.from === key)
+      );
+      if (deleted.length === 0) throw new HttpError(404, "Not found");
+      return record("delete", `Deleted ${describeCount(deleted.length)}`, {
+        id,
+        keys: deleted,
+        objects,
+      });
+    });
+
+  const moveImages = (moves) =>
+    exclusive(async () => {
+      await purgeExpired();
+      const destinations = new Set(moves.map(({ to }) => to));
+      if (
+        destinations.size !== moves.length ||
+        moves.some(({ from }) => destinations.has(from))
+      ) {
+        throw new HttpError(400, "Photos must move to distinct new keys");
+      }
+      // Thumbnails and sidecars are checked too, so a move never replaces
+      // another photo's related objects.
+      await ensureAbsent([...destinations].flatMap(getRelatedKeys));
+
+      const objects = await moveImageObjects(moves);
+      const moved = moves.filter(({ from }) =>
+        objects.some((object) => object.from === from)
+      );
+      if (moved.length === 0) throw new HttpError(404, "Not found");
+      await renameKeys(new Map(moved.map(({ from, to }) => [from, to])));
+
+      return record(
+        "move",
+        moved.length === 1
+          ? `Moved ${moved[0].from} to ${moved[0].to}`
+          : `Moved ${describeCount(moved.length)} to ${path.posix.dirname(
+              moved[0].to
+            )}/`,
+        { moves: moved, objects }
+      );
+    });
+
+  const setHidden = (keys, hidden) =>
+    exclusive(async () => {
+      const state = await getState();
+      const current = new Set(state.hidden);
+      const changed = keys.filter((key) => current.has(key) !== hidden);
+      if (changed.length === 0) return null;
+
+      changed.forEach((key) =>
+        hidden ? current.add(key) : current.delete(key)
+      );
+      await saveState({ ...state, hidden: [...current] });
+      return record(
+        hidden ? "hide" : "unhide",
+        `${hidden ? "Hid" : "Unhid"} ${describeCount(changed.length)}`,
+        { keys: changed }
+      );
+    });
+
+  const setCover = (prefix, key) =>
+    exclusive(async () => {
+      if (!key.startsWith(prefix) || !(await exists(key))) {
+        throw new HttpError(400, "The cover must be a photo in the album");
+      }
+      const state = await getState();
+      const previous = state.covers[prefix] || null;
+      await saveState({ ...state, covers: { ...state.covers, [prefix]: key } });
+      return record(
+        "cover",
+        `Set the cover of ${prefix} to ${path.posix.basename(key)}`,
+        { prefix, key, previous }
+      );
+    });
+
+  const undo = (id) =>
+    exclusive(async () => {
+      const mutations = await readLog();
+      const mutation = mutations.find((entry) => entry.id === id);
+      if (!mutation) throw new HttpError(404, "Not found");
+      if (!isUndoable(mutation)) {
+        throw new HttpError(409, "This change can no longer be undone");
+      }
+
+      const state = await getState();
+      if (mutation.type === "delete") {
+        await ensureAbsent(mutation.objects.map(({ from }) => from));
+        await moveObjects(
+          mutation.objects.map(({ from, to }) => ({ from: to, to: from }))
+        );
+      } else if (mutation.type === "move") {
+        await ensureAbsent(mutation.objects.map(({ from }) => from));
+        await moveObjects(
+          mutation.objects.map(({ from, to }) => ({ from: to, to: from }))
+        );
+        await renameKeys(
+          new Map(mutation.moves.map(({ from, to }) => [to, from]))
+        );
+      } else if (mutation.type === "hide" || mutation.type === "unhide") {
+        const hidden = new Set(state.hidden);
+        mutation.keys.forEach((key) =>
+          mutation.type === "hide" ? hidden.delete(key) : hidden.add(key)
+        );
+        await saveState({ ...state, hidden: [...hidden] });
+      } else if (mutation.type === "cover") {
+        const covers = { ...state.covers };
+        if (mutation.previous) covers[mutation.prefix] = mutation.previous;
+        else delete covers[mutation.prefix];
+        await saveState({ ...state, covers });
+      }
+
+      mutation.undoneAt = Date.now();
+      await writeLog(mutations);
+      console.log(`Admin: undid "${mutation.summary}"`);
+      return mutation;
+    });
+
+  // The log as shown to the owner, newest first. Reading it also purges
+  // expired deletions, so the trash empties without a background job.
+  const listMutations = () =>
+    exclusive(async () => {
+      await purgeExpired();
+      return {
+        mutations: (await readLog()).map((mutation) => ({
+          ...mutation,
+          objects: undefined,
+          undoable: isUndoable(mutation),
+        })),
+        undoWindow,
+      };
+    });
+
+  return {
+    getState,
+    deleteImages,
+    moveImages,
+    setHidden,
+    setCover,
+    undo,
+    listMutations,
+  };
+};
@@ -0,0 +1,82 @@
+import { isNotFoundError } from "./providers/errors.js";
+
+const TEXT_FIELDS = ["title", "caption", "alt"];
+
+export const getSidecarKey = (key) => `${key}.json`;
+
+// S3 user metadata must be ASCII, so non-ASCII captions are usually stored
+// URI-encoded.
+const decodeMetadataValue = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+const parseTags = (tags) => {
+  if (Array.isArray(tags)) return tags.map(String).filter(Boolean);
+  if (typeof tags === "string") {
+    return tags
+      .split(",")
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+  }
+  return [];
+};
+
+const pickCaptions = (source) => {
+  const captions = {};
+  TEXT_FIELDS.forEach((field) => {
+    if (typeof source[field] === "string" && source[field].trim()) {
+      captions[field] = source[field].trim();
+    }
+  });
+  const tags = parseTags(source.tags);
+  if (tags.length > 0) captions.tags = tags;
+  return captions;
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Sidecars that aren't a JSON object (`null`, a list, a bare string) count as
+// having no captions, like a missing one.
+const readSidecar = async (provider, key) => {
+  if (!provider.readObject) return {};
+  try {
+    const sidecar = JSON.parse(
+      (await provider.readObject(getSidecarKey(key))).toString("utf8")
+    );
+    if (!isPlainObject(sidecar)) {
+      console.error(`Invalid caption sidecar for ${key}: not a JSON object`);
+      return {};
+    }
+    return sidecar;
+  } catch (error) {
+    if (isNotFoundError(error)) return {};
+    if (error instanceof SyntaxError) {
+      console.error(`Invalid caption sidecar for ${key}:`, error.message);
+      return {};
+    }
+    throw error;
+  }
+};
+
+// Reads title, caption, alt text and tags from the object's user metadata
+// (x-amz-meta-title etc.) and from a `<key>.json` sidecar; the sidecar wins
+// where both set a field. Resolves to null when neither has anything.
+export const readCaptions = async (provider, key) => {
+  const [object, sidecar] = await Promise.all([
+    provider.getMetadata(key),
+    readSidecar(provider, key),
+  ]);
+  const metadata = Object.fromEntries(
+    Object.entries(object.metadata || {}).map(([name, value]) => [
+      name.toLowerCase(),
+      decodeMetadataValue(value),
+    ])
+  );
+  const captions = { ...pickCaptions(metadata), ...pickCaptions(sidecar) };
+  return Object.keys(captions).length > 0 ? captions : null;
+};
@@ -0,0 +1,81 @@
+import http from "node:http";
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  createSharePreviewFromEnv,
+  isSharePreviewRequest,
+} from "./sharePreview.js";
+import { createSigningApiFromEnv } from "./signingApi.js";
+import { createGalleryStorageFromEnv } from "./storage.js";
+
+const DIST_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../dist"
+);
+const PORT = process.env.PORT || 3000;
+
+const MIME_TYPES = {
+  ".html": "text/html",
+  ".js": "text/javascript",
+  ".css": "text/css",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".json": "application/json",
+  ".webmanifest": "application/manifest+json",
+};
+
+const storage = createGalleryStorageFromEnv(process.env);
+const signingApi = createSigningApiFromEnv(process.env, storage);
+const renderSharePreview = createSharePreviewFromEnv(process.env, storage);
+
+const serveSharePreview = async (req, res) => {
+  try {
+    const html = await fsp.readFile(path.join(DIST_DIR, "index.html"), "utf8");
+    res.setHeader("Content-Type", "text/html");
+    res.setHeader("Cache-Control", "no-cache");
+    res.end(await renderSharePreview(req, html));
+  } catch (error) {
+    console.error("Error serving share preview:", error);
+    res.statusCode = 500;
+    res.end();
+  }
+};
+
+const serveStatic = (req, res) => {
+  const { pathname } = new URL(req.url, "http://localhost");
+  let filePath = path.join(DIST_DIR, path.normalize(pathname));
+
+  if (
+    !filePath.startsWith(DIST_DIR) ||
+    !fs.existsSync(filePath) ||
+    fs.statSync(filePath).isDirectory()
+  ) {
+    filePath = path.join(DIST_DIR, "index.html");
+  }
+
+  res.setHeader(
+    "Content-Type",
+    MIME_TYPES[path.extname(filePath)] || "application/octet-stream"
+  );
+  fs.createReadStream(filePath)
+    .on("error", () => {
+      res.statusCode = 500;
+      res.end();
+    })
+    .pipe(res);
+};
+
+http
+  .createServer((req, res) =>
+    signingApi(req, res, () =>
+      isSharePreviewRequest(req)
+        ? serveSharePreview(req, res)
+        : serveStatic(req, res)
+    )
+  )
+  .listen(PORT, () => {
+    console.log(`Pixel Lens listening on http://localhost:${PORT}`);
+  });
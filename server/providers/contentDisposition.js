@@ -0,0 +1,10 @@
+// RFC 6266 header with an ASCII fallback for old clients and an RFC 5987
+// `filename*` that keeps non-ASCII names intact.
+export const getContentDisposition = (type, filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  const encoded = encodeURIComponent(filename).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
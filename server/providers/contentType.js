@@ -0,0 +1,19 @@
+import path from "node:path";
+
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".heic": "image/heic",
+  ".tif": "image/tiff",
+  ".tiff": "image/tiff",
+  ".json": "application/json",
+};
+
+// Served types come from the extension only, never from what an uploader
+// claimed, so a stored file can't turn itself into a page.
+export const getContentType = (key) =>
+  CONTENT_TYPES[path.extname(key).toLowerCase()] || "application/octet-stream";
@@ -0,0 +1,20 @@
+// Mirrors S3's Delimiter semantics for providers that list keys themselves:
+// keys with another delimiter after `prefix` collapse into a common prefix.
+export const groupByDelimiter = (keys, prefix, delimiter) => {
+  if (!delimiter) return { keys, prefixes: [] };
+
+  const directKeys = [];
+  const prefixes = new Set();
+
+  keys.forEach((key) => {
+    const rest = key.slice(prefix.length);
+    const index = rest.indexOf(delimiter);
+    if (index === -1) {
+      directKeys.push(key);
+    } else {
+      prefixes.add(prefix + rest.slice(0, index + delimiter.length));
+    }
+  });
+
+  return { keys: directKeys, prefixes: [...prefixes].sort() };
+};
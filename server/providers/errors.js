@@ -0,0 +1,20 @@
+export class ObjectNotFoundError extends Error {
+  constructor(key) {
+    super(`Object not found: ${key}`);
+    this.name = "ObjectNotFoundError";
+    this.key = key;
+  }
+}
+
+export const isNotFoundError = (error) =>
+  error instanceof ObjectNotFoundError ||
+  error.code === "ENOENT" ||
+  error.name === "NotFound" ||
+  error.name === "NoSuchKey";
+
+// Writes that must not replace an object fail with these: `EEXIST` from the
+// local provider, a failed `If-None-Match` precondition from S3.
+export const isAlreadyExistsError = (error) =>
+  error.code === "EEXIST" ||
+  error.name === "PreconditionFailed" ||
+  error.$metadata?.httpStatusCode === 412;
@@ -0,0 +1,20 @@
+import { createS3Provider } from "./s3.js";
+import { createLocalProvider } from "./local.js";
+import { createManifestProvider } from "./manifest.js";
+
+export const createStorageProvider = (env) => {
+  const providerName = env.STORAGE_PROVIDER || "s3";
+
+  switch (providerName) {
+    case "s3":
+      return createS3Provider(env);
+    case "local":
+      return createLocalProvider({ root: env.LOCAL_STORAGE_DIR || "photos" });
+    case "manifest":
+      return createManifestProvider({
+        manifestPath: env.MANIFEST_PATH || "photos.json",
+      });
+    default:
+      throw new Error(`Unknown STORAGE_PROVIDER: ${providerName}`);
+  }
+};
@@ -0,0 +1,142 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { Writable } from "node:stream";
+import { getContentType } from "./contentType.js";
+import { ObjectNotFoundError } from "./errors.js";
+import { groupByDelimiter } from "./delimiter.js";
+
+const walk = async (dir, root) => {
+  const entries = await fsp.readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(
+    entries.map(async (entry) => {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) return walk(fullPath, root);
+      if (!entry.isFile() || entry.name.startsWith(".")) return [];
+      return [path.relative(root, fullPath).split(path.sep).join("/")];
+    })
+  );
+  return files.flat();
+};
+
+// Serves a directory on disk through the dev server. Keys are paths relative
+// to `root`, and cursors are the last key of the previous page.
+export const createLocalProvider = ({ root, baseUrl = "/api/files" }) => {
+  const rootDir = path.resolve(root);
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new ObjectNotFoundError(key);
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+
+    list: async (prefix = "", cursor, { limit = 1000, delimiter } = {}) => {
+      const { keys, prefixes } = groupByDelimiter(
+        (await walk(rootDir, rootDir))
+          .filter((key) => key.startsWith(prefix))
+          .sort(),
+        prefix,
+        delimiter
+      );
+      const start = cursor ? keys.findIndex((key) => key > cursor) : 0;
+      const pageKeys = start === -1 ? [] : keys.slice(start, start + limit);
+
+      const items = await Promise.all(
+        pageKeys.map(async (key) => {
+          const stats = await fsp.stat(resolveKey(key));
+          return { key, lastModified: stats.mtime, size: stats.size };
+        })
+      );
+
+      const lastKey = pageKeys[pageKeys.length - 1];
+      return {
+        items,
+        prefixes: cursor ? [] : prefixes,
+        nextCursor: lastKey && lastKey !== keys[keys.length - 1] ? lastKey : null,
+      };
+    },
+
+    getUrl: async (key) => ({
+      url: `${baseUrl}/${encodeURIComponent(key)}`,
+      expiresIn: null,
+    }),
+
+    getDownloadUrl: async (key) => ({
+      url: `${baseUrl}/${encodeURIComponent(key)}?download=1`,
+      expiresIn: null,
+    }),
+
+    getMetadata: async (key) => {
+      const stats = await fsp.stat(resolveKey(key));
+      return {
+        key,
+        size: stats.size,
+        contentType: getContentType(key),
+        lastModified: stats.mtime,
+        metadata: {},
+      };
+    },
+
+    getUploadUrl: async (key, contentType) => ({
+      url: `${baseUrl}/${encodeURIComponent(key)}`,
+      method: "PUT",
+      headers: { "Content-Type": contentType },
+    }),
+
+    readObject: (key) => fsp.readFile(resolveKey(key)),
+
+    writeObject: async (key, body) => {
+      const filePath = resolveKey(key);
+      await fsp.mkdir(path.dirname(filePath), { recursive: true });
+      await fsp.writeFile(filePath, body);
+    },
+
+    copyObject: async (sourceKey, key) => {
+      const filePath = resolveKey(key);
+      await fsp.mkdir(path.dirname(filePath), { recursive: true });
+      await fsp.copyFile(resolveKey(sourceKey), filePath);
+    },
+
+    deleteObject: (key) => fsp.rm(resolveKey(key)),
+
+    createReadStream: (key) => fs.createReadStream(resolveKey(key)),
+
+    // Uploads are written to a hidden temp file next to the target and only
+    // linked into place once complete, so a failed transfer leaves no
+    // truncated photo and an existing one is never replaced.
+    createWriteStream: (key) => {
+      const filePath = resolveKey(key);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tempPath = path.join(
+        path.dirname(filePath),
+        `.${path.basename(filePath)}.${crypto.randomUUID()}.part`
+      );
+      const file = fs.createWriteStream(tempPath, { flags: "wx" });
+      const removeTemp = () => fsp.rm(tempPath, { force: true });
+
+      const stream = new Writable({
+        write: (chunk, encoding, callback) => file.write(chunk, callback),
+        final: (callback) => {
+          file.end(() =>
+            fsp
+              .link(tempPath, filePath)
+              .finally(removeTemp)
+              .then(() => callback(), callback)
+          );
+        },
+        destroy: (error, callback) => {
+          file.destroy();
+          removeTemp().then(() => callback(error), callback);
+        },
+      });
+      file.on("error", (error) => stream.destroy(error));
+      return stream;
+    },
+  };
+};
@@ -0,0 +1,74 @@
+import fsp from "node:fs/promises";
+import { ObjectNotFoundError } from "./errors.js";
+import { groupByDelimiter } from "./delimiter.js";
+
+// Reads a static JSON manifest of the form
+// { "images": [{ "key", "url", "lastModified", "size", "metadata" }] }.
+// Cursors are offsets into the sorted image list.
+export const createManifestProvider = ({ manifestPath }) => {
+  let cached = { mtimeMs: 0, images: [] };
+
+  const loadImages = async () => {
+    const stats = await fsp.stat(manifestPath);
+    if (stats.mtimeMs !== cached.mtimeMs) {
+      const manifest = JSON.parse(await fsp.readFile(manifestPath, "utf8"));
+      const images = Array.isArray(manifest) ? manifest : manifest.images || [];
+      cached = {
+        mtimeMs: stats.mtimeMs,
+        images: [...images].sort((a, b) => a.key.localeCompare(b.key)),
+      };
+    }
+    return cached.images;
+  };
+
+  const findImage = async (key) => {
+    const image = (await loadImages()).find((entry) => entry.key === key);
+    if (!image) throw new ObjectNotFoundError(key);
+    return image;
+  };
+
+  return {
+    name: "manifest",
+
+    list: async (prefix = "", cursor, { limit = 1000, delimiter } = {}) => {
+      const images = (await loadImages()).filter((image) =>
+        image.key.startsWith(prefix)
+      );
+      const { keys, prefixes } = groupByDelimiter(
+        images.map((image) => image.key),
+        prefix,
+        delimiter
+      );
+      const directKeys = new Set(keys);
+      const directImages = images.filter((image) => directKeys.has(image.key));
+      const start = parseInt(cursor, 10) || 0;
+      const end = start + limit;
+
+      return {
+        items: directImages.slice(start, end).map((image) => ({
+          key: image.key,
+          lastModified: image.lastModified,
+          size: image.size,
+        })),
+        prefixes: start === 0 ? prefixes : [],
+        nextCursor: end < directImages.length ? String(end) : null,
+      };
+    },
+
+    getUrl: async (key) => {
+      const image = await findImage(key);
+      return { url: image.url, expiresIn: image.expiresIn || null };
+    },
+
+    getMetadata: async (key) => {
+      const image = await findImage(key);
+      return {
+        key,
+        size: image.size,
+        contentType: image.contentType,
+        lastModified: image.lastModified,
+        metadata: image.metadata || {},
+      };
+    },
+  };
+};
@@ -0,0 +1,228 @@
+import {
+  S3Client,
+  ListObjectsV2Command,
+  GetObjectCommand,
+  HeadObjectCommand,
+  PutObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  ListPartsCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { getContentDisposition } from "./contentDisposition.js";
+
+const URL_EXPIRES_IN = 3600;
+
+// Works with any S3-compatible endpoint: AWS, MinIO, Cloudflare R2.
+export const createS3Provider = (env) => {
+  const endpoint =
+    env.S3_ENDPOINT ||
+    (env.ACCOUNT_ID
+      ? `https://${env.ACCOUNT_ID}.r2.cloudflarestorage.com`
+      : undefined);
+
+  const client = new S3Client({
+    region: env.S3_REGION || "auto",
+    endpoint,
+    credentials: {
+      accessKeyId: env.ACCESS_KEY_ID,
+      secretAccessKey: env.SECRET_ACCESS_KEY,
+    },
+    forcePathStyle: true,
+  });
+  const bucket = env.BUCKET_NAME;
+
+  const getMetadata = async (key) => {
+    const response = await client.send(
+      new HeadObjectCommand({ Bucket: bucket, Key: key })
+    );
+    return {
+      key,
+      size: response.ContentLength,
+      contentType: response.ContentType,
+      lastModified: response.LastModified,
+      metadata: response.Metadata || {},
+    };
+  };
+
+  return {
+    name: "s3",
+
+    list: async (prefix, cursor, { limit, delimiter } = {}) => {
+      const response = await client.send(
+        new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix || undefined,
+          Delimiter: delimiter || undefined,
+          MaxKeys: limit,
+          ContinuationToken: cursor || undefined,
+        })
+      );
+
+      return {
+        items: (response.Contents || []).map((object) => ({
+          key: object.Key,
+          lastModified: object.LastModified,
+          size: object.Size,
+        })),
+        prefixes: (response.CommonPrefixes || []).map((entry) => entry.Prefix),
+        nextCursor: response.IsTruncated ? response.NextContinuationToken : null,
+      };
+    },
+
+    getUrl: async (key, { expiresIn = URL_EXPIRES_IN } = {}) => {
+      const command = new GetObjectCommand({ Bucket: bucket, Key: key });
+      const url = await getSignedUrl(client, command, { expiresIn });
+      return { url, expiresIn };
+    },
+
+    // The signed response headers make the browser save the object under its
+    // own file name instead of opening it.
+    getDownloadUrl: async (key) => {
+      const command = new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseContentDisposition: getContentDisposition(
+          "attachment",
+          key.slice(key.lastIndexOf("/") + 1)
+        ),
+      });
+      const url = await getSignedUrl(client, command, {
+        expiresIn: URL_EXPIRES_IN,
+      });
+      return { url, expiresIn: URL_EXPIRES_IN };
+    },
+
+    getMetadata,
+
+    readObject: async (key) => {
+      const response = await client.send(
+        new GetObjectCommand({ Bucket: bucket, Key: key })
+      );
+      return Buffer.from(await response.Body.transformToByteArray());
+    },
+
+    writeObject: async (key, body, contentType) => {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+        })
+      );
+    },
+
+    copyObject: async (sourceKey, key) => {
+      await client.send(
+        new CopyObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          CopySource: `${bucket}/${encodeURIComponent(sourceKey)}`,
+        })
+      );
+    },
+
+    deleteObject: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    // Uploads never replace an existing object: the signed `If-None-Match`
+    // makes the bucket refuse the write if the key was taken meanwhile.
+    getUploadUrl: async (key, contentType) => {
+      const command = new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ContentType: contentType,
+        IfNoneMatch: "*",
+      });
+      const url = await getSignedUrl(client, command, {
+        expiresIn: URL_EXPIRES_IN,
+      });
+      return {
+        url,
+        method: "PUT",
+        headers: { "Content-Type": contentType, "If-None-Match": "*" },
+      };
+    },
+
+    createMultipartUpload: async (key, contentType) => {
+      const response = await client.send(
+        new CreateMultipartUploadCommand({
+          Bucket: bucket,
+          Key: key,
+          ContentType: contentType,
+        })
+      );
+      return { key, uploadId: response.UploadId };
+    },
+
+    getUploadPartUrl: async (key, uploadId, partNumber) => {
+      const command = new UploadPartCommand({
+        Bucket: bucket,
+        Key: key,
+        UploadId: uploadId,
+        PartNumber: partNumber,
+      });
+      const url = await getSignedUrl(client, command, {
+        expiresIn: URL_EXPIRES_IN,
+      });
+      return { url, method: "PUT" };
+    },
+
+    listUploadedParts: async (key, uploadId) => {
+      const parts = [];
+      let marker;
+      do {
+        const response = await client.send(
+          new ListPartsCommand({
+            Bucket: bucket,
+            Key: key,
+            UploadId: uploadId,
+            PartNumberMarker: marker,
+          })
+        );
+        (response.Parts || []).forEach((part) => {
+          parts.push({
+            partNumber: part.PartNumber,
+            etag: part.ETag,
+            size: part.Size,
+          });
+        });
+        marker = response.IsTruncated ? response.NextPartNumberMarker : null;
+      } while (marker);
+      return { parts };
+    },
+
+    completeMultipartUpload: async (key, uploadId, parts) => {
+      await client.send(
+        new CompleteMultipartUploadCommand({
+          Bucket: bucket,
+          Key: key,
+          UploadId: uploadId,
+          IfNoneMatch: "*",
+          MultipartUpload: {
+            Parts: [...parts]
+              .sort((a, b) => a.partNumber - b.partNumber)
+              .map((part) => ({ PartNumber: part.partNumber, ETag: part.etag })),
+          },
+        })
+      );
+      return getMetadata(key);
+    },
+
+    abortMultipartUpload: async (key, uploadId) => {
+      await client.send(
+        new AbortMultipartUploadCommand({
+          Bucket: bucket,
+          Key: key,
+          UploadId: uploadId,
+        })
+      );
+    },
+  };
+};
@@ -0,0 +1,232 @@
+import { readCaptions } from "./captions.js";
+import { isNotFoundError } from "./providers/errors.js";
+import {
+  THUMBNAIL_WIDTHS,
+  getThumbnailKey,
+  isGalleryImageKey,
+} from "./thumbnails.js";
+import { createGalleryStorageFromEnv } from "./storage.js";
+
+const SITE_NAME = "Pixel Lens";
+// The longest lifetime S3 allows for a presigned URL. Link preview services
+// usually copy the image when they first see a link, so this only has to
+// outlast that first fetch and occasional re-scrapes.
+const PREVIEW_URL_EXPIRES_IN = 7 * 24 * 60 * 60;
+const PREVIEW_WIDTH = THUMBNAIL_WIDTHS[THUMBNAIL_WIDTHS.length - 1];
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+const getBaseName = (key) =>
+  key.slice(key.lastIndexOf("/") + 1).replace(/\.[^.]+$/, "");
+
+// Prefers PUBLIC_URL so previews behind a proxy link to the public host.
+const getOrigin = (req, publicUrl) => {
+  if (publicUrl) return publicUrl.replace(/\/$/, "");
+  const protocol =
+    req.headers["x-forwarded-proto"]?.split(",")[0] ||
+    (req.socket?.encrypted ? "https" : "http");
+  const host = req.headers["x-forwarded-host"] || req.headers.host;
+  return `${protocol}://${host}`;
+};
+
+const encodePath = (path) => path.split("/").map(encodeURIComponent).join("/");
+
+// Mirrors the app's photo routes: `/photo/<name>`,
+// `/album/<album>/photo/<name>` and `/favorites/photo/<key>`, plus the legacy
+// `/?image=<key>` links. Returns null for any other URL.
+const getSharedImageKey = (url) => {
+  const { pathname, searchParams } = new URL(url, "http://localhost");
+  if (pathname === "/" || pathname === "/index.html") {
+    return searchParams.get("image");
+  }
+
+  let segments;
+  try {
+    segments = pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return null;
+  }
+  if (segments[0] === "favorites") {
+    return segments[1] === "photo" && segments.length > 2
+      ? segments.slice(2).join("/")
+      : null;
+  }
+
+  // Album paths end in a slash, so an album called "photo" isn't a photo.
+  if (pathname.endsWith("/")) return null;
+  const gallerySegments =
+    segments[0] === "album" ? segments.slice(1) : segments;
+  const photoIndex = gallerySegments.length - 2;
+  if (
+    (segments[0] !== "album" && segments.length !== 2) ||
+    photoIndex < 0 ||
+    gallerySegments[photoIndex] !== "photo"
+  ) {
+    return null;
+  }
+  return [
+    ...gallerySegments.slice(0, photoIndex),
+    gallerySegments[photoIndex + 1],
+  ].join("/");
+};
+
+const getPhotoPath = (key) => {
+  const album = key.slice(0, key.lastIndexOf("/") + 1);
+  const albumPath = album ? `/album/${encodePath(album)}` : "/";
+  return `${albumPath}photo/${encodeURIComponent(key.slice(album.length))}`;
+};
+
+// Only the app shell for a photo gets preview tags; everything else is served
+// as usual.
+export const isSharePreviewRequest = (req) =>
+  (req.method === "GET" || req.method === "HEAD") &&
+  !!getSharedImageKey(req.url);
+
+const renderMetaTags = (preview) => {
+  const properties = [
+    ["og:site_name", SITE_NAME],
+    ["og:type", "article"],
+    ["og:url", preview.url],
+    ["og:title", preview.title],
+    ["og:description", preview.description],
+    ["og:image", preview.image.url],
+    ["og:image:type", preview.image.type],
+    ["og:image:width", preview.image.width],
+    ["og:image:height", preview.image.height],
+    ["og:image:alt", preview.image.alt],
+  ];
+  const names = [
+    ["twitter:card", "summary_large_image"],
+    ["twitter:title", preview.title],
+    ["twitter:description", preview.description],
+    ["twitter:image", preview.image.url],
+    ["twitter:image:alt", preview.image.alt],
+    ["description", preview.description],
+  ];
+
+  return [
+    ...properties
+      .filter(([, content]) => content)
+      .map(
+        ([property, content]) =>
+          `<meta property="${property}" content="${escapeHtml(content)}" />`
+      ),
+    ...names
+      .filter(([, content]) => content)
+      .map(
+        ([name, content]) =>
+          `<meta name="${name}" content="${escapeHtml(content)}" />`
+      ),
+  ].join("\n    ");
+};
+
+// Replacement functions keep `$` sequences in captions from being read as
+// replacement patterns.
+export const injectSharePreview = (html, preview) =>
+  html
+    .replace(
+      /<title>[^<]*<\/title>/,
+      () => `<title>${escapeHtml(`${preview.title} · ${SITE_NAME}`)}</title>`
+    )
+    .replace("</head>", () => `  ${renderMetaTags(preview)}\n  </head>`);
+
+// Builds Open Graph and Twitter Card tags for photo links, so chat
+// apps and social sites that don't run JavaScript still get the photo's
+// title, caption and a thumbnail. `storage` is the one the API uses, so
+// admin changes apply to previews immediately.
+export const createSharePreview = ({
+  storage,
+  thumbnails = false,
+  publicUrl = null,
+}) => {
+  const { provider, adminStore, placeholders } = storage;
+
+  // Hidden photos get no preview, so a shared link doesn't reveal them.
+  const isHidden = async (key) =>
+    (await adminStore.getState()).hidden.includes(key);
+
+  const getPreviewImage = async (key) => {
+    const placeholder = (await placeholders.get())[key];
+
+    // Presigning doesn't check that the object exists, and a crawler that
+    // gets a broken image shows no preview at all.
+    if (thumbnails) {
+      const thumbnailKey = getThumbnailKey(key, PREVIEW_WIDTH);
+      try {
+        await provider.getMetadata(thumbnailKey);
+        const { url } = await provider.getUrl(thumbnailKey, {
+          expiresIn: PREVIEW_URL_EXPIRES_IN,
+        });
+        const scale = placeholder
+          ? Math.min(1, PREVIEW_WIDTH / placeholder.width)
+          : null;
+        return {
+          url,
+          type: "image/webp",
+          width: scale && Math.round(placeholder.width * scale),
+          height: scale && Math.round(placeholder.height * scale),
+        };
+      } catch (error) {
+        if (!isNotFoundError(error)) throw error;
+      }
+    }
+
+    const { url } = await provider.getUrl(key, {
+      expiresIn: PREVIEW_URL_EXPIRES_IN,
+    });
+    return { url, width: placeholder?.width, height: placeholder?.height };
+  };
+
+  const getPreview = async (key, req) => {
+    const [captions, image] = await Promise.all([
+      readCaptions(provider, key),
+      getPreviewImage(key),
+    ]);
+    const origin = getOrigin(req, publicUrl);
+    const title = captions?.title || getBaseName(key);
+    return {
+      url: new URL(getPhotoPath(key), origin).href,
+      title,
+      description: captions?.caption || `A photo on ${SITE_NAME}`,
+      image: {
+        ...image,
+        // Local storage serves images from a relative /api/files/ path.
+        url: new URL(image.url, origin).href,
+        alt: captions?.alt || title,
+      },
+    };
+  };
+
+  // Resolves to `html` with preview tags for the requested image, or to
+  // `html` unchanged when the key is missing or the lookup fails, so the app
+  // itself always loads.
+  return async (req, html) => {
+    const key = getSharedImageKey(req.url);
+    if (!key || !isGalleryImageKey(key)) return html;
+
+    try {
+      if (await isHidden(key)) return html;
+      return injectSharePreview(html, await getPreview(key, req));
+    } catch (error) {
+      if (!isNotFoundError(error)) {
+        console.error(`Error building share preview for ${key}:`, error);
+      }
+      return html;
+    }
+  };
+};
+
+export const createSharePreviewFromEnv = (
+  env,
+  storage = createGalleryStorageFromEnv(env)
+) =>
+  createSharePreview({
+    storage,
+    thumbnails: env.THUMBNAILS === "true",
+    publicUrl: env.PUBLIC_URL || null,
+  });
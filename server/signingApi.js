@@ -0,0 +1,1012 @@
+import crypto from "node:crypto";
+import path from "node:path";
+import { createAdminAuth, isSameOriginRequest } from "./adminAuth.js";
+import { readCaptions } from "./captions.js";
+import { HttpError } from "./httpError.js";
+import { getContentDisposition } from "./providers/contentDisposition.js";
+import { getContentType } from "./providers/contentType.js";
+import { isAlreadyExistsError, isNotFoundError } from "./providers/errors.js";
+import {
+  THUMBNAIL_WIDTHS,
+  getThumbnailKey,
+  getThumbnailSourceKey,
+  isGalleryImageKey,
+  isInternalKey,
+  isThumbnailKey,
+} from "./thumbnails.js";
+import { createGalleryStorageFromEnv } from "./storage.js";
+
+const DEFAULT_PAGE_SIZE = 60;
+const MAX_PAGE_SIZE = 1000;
+const MAX_JSON_BODY = 1024 * 1024;
+const MAX_UPLOAD_BYTES = 200 * 1024 * 1024;
+const ALBUM_CACHE_TTL = 5 * 60 * 1000;
+const CAPTION_CACHE_TTL = 5 * 60 * 1000;
+const MAX_CAPTION_CACHE_ENTRIES = 5000;
+const MAX_LOOKUP_KEYS = 500;
+const LOOKUP_CONCURRENCY = 16;
+const MAX_SYNCED_FAVORITES = 10000;
+const FAVORITES_PREFIX = ".pixel-lens/favorites/";
+// Sync codes need no sign-in, so the number of lists and how often one client
+// address may write are capped.
+const MAX_SYNCED_LISTS = 1000;
+const SYNC_WRITE_LIMIT = 30;
+const SYNC_WRITE_WINDOW = 60 * 1000;
+// Marks responses to the signed-in owner, which the service worker must not
+// keep for offline use (public/sw.js).
+const ADMIN_RESPONSE_HEADER = "X-Pixel-Lens-Admin";
+
+export const sendJson = (res, status, body) => {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.setHeader("Cache-Control", "no-store");
+  res.end(JSON.stringify(body));
+};
+
+const readJson = (req) =>
+  new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_JSON_BODY) {
+        reject(new HttpError(413, "Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch {
+        reject(new HttpError(400, "Invalid JSON body"));
+      }
+    });
+    req.on("error", reject);
+  });
+
+const decodeKey = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw new HttpError(400, "Invalid object key");
+  }
+};
+
+const parseLimit = (value) => {
+  const limit = parseInt(value, 10);
+  if (!limit || limit < 1) return DEFAULT_PAGE_SIZE;
+  return Math.min(limit, MAX_PAGE_SIZE);
+};
+
+// Uploads may only create photos: thumbnails, the placeholder index, caption
+// sidecars and internal state are written by the server alone.
+const parseUploadKey = (key) => {
+  const normalizedKey = typeof key === "string" ? key.replace(/^\/+/, "") : "";
+  if (
+    !normalizedKey ||
+    normalizedKey.endsWith("/") ||
+    normalizedKey.split("/").includes("..") ||
+    !isGalleryImageKey(normalizedKey)
+  ) {
+    throw new HttpError(400, "Invalid object key");
+  }
+  return normalizedKey;
+};
+
+const parseContentType = (contentType) => {
+  if (typeof contentType !== "string" || !contentType.startsWith("image/")) {
+    throw new HttpError(400, "Only image uploads are allowed");
+  }
+  return contentType;
+};
+
+const mapWithConcurrency = async (items, limit, mapper) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await mapper(items[index]);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+};
+
+const parseKeyList = (keys, maxLength) => {
+  if (
+    !Array.isArray(keys) ||
+    keys.length > maxLength ||
+    !keys.every((key) => typeof key === "string")
+  ) {
+    throw new HttpError(400, `Expected a list of at most ${maxLength} keys`);
+  }
+  return [...new Set(keys)];
+};
+
+const parseImageKeys = (keys) => {
+  const parsed = parseKeyList(keys, MAX_LOOKUP_KEYS);
+  if (parsed.length === 0 || !parsed.every(isGalleryImageKey)) {
+    throw new HttpError(400, "Expected a list of photo keys");
+  }
+  return parsed;
+};
+
+const parseMoves = (moves) => {
+  if (
+    !Array.isArray(moves) ||
+    moves.length === 0 ||
+    moves.length > MAX_LOOKUP_KEYS
+  ) {
+    throw new HttpError(400, `Expected at most ${MAX_LOOKUP_KEYS} moves`);
+  }
+  return moves.map((move) => {
+    const to = parseUploadKey(move?.to);
+    if (!isGalleryImageKey(move?.from) || !isGalleryImageKey(to)) {
+      throw new HttpError(400, "Photos can only move to photo keys");
+    }
+    return { from: move.from, to };
+  });
+};
+
+const parseAlbumPrefix = (prefix) => {
+  if (
+    typeof prefix !== "string" ||
+    !prefix.endsWith("/") ||
+    prefix.startsWith("/") ||
+    isInternalKey(prefix)
+  ) {
+    throw new HttpError(400, "Invalid album prefix");
+  }
+  return prefix;
+};
+
+// Sync tokens are only ever stored hashed, so reading the bucket does not
+// reveal them.
+const getFavoritesKey = (token) =>
+  `${FAVORITES_PREFIX}${crypto
+    .createHash("sha256")
+    .update(token)
+    .digest("hex")}.json`;
+
+const sendFile = (res, provider, key, { download = false } = {}) => {
+  const stream = provider.createReadStream(key);
+  stream.on("open", () => {
+    res.setHeader("Content-Type", getContentType(key));
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("Cache-Control", "private, max-age=3600");
+    res.setHeader(
+      "Content-Disposition",
+      getContentDisposition(
+        download ? "attachment" : "inline",
+        path.basename(key)
+      )
+    );
+  });
+  stream.on("error", () => sendJson(res, 404, { error: "Not found" }));
+  stream.pipe(res);
+};
+
+const receiveFile = (req, provider, key) =>
+  new Promise((resolve, reject) => {
+    parseContentType(req.headers["content-type"]);
+    if (Number(req.headers["content-length"]) > MAX_UPLOAD_BYTES) {
+      throw new HttpError(413, "File too large");
+    }
+
+    const stream = provider.createWriteStream(key);
+    let received = 0;
+    req.on("data", (chunk) => {
+      received += chunk.length;
+      if (received > MAX_UPLOAD_BYTES) {
+        reject(new HttpError(413, "File too large"));
+        req.unpipe(stream);
+        stream.destroy();
+        req.destroy();
+      }
+    });
+    stream.on("finish", () => resolve(provider.getMetadata(key)));
+    stream.on("error", reject);
+    req.on("error", (error) => {
+      stream.destroy();
+      reject(error);
+    });
+    req.pipe(stream);
+  });
+
+// Connect-style middleware shared by the Vite dev/preview servers and the
+// standalone Node server. Credentials never leave this process.
+// `storage` comes from `createGalleryStorage`, shared with the share previews.
+export const createSigningApi = ({
+  storage,
+  allowUploads = false,
+  thumbnails = false,
+  favoritesSync = false,
+  mapTileUrl = null,
+  mapTileAttribution = null,
+  adminPassword = null,
+  adminSessionSecret = null,
+}) => {
+  const { provider, adminStore, placeholders: placeholderCache } = storage;
+
+  // Admin mode stays off unless a password is set and the provider can move
+  // and delete objects. It is deliberately absent from `capabilities`: the
+  // public never learns more than whether a sign-in form exists.
+  const adminEnabled =
+    !!adminPassword &&
+    !!provider.readObject &&
+    !!provider.writeObject &&
+    !!provider.copyObject &&
+    !!provider.deleteObject &&
+    !!provider.getMetadata;
+  const adminAuth = adminEnabled
+    ? createAdminAuth({
+        password: adminPassword,
+        sessionSecret: adminSessionSecret,
+      })
+    : null;
+  const isAdminRequest = (req) => !!adminAuth?.isAdmin(req);
+
+  // Uploads are issued to the signed-in owner only: a presigned PUT is write
+  // access to the bucket, so ALLOW_UPLOADS without ADMIN_PASSWORD keeps them
+  // off.
+  const capabilities = {
+    uploads: allowUploads && adminEnabled && !!provider.getUploadUrl,
+    multipart: allowUploads && adminEnabled && !!provider.createMultipartUpload,
+    favoritesSync:
+      favoritesSync &&
+      !!provider.readObject &&
+      !!provider.writeObject &&
+      !!provider.getMetadata,
+    mapTiles: mapTileUrl
+      ? { url: mapTileUrl, attribution: mapTileAttribution }
+      : null,
+  };
+
+  const requireSameOrigin = (req) => {
+    if (!isSameOriginRequest(req)) {
+      throw new HttpError(403, "Cross-origin request refused");
+    }
+  };
+
+  const requireAdmin = (req) => {
+    if (!isAdminRequest(req)) {
+      throw new HttpError(401, "Sign in to manage the gallery");
+    }
+    if (req.method !== "GET") requireSameOrigin(req);
+  };
+
+  // What a request may see: the owner sees hidden photos (flagged), everyone
+  // else doesn't see them at all.
+  const getVisibility = async (req) => {
+    const { hidden, covers } = await adminStore.getState();
+    return { admin: isAdminRequest(req), hidden: new Set(hidden), covers };
+  };
+
+  const applyVisibility = (objects, { admin, hidden }) =>
+    admin
+      ? objects.map((object) =>
+          hidden.has(object.key) ? { ...object, hidden: true } : object
+        )
+      : objects.filter((object) => !hidden.has(object.key));
+
+  // Internal objects are never served, and hidden photos (and their
+  // thumbnails) only to the owner.
+  const requireVisibleKey = async (req, key) => {
+    if (isInternalKey(key)) throw new HttpError(404, "Not found");
+    const { admin, hidden } = await getVisibility(req);
+    if (!admin && hidden.has(getThumbnailSourceKey(key) || key)) {
+      throw new HttpError(404, "Not found");
+    }
+  };
+
+  const requireUploads = (capability = "uploads") => {
+    if (!capabilities[capability]) {
+      throw new HttpError(403, "Uploads are not enabled");
+    }
+  };
+
+  // Uploads only add photos. Replacing one would skip the owner's undo log, so
+  // a taken key is refused here and again by the provider when the write
+  // lands.
+  const parseNewUploadKey = async (key) => {
+    const uploadKey = parseUploadKey(key);
+    try {
+      await provider.getMetadata(uploadKey);
+    } catch (error) {
+      if (isNotFoundError(error)) return uploadKey;
+      throw error;
+    }
+    throw new HttpError(409, "A photo with this name already exists");
+  };
+
+  const withPlaceholders = async (objects) => {
+    const placeholders = await placeholderCache.get();
+    return objects.map((object) =>
+      placeholders[object.key]
+        ? { ...object, placeholder: placeholders[object.key] }
+        : object
+    );
+  };
+
+  const listImages = async (searchParams, visibility) => {
+    const page = await provider.list(
+      searchParams.get("prefix") || "",
+      searchParams.get("cursor") || null,
+      {
+        limit: parseLimit(searchParams.get("limit")),
+        delimiter: searchParams.get("delimiter") || undefined,
+      }
+    );
+    return {
+      images: await withPlaceholders(
+        applyVisibility(
+          page.items.filter((item) => isGalleryImageKey(item.key)),
+          visibility
+        )
+      ),
+      nextCursor: page.nextCursor,
+    };
+  };
+
+  // Thumbnails are produced by `npm run thumbnails`; the client falls back to
+  // the original if one has not been generated yet. They are keyed by their
+  // actual width: small originals are not enlarged, and entries from before
+  // `thumbnailWidths` was recorded are at most the original's width.
+  const getImageUrl = async (key) => {
+    const original = await provider.getUrl(key);
+    if (!thumbnails) return original;
+
+    const placeholder = (await placeholderCache.get())[key];
+    const getActualWidth = (width, index) =>
+      placeholder?.thumbnailWidths?.[index] ??
+      (placeholder?.width ? Math.min(width, placeholder.width) : width);
+    const thumbnailUrls = await Promise.all(
+      THUMBNAIL_WIDTHS.map((width, index) =>
+        provider
+          .getUrl(getThumbnailKey(key, width))
+          .then(({ url }) => [getActualWidth(width, index), url])
+          .catch(() => null)
+      )
+    );
+    // Widths that came out the same are one image; keep the smallest file.
+    return {
+      ...original,
+      thumbnails: Object.fromEntries(thumbnailUrls.filter(Boolean).reverse()),
+    };
+  };
+
+  // One request signs a whole listing page instead of one per photo.
+  const signImages = async (keys, { admin, hidden }) => {
+    const results = await mapWithConcurrency(
+      keys.filter(
+        (key) => isGalleryImageKey(key) && (admin || !hidden.has(key))
+      ),
+      LOOKUP_CONCURRENCY,
+      async (key) => [key, await getImageUrl(key)]
+    );
+    return { urls: Object.fromEntries(results) };
+  };
+
+  // Providers that can't set a download file name fall back to the plain URL;
+  // the client then names the file itself.
+  const getDownloadUrl = async (key) => ({
+    ...(provider.getDownloadUrl
+      ? await provider.getDownloadUrl(key)
+      : await provider.getUrl(key)),
+    filename: path.posix.basename(key),
+  });
+
+  // `missing` names the keys that don't exist. Hidden photos are left out of
+  // `images` for the public but aren't missing, so favorites of a photo the
+  // owner hid aren't cleaned up as stale.
+  const lookupImages = async (keys, visibility) => {
+    const objects = (
+      await mapWithConcurrency(
+        keys.filter(isGalleryImageKey),
+        LOOKUP_CONCURRENCY,
+        (key) =>
+          provider.getMetadata(key).catch((error) => {
+            if (isNotFoundError(error)) return null;
+            throw error;
+          })
+      )
+    ).filter(Boolean);
+    const found = new Set(objects.map((object) => object.key));
+    return {
+      images: await withPlaceholders(
+        applyVisibility(
+          objects.map((object) => ({
+            key: object.key,
+            lastModified: object.lastModified,
+            size: object.size,
+          })),
+          visibility
+        )
+      ),
+      missing: keys.filter((key) => !found.has(key)),
+    };
+  };
+
+  const captionCache = new Map();
+
+  const getCaptions = async (key) => {
+    const cached = captionCache.get(key);
+    if (cached && Date.now() - cached.timestamp < CAPTION_CACHE_TTL) {
+      return cached.captions;
+    }
+
+    const captions = await readCaptions(provider, key);
+    captionCache.delete(key);
+    captionCache.set(key, { captions, timestamp: Date.now() });
+    if (captionCache.size > MAX_CAPTION_CACHE_ENTRIES) {
+      captionCache.delete(captionCache.keys().next().value);
+    }
+    return captions;
+  };
+
+  const lookupCaptions = async (keys, { admin, hidden }) => {
+    const results = await mapWithConcurrency(
+      keys.filter(
+        (key) => isGalleryImageKey(key) && (admin || !hidden.has(key))
+      ),
+      LOOKUP_CONCURRENCY,
+      async (key) => {
+        try {
+          return [key, await getCaptions(key)];
+        } catch (error) {
+          if (isNotFoundError(error)) return [key, null];
+          throw error;
+        }
+      }
+    );
+    return {
+      captions: Object.fromEntries(results.filter(([, captions]) => captions)),
+    };
+  };
+
+  const getImageMetadata = async (key) => ({
+    ...(await provider.getMetadata(key)),
+    captions: await getCaptions(key),
+  });
+
+  const requireFavoritesSync = () => {
+    if (!capabilities.favoritesSync) {
+      throw new HttpError(403, "Favorites sync is not enabled");
+    }
+  };
+
+  const readSyncedFavorites = async (token) => {
+    try {
+      const data = JSON.parse(
+        (await provider.readObject(getFavoritesKey(token))).toString("utf8")
+      );
+      return { favorites: data.favorites || [], updatedAt: data.updatedAt };
+    } catch (error) {
+      if (isNotFoundError(error)) return { favorites: [], updatedAt: null };
+      throw error;
+    }
+  };
+
+  const syncWrites = new Map();
+
+  // A fixed window per client address. Windows that have ended are dropped
+  // whenever a new one starts, so the map only holds recent writers.
+  const limitSyncWrites = (req) => {
+    const address = req.socket.remoteAddress;
+    const now = Date.now();
+    const current = syncWrites.get(address);
+    if (current && now - current.start < SYNC_WRITE_WINDOW) {
+      current.count += 1;
+      if (current.count > SYNC_WRITE_LIMIT) {
+        throw new HttpError(429, "Too many favorites updates, try again later");
+      }
+      return;
+    }
+
+    syncWrites.forEach(({ start }, key) => {
+      if (now - start >= SYNC_WRITE_WINDOW) syncWrites.delete(key);
+    });
+    syncWrites.set(address, { start: now, count: 1 });
+  };
+
+  const countSyncedLists = async () => {
+    let count = 0;
+    let cursor = null;
+    do {
+      const page = await provider.list(FAVORITES_PREFIX, cursor, {
+        limit: MAX_PAGE_SIZE,
+      });
+      count += page.items.length;
+      cursor = page.nextCursor;
+    } while (cursor && count < MAX_SYNCED_LISTS);
+    return count;
+  };
+
+  // Only photos that exist are stored. Keys already in the stored list were
+  // checked when they were added, so a sync only looks up new ones.
+  const filterExistingKeys = async (keys, storedKeys) => {
+    const stored = new Set(storedKeys);
+    const exists = await mapWithConcurrency(
+      keys,
+      LOOKUP_CONCURRENCY,
+      async (key) => {
+        if (stored.has(key)) return true;
+        if (!isGalleryImageKey(key)) return false;
+        try {
+          await provider.getMetadata(key);
+          return true;
+        } catch (error) {
+          if (isNotFoundError(error)) return false;
+          throw error;
+        }
+      }
+    );
+    return keys.filter((key, index) => exists[index]);
+  };
+
+  const writeSyncedFavorites = async (token, body) => {
+    const keys = parseKeyList(body.favorites, MAX_SYNCED_FAVORITES);
+    const updatedAt = Number(body.updatedAt) || Date.now();
+    const stored = await readSyncedFavorites(token);
+    if (
+      stored.updatedAt === null &&
+      (await countSyncedLists()) >= MAX_SYNCED_LISTS
+    ) {
+      throw new HttpError(507, "No room for another favorites list");
+    }
+
+    const favorites = await filterExistingKeys(keys, stored.favorites);
+    await provider.writeObject(
+      getFavoritesKey(token),
+      JSON.stringify({ favorites, updatedAt }),
+      "application/json"
+    );
+    return { favorites, updatedAt };
+  };
+
+  const albumCache = new Map();
+
+  // Albums are summarized separately for the owner, whose counts include
+  // hidden photos. A cover picked in admin mode wins while it is still visible
+  // in the album; otherwise the newest photo is the cover.
+  const describeAlbum = async (prefix, { admin, hidden, covers }) => {
+    const cacheKey = `${admin ? "admin" : "public"}:${prefix}`;
+    const cached = albumCache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < ALBUM_CACHE_TTL) {
+      return cached.album;
+    }
+
+    let cursor = null;
+    let count = 0;
+    let cover = null;
+    let hasChosenCover = false;
+    do {
+      const page = await provider.list(prefix, cursor, {
+        limit: MAX_PAGE_SIZE,
+      });
+      page.items.forEach((item) => {
+        if (!isGalleryImageKey(item.key)) return;
+        if (!admin && hidden.has(item.key)) return;
+        count += 1;
+        if (item.key === covers[prefix]) hasChosenCover = true;
+        if (
+          !cover ||
+          new Date(item.lastModified) > new Date(cover.lastModified)
+        ) {
+          cover = item;
+        }
+      });
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    const album = {
+      prefix,
+      count,
+      cover: hasChosenCover ? covers[prefix] : cover ? cover.key : null,
+    };
+    albumCache.set(cacheKey, { album, timestamp: Date.now() });
+    return album;
+  };
+
+  const listAlbums = async (searchParams, visibility) => {
+    const prefix = searchParams.get("prefix") || "";
+    const prefixes = [];
+    let cursor = null;
+    do {
+      const page = await provider.list(prefix, cursor, {
+        limit: MAX_PAGE_SIZE,
+        delimiter: "/",
+      });
+      prefixes.push(
+        ...(page.prefixes || []).filter(
+          (entry) => !isThumbnailKey(entry) && !isInternalKey(entry)
+        )
+      );
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    const albums = await Promise.all(
+      prefixes.map((albumPrefix) => describeAlbum(albumPrefix, visibility))
+    );
+    return { albums: albums.filter((album) => album.count > 0) };
+  };
+
+  // Owner changes can rename, hide or remove anything the caches describe.
+  const mutate = async (task) => {
+    const mutation = await task();
+    albumCache.clear();
+    captionCache.clear();
+    placeholderCache.clear();
+    return { mutation };
+  };
+
+  const routes = [
+    {
+      method: "GET",
+      pattern: /^\/api\/capabilities$/,
+      handler: () => capabilities,
+    },
+    {
+      method: "GET",
+      pattern: /^\/api\/images$/,
+      handler: async ({ req, searchParams }) =>
+        listImages(searchParams, await getVisibility(req)),
+    },
+    {
+      method: "GET",
+      pattern: /^\/api\/albums$/,
+      handler: async ({ req, searchParams }) =>
+        listAlbums(searchParams, await getVisibility(req)),
+    },
+    {
+      method: "POST",
+      pattern: /^\/api\/images\/lookup$/,
+      handler: async ({ req }) => {
+        const body = await readJson(req);
+        return lookupImages(
+          parseKeyList(body.keys, MAX_LOOKUP_KEYS),
+          await getVisibility(req)
+        );
+      },
+    },
+    {
+      method: "POST",
+      pattern: /^\/api\/images\/urls$/,
+      handler: async ({ req }) => {
+        const body = await readJson(req);
+        return signImages(
+          parseKeyList(body.keys, MAX_LOOKUP_KEYS),
+          await getVisibility(req)
+        );
+      },
+    },
+    {
+      method: "POST",
+      pattern: /^\/api\/images\/captions$/,
+      handler: async ({ req }) => {
+        const body = await readJson(req);
+        return lookupCaptions(
+          parseKeyList(body.keys, MAX_LOOKUP_KEYS),
+          await getVisibility(req)
+        );
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/api\/admin\/session$/,
+      handler: ({ req }) => ({
+        enabled: adminEnabled,
+        admin: isAdminRequest(req),
+      }),
+    },
+    {
+      method: "POST",
+      pattern: /^\/api\/admin\/login$/,
+      enabled: () => adminEnabled,
+      handler: async ({ req, res }) => {
+        requireSameOrigin(req);
+        const body = await readJson(req);
+        if (!(await adminAuth.checkPassword(body.password))) {
+          console.log("Admin: failed sign-in attempt");
+          throw new HttpError(401, "Wrong password");
+        }
+        adminAuth.startSession(req, res);
+        console.log("Admin: signed in");
+        return { admin: true };
+      },
+    },
+    {
+      method: "POST",
+      pattern: /^\/api\/admin\/logout$/,
+      enabled: () => adminEnabled,
+      handler: ({ req, res }) => {
+        requireSameOrigin(req);
+        adminAuth.endSession(req, res);
+        return { admin: false };
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/api\/admin\/mutations$/,
+      enabled: () => adminEnabled,
+      admin: true,
+      handler: () => adminStore.listMutations(),
+    },
+    {
+      method: "POST",
+      pattern: /^\/api\/admin\/mutations\/([\w-]+)\/undo$/,
+      enabled: () => adminEnabled,
+      admin: true,
+      handler: ({ key: id }) => mutate(() => adminStore.undo(id)),
+    },
+    {
+      method: "POST",
+      pattern: /^\/api\/admin\/images\/delete$/,
+      enabled: () => adminEnabled,
+      admin: true,
+      handler: async ({ req }) => {
+        const body = await readJson(req);
+        return mutate(() => adminStore.deleteImages(parseImageKeys(body.keys)));
+      },
+    },
+    {
+      method: "POST",
+      pattern: /^\/api\/admin\/images\/move$/,
+      enabled: () => adminEnabled,
+      admin: true,
+      handler: async ({ req }) => {
+        const body = await readJson(req);
+        return mutate(() => adminStore.moveImages(parseMoves(body.moves)));
+      },
+    },
+    {
+      method: "POST",
+      pattern: /^\/api\/admin\/images\/visibility$/,
+      enabled: () => adminEnabled,
+      admin: true,
+      handler: async ({ req }) => {
+        const body = await readJson(req);
+        return mutate(() =>
+          adminStore.setHidden(parseImageKeys(body.keys), !!body.hidden)
+        );
+      },
+    },
+    {
+      method: "POST",
+      pattern: /^\/api\/admin\/albums\/cover$/,
+      enabled: () => adminEnabled,
+      admin: true,
+      handler: async ({ req }) => {
+        const body = await readJson(req);
+        const prefix = parseAlbumPrefix(body.prefix);
+        if (!isGalleryImageKey(body.key)) {
+          throw new HttpError(400, "Invalid object key");
+        }
+        return mutate(() => adminStore.setCover(prefix, body.key));
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/api\/favorites\/([\w-]{16,128})$/,
+      handler: ({ key: token }) => {
+        requireFavoritesSync();
+        return readSyncedFavorites(token);
+      },
+    },
+    {
+      method: "PUT",
+      pattern: /^\/api\/favorites\/([\w-]{16,128})$/,
+      handler: async ({ req, key: token }) => {
+        requireFavoritesSync();
+        limitSyncWrites(req);
+        return writeSyncedFavorites(token, await readJson(req));
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/api\/images\/(.+)\/url$/,
+      handler: async ({ req, key }) => {
+        await requireVisibleKey(req, key);
+        return getImageUrl(key);
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/api\/images\/(.+)\/download$/,
+      handler: async ({ req, key }) => {
+        await requireVisibleKey(req, key);
+        return getDownloadUrl(key);
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/api\/images\/(.+)\/metadata$/,
+      enabled: () => !!provider.getMetadata,
+      handler: async ({ req, key }) => {
+        await requireVisibleKey(req, key);
+        return getImageMetadata(key);
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/api\/files\/(.+)$/,
+      enabled: () => !!provider.createReadStream,
+      handler: async ({ req, res, searchParams, key }) => {
+        await requireVisibleKey(req, key);
+        sendFile(res, provider, key, {
+          download: searchParams.has("download"),
+        });
+      },
+    },
+    {
+      method: "PUT",
+      pattern: /^\/api\/files\/(.+)$/,
+      enabled: () => capabilities.uploads && !!provider.createWriteStream,
+      admin: true,
+      handler: async ({ req, key }) => {
+        const object = await receiveFile(
+          req,
+          provider,
+          await parseNewUploadKey(key)
+        );
+        albumCache.clear();
+        return object;
+      },
+    },
+    {
+      method: "POST",
+      pattern: /^\/api\/uploads$/,
+      admin: true,
+      handler: async ({ req }) => {
+        requireUploads();
+        const body = await readJson(req);
+        return provider.getUploadUrl(
+          await parseNewUploadKey(body.key),
+          parseContentType(body.contentType)
+        );
+      },
+    },
+    {
+      method: "POST",
+      pattern: /^\/api\/uploads\/multipart$/,
+      admin: true,
+      handler: async ({ req }) => {
+        requireUploads("multipart");
+        const body = await readJson(req);
+        return provider.createMultipartUpload(
+          await parseNewUploadKey(body.key),
+          parseContentType(body.contentType)
+        );
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/api\/uploads\/multipart\/parts$/,
+      admin: true,
+      handler: async ({ searchParams }) => {
+        requireUploads("multipart");
+        return provider.listUploadedParts(
+          await parseNewUploadKey(searchParams.get("key")),
+          searchParams.get("uploadId")
+        );
+      },
+    },
+    {
+      method: "POST",
+      pattern: /^\/api\/uploads\/multipart\/parts$/,
+      admin: true,
+      handler: async ({ req }) => {
+        requireUploads("multipart");
+        const body = await readJson(req);
+        const partNumber = parseInt(body.partNumber, 10);
+        if (!partNumber || partNumber < 1 || partNumber > 10000) {
+          throw new HttpError(400, "Invalid part number");
+        }
+        return provider.getUploadPartUrl(
+          await parseNewUploadKey(body.key),
+          body.uploadId,
+          partNumber
+        );
+      },
+    },
+    {
+      method: "POST",
+      pattern: /^\/api\/uploads\/multipart\/complete$/,
+      admin: true,
+      handler: async ({ req }) => {
+        requireUploads("multipart");
+        const body = await readJson(req);
+        if (!Array.isArray(body.parts) || body.parts.length === 0) {
+          throw new HttpError(400, "Missing uploaded parts");
+        }
+        const object = await provider.completeMultipartUpload(
+          await parseNewUploadKey(body.key),
+          body.uploadId,
+          body.parts
+        );
+        albumCache.clear();
+        return object;
+      },
+    },
+    {
+      method: "POST",
+      pattern: /^\/api\/uploads\/multipart\/abort$/,
+      admin: true,
+      handler: async ({ req }) => {
+        requireUploads("multipart");
+        const body = await readJson(req);
+        await provider.abortMultipartUpload(
+          await parseNewUploadKey(body.key),
+          body.uploadId
+        );
+        return { aborted: true };
+      },
+    },
+  ];
+
+  return async (req, res, next) => {
+    const { pathname, searchParams } = new URL(req.url, "http://localhost");
+    if (!pathname.startsWith("/api/")) return next();
+
+    const matchingRoutes = routes
+      .filter((route) => !route.enabled || route.enabled())
+      .map((route) => ({ route, match: pathname.match(route.pattern) }))
+      .filter(({ match }) => match);
+
+    if (matchingRoutes.length === 0) {
+      return sendJson(res, 404, { error: "Not found" });
+    }
+
+    const matched = matchingRoutes.find(
+      ({ route }) => route.method === req.method
+    );
+    if (!matched) {
+      return sendJson(res, 405, { error: "Method not allowed" });
+    }
+
+    try {
+      const { route, match } = matched;
+      if (isAdminRequest(req)) res.setHeader(ADMIN_RESPONSE_HEADER, "1");
+      if (route.admin) requireAdmin(req);
+      const key = match[1] ? decodeKey(match[1]) : undefined;
+      const body = await route.handler({ req, res, searchParams, key });
+      if (body !== undefined) {
+        sendJson(res, 200, body);
+      }
+    } catch (error) {
+      // Oversized bodies and aborted uploads end with the connection
+      // destroyed; there is no one left to answer.
+      if (req.socket.destroyed) return;
+      if (error instanceof HttpError) {
+        return sendJson(res, error.status, { error: error.message });
+      }
+      if (isNotFoundError(error)) {
+        return sendJson(res, 404, { error: "Not found" });
+      }
+      if (isAlreadyExistsError(error)) {
+        return sendJson(res, 409, {
+          error: "A photo with this name already exists",
+        });
+      }
+      console.error(`Error handling ${req.method} ${pathname}:`, error);
+      sendJson(res, 500, { error: "Storage request failed" });
+    }
+  };
+};
+
+export const createSigningApiFromEnv = (
+  env,
+  storage = createGalleryStorageFromEnv(env)
+) =>
+  createSigningApi({
+    storage,
+    allowUploads: env.ALLOW_UPLOADS === "true",
+    thumbnails: env.THUMBNAILS === "true",
+    favoritesSync: env.FAVORITES_SYNC === "true",
+    mapTileUrl: env.MAP_TILE_URL || null,
+    mapTileAttribution: env.MAP_TILE_ATTRIBUTION || null,
+    adminPassword: env.ADMIN_PASSWORD || null,
+    adminSessionSecret: env.ADMIN_SESSION_SECRET || null,
+  });
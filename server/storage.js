@@ -0,0 +1,24 @@
+import { createAdminStore } from "./adminStore.js";
+import { createStorageProvider } from "./providers/index.js";
+import { createPlaceholderCache } from "./thumbnails.js";
+
+export const DEFAULT_UNDO_MINUTES = 30;
+
+// One provider, admin store and placeholder cache for the API and the share
+// previews. A photo the owner hides or moves through the API is hidden or
+// moved for previews in the same moment, not once a second cache expires.
+export const createGalleryStorage = ({
+  provider,
+  undoWindow = DEFAULT_UNDO_MINUTES * 60 * 1000,
+}) => ({
+  provider,
+  adminStore: createAdminStore({ provider, undoWindow }),
+  placeholders: createPlaceholderCache(provider),
+});
+
+export const createGalleryStorageFromEnv = (env) =>
+  createGalleryStorage({
+    provider: createStorageProvider(env),
+    undoWindow:
+      (Number(env.ADMIN_UNDO_MINUTES) || DEFAULT_UNDO_MINUTES) * 60 * 1000,
+  });
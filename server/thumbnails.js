@@ -0,0 +1,74 @@
+import { isNotFoundError } from "./providers/errors.js";
+
+export const THUMBNAIL_PREFIX = "thumbs/";
+// Favorites, admin state and deleted photos awaiting purge live here; none of
+// it is ever part of the gallery.
+export const INTERNAL_PREFIX = ".pixel-lens/";
+export const THUMBNAIL_WIDTHS = [400, 800, 1600];
+// Width, height, dominant color and a tiny blurred preview for every image,
+// written by `npm run thumbnails` and merged into listings by the API.
+export const PLACEHOLDER_INDEX_KEY = `${THUMBNAIL_PREFIX}placeholders.json`;
+const PLACEHOLDER_CACHE_TTL = 5 * 60 * 1000;
+
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|gif|webp|avif|heic|tiff?)$/i;
+
+export const getThumbnailKey = (key, width) =>
+  `${THUMBNAIL_PREFIX}${width}/${key}.webp`;
+
+export const isThumbnailKey = (key) => key.startsWith(THUMBNAIL_PREFIX);
+
+// The image a thumbnail was generated from, or null for other keys.
+export const getThumbnailSourceKey = (key) => {
+  const match = key.match(/^thumbs\/\d+\/(.+)\.webp$/);
+  return match ? match[1] : null;
+};
+
+export const isInternalKey = (key) => key.startsWith(INTERNAL_PREFIX);
+
+export const isGalleryImageKey = (key) =>
+  !isThumbnailKey(key) && !isInternalKey(key) && IMAGE_EXTENSIONS.test(key);
+
+export const readPlaceholderIndex = async (provider) => {
+  if (!provider.readObject) return {};
+  try {
+    const data = JSON.parse(
+      (await provider.readObject(PLACEHOLDER_INDEX_KEY)).toString("utf8")
+    );
+    return data.images || {};
+  } catch (error) {
+    if (isNotFoundError(error)) return {};
+    throw error;
+  }
+};
+
+// The index as seen by listings and share previews. Owner changes that move or
+// remove photos call `clear`, so both see the new keys at once.
+export const createPlaceholderCache = (provider) => {
+  let cache = null;
+
+  const get = () => {
+    if (!cache || Date.now() - cache.timestamp >= PLACEHOLDER_CACHE_TTL) {
+      cache = {
+        placeholders: readPlaceholderIndex(provider).catch((error) => {
+          console.error("Error reading placeholder index:", error);
+          return {};
+        }),
+        timestamp: Date.now(),
+      };
+    }
+    return cache.placeholders;
+  };
+
+  const clear = () => {
+    cache = null;
+  };
+
+  return { get, clear };
+};
+
+export const writePlaceholderIndex = (provider, images) =>
+  provider.writeObject(
+    PLACEHOLDER_INDEX_KEY,
+    JSON.stringify({ version: 1, images }),
+    "application/json"
+  );
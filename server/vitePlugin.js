@@ -0,0 +1,79 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import {
+  createSharePreviewFromEnv,
+  isSharePreviewRequest,
+} from "./sharePreview.js";
+import { createSigningApiFromEnv } from "./signingApi.js";
+import { createGalleryStorageFromEnv } from "./storage.js";
+
+export const signingApiPlugin = (env) => {
+  let storage;
+  let middleware;
+  let renderSharePreview;
+  const getStorage = () => {
+    if (!storage) {
+      storage = createGalleryStorageFromEnv(env);
+    }
+    return storage;
+  };
+  const getMiddleware = () => {
+    if (!middleware) {
+      middleware = createSigningApiFromEnv(env, getStorage());
+    }
+    return middleware;
+  };
+  const getSharePreview = () => {
+    if (!renderSharePreview) {
+      renderSharePreview = createSharePreviewFromEnv(env, getStorage());
+    }
+    return renderSharePreview;
+  };
+
+  // `loadHtml` returns the app shell: transformed index.html in dev, the
+  // built one in preview.
+  const sharePreviewMiddleware = (loadHtml) => async (req, res, next) => {
+    if (!isSharePreviewRequest(req)) return next();
+    try {
+      const html = await getSharePreview()(req, await loadHtml(req));
+      res.setHeader("Content-Type", "text/html");
+      res.setHeader("Cache-Control", "no-cache");
+      res.end(html);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  return {
+    name: "pixel-lens-signing-api",
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => getMiddleware()(req, res, next));
+      server.middlewares.use(
+        sharePreviewMiddleware(async (req) =>
+          server.transformIndexHtml(
+            req.url,
+            await fs.readFile(
+              path.join(server.config.root, "index.html"),
+              "utf8"
+            )
+          )
+        )
+      );
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use((req, res, next) => getMiddleware()(req, res, next));
+      server.middlewares.use(
+        sharePreviewMiddleware(() =>
+          fs.readFile(
+            path.resolve(
+              server.config.root,
+              server.config.build.outDir,
+              "index.html"
+            ),
+            "utf8"
+          )
+        )
+      );
+    },
+  };
+};
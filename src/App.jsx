@@ -5,89 +5,185 @@ import React, {
   useMemo,
   useCallback,
 } from "react";
-import { Camera, Grid, X, Maximize2, Minimize2, Share2 } from "lucide-react";
 import {
-  S3Client,
-  ListObjectsV2Command,
-  GetObjectCommand,
-} from "@aws-sdk/client-s3";
-import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
-
-const createPersistentImageCache = () => {
-  const CACHE_KEY = "pixelLens-imageCache";
-
-  const loadCache = () => {
-    try {
-      const savedCache = localStorage.getItem(CACHE_KEY);
-      return savedCache ? JSON.parse(savedCache) : {};
-    } catch (error) {
-      console.error("Error loading cache:", error);
-      return {};
-    }
-  };
-
-  const cache = new Map(Object.entries(loadCache()));
-
-  const saveCache = () => {
-    try {
-      const cacheObject = Object.fromEntries(cache);
-      localStorage.setItem(CACHE_KEY, JSON.stringify(cacheObject));
-    } catch (error) {
-      console.error("Error saving cache:", error);
-    }
-  };
-
-  return {
-    get: (key) => cache.get(key),
-    set: (key, value) => {
-      cache.set(key, value);
-      saveCache();
-    },
-    has: (key) => cache.has(key),
-    clear: () => {
-      cache.clear();
-      localStorage.removeItem(CACHE_KEY);
-    },
-  };
+  Camera,
+  Circle,
+  CircleCheck,
+  EyeOff,
+  FolderDown,
+  Grid,
+  HardDriveDownload,
+  LassoSelect,
+  ShieldCheck,
+  Upload,
+  WifiOff,
+  X,
+} from "lucide-react";
+import {
+  deleteImages,
+  fetchAlbums,
+  fetchCapabilities,
+  fetchCaptions,
+  fetchImagePage,
+  fetchImageUrl,
+  fetchImageUrls,
+  lookupImages,
+  moveImages,
+  setAlbumCover,
+  setImagesHidden,
+  undoAdminMutation,
+} from "./api";
+import {
+  getAlbumName,
+  getAlbumPrefixForKey,
+  normalizeAlbumPrefix,
+} from "./albums";
+import AdminPanel from "./components/AdminPanel";
+import AdminSignIn from "./components/AdminSignIn";
+import AlbumIndex from "./components/AlbumIndex";
+import Breadcrumb from "./components/Breadcrumb";
+import DownloadProgress from "./components/DownloadProgress";
+import UploadPanel from "./components/UploadPanel";
+import FavoritesToolbar from "./components/FavoritesToolbar";
+import HighlightedText from "./components/HighlightedText";
+import Lightbox from "./components/Lightbox";
+import LiveStatus from "./components/LiveStatus";
+import MasonryGrid from "./components/MasonryGrid";
+import MoveDialog from "./components/MoveDialog";
+import PhotoMap from "./components/PhotoMap";
+import SearchBox from "./components/SearchBox";
+import SelectionBar from "./components/SelectionBar";
+import UndoToast from "./components/UndoToast";
+import ViewToolbar from "./components/ViewToolbar";
+import { getImageAlt } from "./captions";
+import {
+  downloadOriginal,
+  downloadZip,
+  listAlbumImages,
+  lookupImagesByKey,
+} from "./download";
+import { getAllCachedExif, loadExif } from "./exif";
+import { createAreaFilter, getImageLocation } from "./geo";
+import {
+  cacheImageSources,
+  getCachedImageSources,
+  pruneImageCache,
+} from "./imageCache";
+import {
+  getOfflineImageIds,
+  getPinnedIds,
+  pinImages,
+  registerServiceWorker,
+  unpinImages,
+} from "./offline";
+import { DEFAULT_ROUTE, getRoutePath } from "./router";
+import { createSearchIndex, getSearchQueryFromUrl } from "./search";
+import { GRID_SIZES, getThumbnailSrc, getThumbnailSrcSet } from "./thumbnails";
+import {
+  applyViewOptions,
+  applyViewOptionsToUrl,
+  formatMonthKey,
+  getFileType,
+  getImageDate,
+  getMonthKey,
+  getViewOptionsFromUrl,
+  hasActiveFilters,
+  isDateSort,
+} from "./viewOptions";
+import useAdmin from "./hooks/useAdmin";
+import useFavorites from "./hooks/useFavorites";
+import useLongPress from "./hooks/useLongPress";
+import useOnlineStatus from "./hooks/useOnlineStatus";
+import useRouter from "./hooks/useRouter";
+import useSelection from "./hooks/useSelection";
+
+const PAGE_SIZE = 60;
+const CACHE_PRUNE_INTERVAL = 3600000;
+const LOOKUP_BATCH_SIZE = 500;
+const STATUS_DURATION = 2000;
+
+const getImageId = (image) => image.id;
+
+const toImage = (object, sources) => ({
+  id: object.key,
+  url: sources.url,
+  thumbnails: sources.thumbnails,
+  lastModified: new Date(object.lastModified),
+  placeholder: object.placeholder,
+  size: object.size,
+  hidden: object.hidden,
+});
+
+const appendImages = (images, pageImages) => {
+  const seen = new Set(images.map(getImageId));
+  return [...images, ...pageImages.filter((image) => !seen.has(image.id))];
 };
 
-const imageUrlCache = createPersistentImageCache();
-const IMAGE_URL_EXPIRATION = 3600000;
-
-const cleanupCache = () => {
-  const now = Date.now();
-  Array.from(imageUrlCache.keys()).forEach((key) => {
-    const entry = imageUrlCache.get(key);
-    if (now - entry.timestamp > IMAGE_URL_EXPIRATION) {
-      imageUrlCache.delete(key);
-    }
-  });
-};
+// Fields shown on a tile while searching; title and caption already appear
+// in the hover overlay.
+const SEARCH_LABEL_FIELDS = ["fileName", "tags", "camera", "lens", "path"];
 
 const PhotoGallery = () => {
-  const [selectedImage, setSelectedImage] = useState(null);
+  const { route, navigate, back } = useRouter();
+  const albumPrefix = route.album;
+  const showFavorites = route.view === "favorites";
   const [images, setImages] = useState([]);
+  const [albums, setAlbums] = useState([]);
+  const [capabilities, setCapabilities] = useState({});
+  const [showUploadPanel, setShowUploadPanel] = useState(false);
+  const [exifData, setExifData] = useState(getAllCachedExif);
   const [loading, setLoading] = useState(true);
-  const [isFullscreen, setIsFullscreen] = useState(false);
-  const lightboxRef = useRef(null);
-  const [showFavorites, setShowFavorites] = useState(false);
-  const [sharedImageId, setSharedImageId] = useState(null);
+  const [viewOptions, setViewOptions] = useState(getViewOptionsFromUrl);
+  const [searchQuery, setSearchQuery] = useState(getSearchQueryFromUrl);
+  const searchIndex = useRef(null);
+  const [mapArea, setMapArea] = useState(null);
+  const [favoriteImages, setFavoriteImages] = useState([]);
+  const [loadingFavorites, setLoadingFavorites] = useState(false);
+  const requestedFavorites = useRef(new Set());
+  const [imageCaptions, setImageCaptions] = useState({});
+  const requestedCaptions = useRef(new Set());
   const [loadedImages, setLoadedImages] = useState(new Set());
   const [imageDimensions, setImageDimensions] = useState({});
+  const [failedThumbnails, setFailedThumbnails] = useState(new Set());
   const [isHeaderVisible, setIsHeaderVisible] = useState(true);
   const lastScrollY = useRef(0);
   const ticking = useRef(false);
-  const [visibleImages, setVisibleImages] = useState(new Set());
   const observerRef = useRef(null);
-  const imageRefs = useRef({});
+  const masonryRef = useRef(null);
+  const lightboxScrollY = useRef(0);
+  const lastViewedImageId = useRef(null);
+  const loadMoreSentinelRef = useRef(null);
+  const loadMoreRef = useRef(null);
+  const continuationToken = useRef(null);
+  const isFetchingPage = useRef(false);
+  const listingId = useRef(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const isOnline = useOnlineStatus();
+  const [offlineImageIds, setOfflineImageIds] = useState(new Set());
+  const [pinnedIds, setPinnedIds] = useState(getPinnedIds);
+  const [pinning, setPinning] = useState(false);
+  const [download, setDownload] = useState(null);
+  const [showAdminSignIn, setShowAdminSignIn] = useState(false);
+  const [showAdminPanel, setShowAdminPanel] = useState(false);
+  const [moveKeys, setMoveKeys] = useState(null);
+  const [lastMutation, setLastMutation] = useState(null);
+  const [adminLogVersion, setAdminLogVersion] = useState(0);
+  const [statusMessage, setStatusMessage] = useState(null);
+  const downloadController = useRef(null);
+
+  useEffect(() => {
+    registerServiceWorker();
+  }, []);
 
   useEffect(() => {
     observerRef.current = new IntersectionObserver(
       (entries) => {
         entries.forEach((entry) => {
-          const imageId = entry.target.dataset.imageId;
-          if (entry.isIntersecting) {
-            setVisibleImages((prev) => new Set([...prev, imageId]));
+          if (!entry.isIntersecting) return;
+
+          if (entry.target.dataset.loadMore) {
+            loadMoreRef.current?.();
           }
         });
       },
@@ -108,18 +204,16 @@ const PhotoGallery = () => {
   useEffect(() => {
     const currentObserver = observerRef.current;
 
-    Object.entries(imageRefs.current).forEach(([id, element]) => {
-      if (element && !visibleImages.has(id)) {
-        currentObserver.observe(element);
-      }
-    });
+    if (loadMoreSentinelRef.current) {
+      currentObserver.observe(loadMoreSentinelRef.current);
+    }
 
     return () => {
       if (currentObserver) {
         currentObserver.disconnect();
       }
     };
-  }, [images, visibleImages]);
+  }, [images, hasMore, showFavorites]);
 
   useEffect(() => {
     const handleScroll = () => {
@@ -166,223 +260,749 @@ const PhotoGallery = () => {
   );
 
   useEffect(() => {
-    const cleanup = setInterval(cleanupCache, 3600000);
+    const cleanup = setInterval(pruneImageCache, CACHE_PRUNE_INTERVAL);
     return () => clearInterval(cleanup);
   }, []);
 
+  // Back and forward also restore the search and view options kept in the
+  // query string.
   useEffect(() => {
-    const urlParams = new URLSearchParams(window.location.search);
-    const imageId = urlParams.get("image");
-    if (imageId) {
-      setSharedImageId(imageId);
-    }
+    const handlePopState = () => {
+      setSearchQuery(getSearchQueryFromUrl());
+      setViewOptions(getViewOptionsFromUrl());
+    };
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
   }, []);
 
+  const announce = (text) => setStatusMessage({ text, id: Date.now() });
+
   useEffect(() => {
-    if (sharedImageId && images.length > 0) {
-      const image = images.find((img) => img.id === sharedImageId);
-      if (image) {
-        handleImageClick(image);
-      }
-    }
-  }, [sharedImageId, images]);
+    if (!statusMessage) return;
+    const timer = setTimeout(() => setStatusMessage(null), STATUS_DURATION);
+    return () => clearTimeout(timer);
+  }, [statusMessage]);
+
+  const getShareUrl = (imageId) =>
+    new URL(
+      getRoutePath({ ...DEFAULT_ROUTE, image: imageId }),
+      window.location.origin
+    ).href;
 
   const handleShare = async (e, image) => {
     e.stopPropagation();
-    const shareUrl = `${window.location.origin}${
-      window.location.pathname
-    }?image=${encodeURIComponent(image.id)}`;
+    const shareUrl = getShareUrl(image.id);
 
     try {
       if (navigator.share) {
+        const captions = imageCaptions[image.id];
         await navigator.share({
-          title: "✨ Found this gem on PixelLens",
-          text: "Explore the visual journey at PixelLens",
+          title: captions?.title || "✨ Found this gem on PixelLens",
+          text: captions?.caption || "Explore the visual journey at PixelLens",
           url: shareUrl,
         });
       } else {
         await navigator.clipboard.writeText(shareUrl);
-
-        const tooltip = document.createElement("div");
-        tooltip.textContent = "Link copied!";
-        tooltip.className =
-          "fixed bottom-4 left-1/2 transform -translate-x-1/2 bg-white/10 backdrop-blur-sm text-white px-4 py-2 rounded-lg z-50";
-        document.body.appendChild(tooltip);
-        setTimeout(() => tooltip.remove(), 2000);
+        announce("Link copied!");
       }
     } catch (error) {
       console.error("Error sharing:", error);
     }
   };
 
-  const [favorites, setFavorites] = useState(() => {
-    const savedFavorites = localStorage.getItem("pixelLens-favorites");
-    return savedFavorites ? JSON.parse(savedFavorites) : [];
-  });
+  const {
+    favorites,
+    toggleFavorite,
+    mergeFavorites,
+    removeFavorites,
+    syncToken,
+    syncStatus,
+    connectSync,
+  } = useFavorites({ syncEnabled: !!capabilities.favoritesSync });
+
+  const admin = useAdmin();
+  const { expire: expireAdmin } = admin;
+
+  // The open photo comes from the route. It is looked up in the unfiltered
+  // list, so unfavoriting it from the lightbox doesn't close it.
+  const selectedImage = useMemo(() => {
+    if (!route.image) return null;
+    const candidates = showFavorites ? favoriteImages : images;
+    return candidates.find((image) => image.id === route.image) || null;
+  }, [route.image, showFavorites, favoriteImages, images]);
+
+  const getImageSources = useCallback(async (key) => {
+    const cachedSources = await getCachedImageSources(key);
+    if (cachedSources) return cachedSources;
 
-  const s3Client = useMemo(
-    () =>
-      new S3Client({
-        region: "auto",
-        endpoint: `https://${
-          import.meta.env.VITE_ACCOUNT_ID
-        }.r2.cloudflarestorage.com`,
-        credentials: {
-          accessKeyId: import.meta.env.VITE_ACCESS_KEY_ID,
-          secretAccessKey: import.meta.env.VITE_SECRET_ACCESS_KEY,
-        },
-        forcePathStyle: true,
-      }),
-    []
-  );
+    try {
+      const { url, thumbnails, expiresIn } = await fetchImageUrl(key);
+      cacheImageSources(key, { url, thumbnails, expiresIn });
 
-  const BUCKET_NAME = import.meta.env.VITE_BUCKET_NAME;
+      return { url, thumbnails };
+    } catch (error) {
+      console.error(`Error getting URL for ${key}:`, error);
+      return null;
+    }
+  }, []);
 
-  const getImageUrl = useCallback(
-    async (key) => {
-      const cachedEntry = imageUrlCache.get(key);
-      if (
-        cachedEntry &&
-        Date.now() - cachedEntry.timestamp < IMAGE_URL_EXPIRATION
-      ) {
-        return cachedEntry.url;
-      }
+  // Listings and favorites are signed a batch at a time; URLs that are still
+  // cached aren't requested again.
+  const getImageSourcesForKeys = useCallback(async (keys) => {
+    const cachedSources = await Promise.all(keys.map(getCachedImageSources));
+    const sources = {};
+    keys.forEach((key, index) => {
+      if (cachedSources[index]) sources[key] = cachedSources[index];
+    });
 
+    const missingKeys = keys.filter((key) => !sources[key]);
+    for (let i = 0; i < missingKeys.length; i += LOOKUP_BATCH_SIZE) {
       try {
-        const command = new GetObjectCommand({
-          Bucket: BUCKET_NAME,
-          Key: key,
-        });
-
-        const url = await getSignedUrl(s3Client, command, { expiresIn: 3600 });
-
-        imageUrlCache.set(key, {
-          url,
-          timestamp: Date.now(),
-        });
-
-        return url;
+        const { urls } = await fetchImageUrls(
+          missingKeys.slice(i, i + LOOKUP_BATCH_SIZE)
+        );
+        Object.entries(urls).forEach(
+          ([key, { url, thumbnails, expiresIn }]) => {
+            cacheImageSources(key, { url, thumbnails, expiresIn });
+            sources[key] = { url, thumbnails };
+          }
+        );
       } catch (error) {
-        console.error(`Error getting URL for ${key}:`, error);
-        return null;
+        console.error("Error getting image URLs:", error);
       }
+    }
+    return sources;
+  }, []);
+
+  useEffect(() => {
+    if (!selectedImage || exifData[selectedImage.id]) return;
+
+    const { id, url } = selectedImage;
+    loadExif(id, url)
+      .then((summary) => setExifData((prev) => ({ ...prev, [id]: summary })))
+      .catch((error) => console.error(`Error reading EXIF for ${id}:`, error));
+  }, [selectedImage, exifData]);
+
+  // Pages come in key order, not date order; the grid sorts the photos
+  // loaded so far through `applyViewOptions`.
+  const loadImagePage = useCallback(
+    async (cursor) => {
+      const response = await fetchImagePage({
+        prefix: albumPrefix,
+        cursor,
+        limit: PAGE_SIZE,
+        delimiter: "/",
+      });
+
+      const sources = await getImageSourcesForKeys(
+        response.images.map((object) => object.key)
+      );
+      return {
+        images: response.images
+          .filter((object) => sources[object.key])
+          .map((object) => toImage(object, sources[object.key])),
+        nextToken: response.nextCursor,
+      };
     },
-    [s3Client, BUCKET_NAME]
+    [getImageSourcesForKeys, albumPrefix]
   );
 
-  useEffect(() => {
-    const handleFullscreenChange = () => {
-      setIsFullscreen(!!document.fullscreenElement);
-    };
+  // Favorites can point anywhere in the bucket, so they are resolved by key
+  // rather than from the current listing. Only keys the lookup reports as
+  // missing are stale; hidden photos are just not shown.
+  const loadFavoriteImages = useCallback(
+    async (keys) => {
+      const objects = [];
+      const staleKeys = [];
+      for (let i = 0; i < keys.length; i += LOOKUP_BATCH_SIZE) {
+        const response = await lookupImages(
+          keys.slice(i, i + LOOKUP_BATCH_SIZE)
+        );
+        objects.push(...response.images);
+        staleKeys.push(...response.missing);
+      }
 
-    document.addEventListener("fullscreenchange", handleFullscreenChange);
-    return () =>
-      document.removeEventListener("fullscreenchange", handleFullscreenChange);
-  }, []);
+      const sources = await getImageSourcesForKeys(
+        objects.map((object) => object.key)
+      );
+
+      return {
+        images: objects
+          .filter((object) => sources[object.key])
+          .map((object) => toImage(object, sources[object.key])),
+        staleKeys,
+      };
+    },
+    [getImageSourcesForKeys]
+  );
 
   useEffect(() => {
-    const handleKeyDown = (e) => {
-      if (e.key === "Escape" && selectedImage) {
-        handleClose();
-      }
-    };
+    if (!showFavorites) return;
 
-    window.addEventListener("keydown", handleKeyDown);
-    return () => window.removeEventListener("keydown", handleKeyDown);
-  }, [selectedImage]);
+    const missingKeys = favorites.filter(
+      (key) => !requestedFavorites.current.has(key)
+    );
+    if (missingKeys.length === 0) return;
+    missingKeys.forEach((key) => requestedFavorites.current.add(key));
+
+    setLoadingFavorites(true);
+    loadFavoriteImages(missingKeys)
+      .then(({ images: found, staleKeys }) => {
+        setFavoriteImages((prev) => [...prev, ...found]);
+        if (staleKeys.length > 0) {
+          removeFavorites(staleKeys);
+          unpinImages(staleKeys).then(() => setPinnedIds(getPinnedIds()));
+        }
+      })
+      .catch((error) => {
+        console.error("Error loading favorites:", error);
+        missingKeys.forEach((key) => requestedFavorites.current.delete(key));
+      })
+      .finally(() => setLoadingFavorites(false));
+  }, [showFavorites, favorites, loadFavoriteImages, removeFavorites]);
 
   const loadImagesFromS3 = useCallback(async () => {
+    const currentListing = ++listingId.current;
+    isFetchingPage.current = true;
     try {
       setLoading(true);
 
-      const command = new ListObjectsV2Command({
-        Bucket: BUCKET_NAME,
-      });
+      const [page, albumList] = await Promise.all([
+        loadImagePage(null),
+        fetchAlbums(albumPrefix),
+      ]);
+      if (currentListing !== listingId.current) return;
 
-      const response = await s3Client.send(command);
-
-      if (!response.Contents) {
-        setImages([]);
-        setLoading(false);
-        return;
+      continuationToken.current = page.nextToken;
+      setImages(page.images);
+      setAlbums(albumList.albums);
+      setHasMore(!!page.nextToken);
+      setLoading(false);
+    } catch (error) {
+      console.error("Error loading images:", error);
+      setLoading(false);
+    } finally {
+      if (currentListing === listingId.current) {
+        isFetchingPage.current = false;
       }
+    }
+  }, [loadImagePage, albumPrefix]);
 
-      const imagePromises = response.Contents.map(async (object) => {
-        const url = await getImageUrl(object.Key);
-        return url
-          ? {
-              id: object.Key,
-              url: url,
-              lastModified: object.LastModified,
-            }
-          : null;
-      });
+  const loadMoreImages = useCallback(async () => {
+    if (isFetchingPage.current || !continuationToken.current) return;
 
-      const processedImages = await Promise.all(imagePromises);
-      const filteredImages = processedImages
-        .filter((image) => image !== null)
-        .sort((a, b) => b.lastModified.getTime() - a.lastModified.getTime());
+    const currentListing = listingId.current;
+    isFetchingPage.current = true;
+    setLoadingMore(true);
+    try {
+      const page = await loadImagePage(continuationToken.current);
+      if (currentListing !== listingId.current) return;
 
-      setImages(filteredImages);
-      setLoading(false);
+      continuationToken.current = page.nextToken;
+      setImages((prev) => appendImages(prev, page.images));
+      setHasMore(!!page.nextToken);
     } catch (error) {
-      console.error("Error loading images from S3:", error);
-      setLoading(false);
+      console.error("Error loading more images:", error);
+    } finally {
+      if (currentListing === listingId.current) {
+        isFetchingPage.current = false;
+      }
+      setLoadingMore(false);
     }
-  }, [s3Client, BUCKET_NAME, getImageUrl]);
+  }, [loadImagePage]);
+
+  useEffect(() => {
+    loadMoreRef.current = loadMoreImages;
+  }, [loadMoreImages]);
 
   useEffect(() => {
     loadImagesFromS3();
   }, [loadImagesFromS3]);
 
-  const handleFullscreen = async (e) => {
+  useEffect(() => {
+    fetchCapabilities()
+      .then(setCapabilities)
+      .catch((error) => console.error("Error loading capabilities:", error));
+  }, []);
+
+  const handleUploaded = useCallback(
+    async (object) => {
+      if (getAlbumPrefixForKey(object.key) !== albumPrefix) {
+        if (object.key.startsWith(albumPrefix)) {
+          fetchAlbums(albumPrefix)
+            .then(({ albums: albumList }) => setAlbums(albumList))
+            .catch((error) => console.error("Error refreshing albums:", error));
+        }
+        return;
+      }
+
+      const sources = await getImageSources(object.key);
+      if (!sources) return;
+
+      setImages((prev) => [
+        toImage(object, sources),
+        ...prev.filter((image) => image.id !== object.key),
+      ]);
+    },
+    [albumPrefix, getImageSources]
+  );
+
+  // A linked photo may not be on the first page, so pages load until it
+  // turns up.
+  useEffect(() => {
+    if (
+      route.image &&
+      !selectedImage &&
+      !showFavorites &&
+      images.length > 0 &&
+      hasMore
+    ) {
+      loadMoreImages();
+    }
+  }, [
+    route.image,
+    selectedImage,
+    showFavorites,
+    images,
+    hasMore,
+    loadMoreImages,
+  ]);
+
+  // The grid only renders tiles near the viewport, so once the lightbox
+  // closes, whether from its button or from Back, the scroll position is
+  // restored explicitly and focus goes to the last viewed photo's tile.
+  useEffect(() => {
+    if (route.image) {
+      if (!lastViewedImageId.current) lightboxScrollY.current = window.scrollY;
+      lastViewedImageId.current = route.image;
+      return;
+    }
+    const lastImageId = lastViewedImageId.current;
+    if (!lastImageId) return;
+    lastViewedImageId.current = null;
+    window.requestAnimationFrame(() => {
+      window.scrollTo(0, lightboxScrollY.current);
+      masonryRef.current?.focusItem(lastImageId);
+    });
+  }, [route.image]);
+
+  useEffect(() => {
+    window.scrollTo(0, 0);
+  }, [albumPrefix, showFavorites]);
+
+  const handleClose = useCallback(() => back({ image: null }), [back]);
+
+  const handleToggleFavorite = (e, imageId) => {
     e.stopPropagation();
+    toggleFavorite(imageId);
+    if (pinnedIds.includes(imageId)) {
+      unpinImages([imageId]).then(() => setPinnedIds(getPinnedIds()));
+    }
+  };
+
+  const isFavorite = (imageId) => favorites.includes(imageId);
+
+  const sourceImages = useMemo(
+    () =>
+      showFavorites
+        ? favoriteImages.filter((image) => favorites.includes(image.id))
+        : images,
+    [images, showFavorites, favoriteImages, favorites]
+  );
+
+  useEffect(() => {
+    const missingKeys = sourceImages
+      .map((image) => image.id)
+      .filter((key) => !requestedCaptions.current.has(key));
+    if (missingKeys.length === 0) return;
+    missingKeys.forEach((key) => requestedCaptions.current.add(key));
+
+    for (let i = 0; i < missingKeys.length; i += LOOKUP_BATCH_SIZE) {
+      const batch = missingKeys.slice(i, i + LOOKUP_BATCH_SIZE);
+      fetchCaptions(batch)
+        .then(({ captions }) =>
+          setImageCaptions((prev) => ({ ...prev, ...captions }))
+        )
+        .catch((error) => {
+          console.error("Error loading captions:", error);
+          batch.forEach((key) => requestedCaptions.current.delete(key));
+        });
+    }
+  }, [sourceImages]);
+
+  const fileTypes = useMemo(
+    () =>
+      [...new Set(sourceImages.map((image) => getFileType(image.id)))].sort(),
+    [sourceImages]
+  );
+
+  const viewedImages = useMemo(
+    () =>
+      applyViewOptions(sourceImages, viewOptions, {
+        getDimensions: (image) =>
+          imageDimensions[image.id] || image.placeholder,
+        getExif: (id) => exifData[id],
+      }),
+    [sourceImages, viewOptions, imageDimensions, exifData]
+  );
+
+  const isSearching = searchQuery.trim() !== "";
+
+  // The index keeps its entries between searches and only rebuilds the ones
+  // whose captions or EXIF have arrived since.
+  const { results: searchedImages, highlights: searchHighlights } =
+    useMemo(() => {
+      if (!searchIndex.current) searchIndex.current = createSearchIndex();
+      return searchIndex.current.search(searchQuery, viewedImages, {
+        getCaptions: (id) => imageCaptions[id],
+        getExif: (id) => exifData[id],
+      });
+    }, [searchQuery, viewedImages, imageCaptions, exifData]);
+
+  const getLocation = useCallback(
+    (image) => getImageLocation(image, exifData[image.id]),
+    [exifData]
+  );
+
+  const displayedImages = useMemo(() => {
+    if (!mapArea) return searchedImages;
+    const isInArea = createAreaFilter(mapArea);
+    return searchedImages.filter((image) => {
+      const location = getLocation(image);
+      return location && isInArea(location);
+    });
+  }, [searchedImages, mapArea, getLocation]);
+
+  const selection = useSelection({
+    items: displayedImages,
+    getItemKey: getImageId,
+    keyboard: !selectedImage && !showUploadPanel,
+  });
+  const { toggle: toggleSelected, clear: clearSelection } = selection;
+
+  useEffect(() => {
+    clearSelection();
+  }, [albumPrefix, showFavorites, clearSelection]);
+
+  const getTileLongPressProps = useLongPress((image) =>
+    toggleSelected(image.id)
+  );
+
+  const getDateGroup = useMemo(
+    () =>
+      isDateSort(viewOptions.sort) && !isSearching
+        ? (image) =>
+            getMonthKey(
+              getImageDate(image, viewOptions.sort, exifData[image.id])
+            )
+        : undefined,
+    [viewOptions.sort, isSearching, exifData]
+  );
+
+  const updateViewOptions = useCallback(
+    (changes) => {
+      const nextViewOptions = { ...viewOptions, ...changes };
+      setViewOptions(nextViewOptions);
+      window.history.replaceState(
+        window.history.state,
+        "",
+        applyViewOptionsToUrl(new URL(window.location), nextViewOptions)
+      );
+    },
+    [viewOptions]
+  );
+
+  const updateSearchQuery = useCallback((query) => {
+    setSearchQuery(query);
+    const newUrl = new URL(window.location);
+    if (query.trim()) {
+      newUrl.searchParams.set("q", query);
+    } else {
+      newUrl.searchParams.delete("q");
+    }
+    window.history.replaceState(window.history.state, "", newUrl);
+  }, []);
+
+  // Lassoing an area on the map filters the grid, so the grid is shown as
+  // soon as an area is drawn.
+  const handleMapAreaChange = useCallback(
+    (area) => {
+      setMapArea(area);
+      if (area) updateViewOptions({ layout: "grid" });
+    },
+    [updateViewOptions]
+  );
+
+  const getMarkerSrc = useCallback(
+    (image) =>
+      (!failedThumbnails.has(image.id) &&
+        getThumbnailSrc(image.thumbnails, 400)) ||
+      image.url,
+    [failedThumbnails]
+  );
+
+  const resetFilters = useCallback(
+    () => updateViewOptions({ orientation: "", type: "", from: "", to: "" }),
+    [updateViewOptions]
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+    getOfflineImageIds(displayedImages)
+      .then((ids) => {
+        if (!cancelled) setOfflineImageIds(ids);
+      })
+      .catch((error) => console.error("Error checking offline images:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [displayedImages, selectedImage, pinnedIds]);
+
+  const pinFavoriteImages = async () => {
+    setPinning(true);
     try {
-      if (!isFullscreen) {
-        await lightboxRef.current.requestFullscreen();
-      } else {
-        await document.exitFullscreen();
-      }
+      await pinImages(
+        displayedImages.filter((image) => !pinnedIds.includes(image.id))
+      );
     } catch (error) {
-      console.error("Fullscreen error:", error);
+      console.error("Error saving favorites for offline use:", error);
+    } finally {
+      setPinnedIds(getPinnedIds());
+      setPinning(false);
     }
   };
 
-  const handleClose = async () => {
-    if (isFullscreen) {
-      try {
-        await document.exitFullscreen();
-      } catch (error) {
-        console.error("Error exiting fullscreen:", error);
+  const unpinFavoriteImages = async () => {
+    try {
+      await unpinImages(pinnedIds);
+    } catch (error) {
+      console.error("Error removing offline favorites:", error);
+    } finally {
+      setPinnedIds(getPinnedIds());
+    }
+  };
+
+  const handleDownloadOriginal = async (image) => {
+    try {
+      await downloadOriginal(image.id);
+    } catch (error) {
+      console.error("Error downloading image:", error);
+    }
+  };
+
+  const isDownloading =
+    download?.status === "preparing" || download?.status === "running";
+
+  const startZipDownload = async (options) => {
+    if (downloadController.current) return;
+    const controller = new AbortController();
+    downloadController.current = controller;
+    setDownload({ filename: options.filename, status: "preparing" });
+
+    try {
+      const result = await downloadZip({
+        ...options,
+        signal: controller.signal,
+        onProgress: (progress) =>
+          setDownload((prev) => ({ ...prev, status: "running", progress })),
+      });
+      setDownload((prev) => ({ ...prev, status: "done", result }));
+    } catch (error) {
+      if (error.name === "AbortError") {
+        setDownload((prev) => ({ ...prev, status: "cancelled" }));
+      } else if (error.name === "QuotaExceededError") {
+        setDownload((prev) => ({ ...prev, status: "too-large" }));
+      } else {
+        console.error("Error downloading ZIP:", error);
+        setDownload((prev) => ({ ...prev, status: "error" }));
       }
+    } finally {
+      downloadController.current = null;
     }
-    setSelectedImage(null);
   };
 
-  const toggleFavorite = (e, imageId) => {
-    e.stopPropagation();
-    setFavorites((prev) => {
-      const newFavorites = prev.includes(imageId)
-        ? prev.filter((id) => id !== imageId)
-        : [...prev, imageId];
+  const downloadFavorites = () =>
+    startZipDownload({
+      filename: "pixel-lens-favorites.zip",
+      loadImages: (signal) => lookupImagesByKey(favorites, signal),
+    });
 
-      localStorage.setItem("pixelLens-favorites", JSON.stringify(newFavorites));
-      return newFavorites;
+  const downloadAlbum = () =>
+    startZipDownload({
+      filename: `${getAlbumName(albumPrefix)}.zip`,
+      loadImages: (signal) => listAlbumImages(albumPrefix, signal),
+      stripPrefix: albumPrefix,
     });
+
+  const selectedIds = [...selection.selectedIds];
+
+  const unfavoriteSelection = () => {
+    removeFavorites(selectedIds);
+    const pinnedSelection = selectedIds.filter((id) => pinnedIds.includes(id));
+    if (pinnedSelection.length > 0) {
+      unpinImages(pinnedSelection).then(() => setPinnedIds(getPinnedIds()));
+    }
   };
 
-  const isFavorite = (imageId) => favorites.includes(imageId);
+  const downloadSelection = () =>
+    startZipDownload({
+      filename: "pixel-lens-selection.zip",
+      loadImages: (signal) => lookupImagesByKey(selectedIds, signal),
+    });
 
-  const handleImageClick = useCallback(async (image) => {
+  const copySelectionLinks = async () => {
     try {
-      setSelectedImage(image);
-      const newUrl = new URL(window.location);
-      newUrl.searchParams.set("image", image.id);
-      window.history.pushState({}, "", newUrl);
+      await navigator.clipboard.writeText(
+        selectedIds.map(getShareUrl).join("\n")
+      );
+      announce(
+        `${selectedIds.length} link${
+          selectedIds.length !== 1 ? "s" : ""
+        } copied!`
+      );
     } catch (error) {
-      console.error("Error handling image click:", error);
+      console.error("Error copying links:", error);
     }
-  }, []);
+  };
+
+  // Shift-click selects a range, and while selecting a plain click toggles the
+  // photo instead of opening it.
+  const handleTileClick = (e, image) => {
+    if (e.shiftKey) {
+      window.getSelection()?.removeAllRanges();
+      selection.selectRange(image.id);
+    } else if (selection.isSelecting) {
+      selection.toggle(image.id);
+    } else {
+      handleImageClick(image);
+    }
+  };
+
+  // Reloads the listing and any resolved favorites after the owner changed
+  // the bucket or signed in or out, which changes what is visible.
+  const refreshGallery = () => {
+    loadImagesFromS3();
+    if (requestedFavorites.current.size === 0) return;
+    loadFavoriteImages([...requestedFavorites.current])
+      .then(({ images: found }) => setFavoriteImages(found))
+      .catch((error) => console.error("Error reloading favorites:", error));
+  };
+
+  const handleAdminSignIn = async (password) => {
+    await admin.login(password);
+    refreshGallery();
+  };
+
+  const handleAdminSignOut = async () => {
+    setShowAdminPanel(false);
+    try {
+      await admin.logout();
+    } catch (error) {
+      console.error("Error signing out:", error);
+    }
+    refreshGallery();
+  };
+
+  const handleAdminError = (error) => {
+    if (error.status === 401) expireAdmin();
+    console.error("Error changing the gallery:", error);
+    announce(error.message);
+  };
+
+  const applyMutation = ({ mutation }) => {
+    clearSelection();
+    refreshGallery();
+    if (mutation) {
+      setLastMutation(mutation);
+      setAdminLogVersion((version) => version + 1);
+    }
+  };
+
+  const runAdminAction = (task) =>
+    task().then(applyMutation).catch(handleAdminError);
+
+  const deleteSelection = () => {
+    if (
+      !window.confirm(
+        `Delete ${selectedIds.length} photo${
+          selectedIds.length !== 1 ? "s" : ""
+        }? This can be undone from the admin log for a while.`
+      )
+    ) {
+      return;
+    }
+    runAdminAction(() => deleteImages(selectedIds));
+  };
+
+  const dismissUndoToast = useCallback(() => setLastMutation(null), []);
+
+  const undoMutation = async (mutation) => {
+    try {
+      await undoAdminMutation(mutation.id);
+      setLastMutation(null);
+      setAdminLogVersion((version) => version + 1);
+      refreshGallery();
+      announce(`Undid "${mutation.summary}"`);
+    } catch (error) {
+      handleAdminError(error);
+    }
+  };
+
+  const getTileAspectRatio = useCallback(
+    (image) => {
+      const dimensions = imageDimensions[image.id] || image.placeholder;
+      return dimensions ? dimensions.height / dimensions.width : 1;
+    },
+    [imageDimensions]
+  );
+
+  const selectedIndex = selectedImage
+    ? displayedImages.findIndex((image) => image.id === selectedImage.id)
+    : -1;
+
+  useEffect(() => {
+    if (
+      !showFavorites &&
+      selectedIndex !== -1 &&
+      selectedIndex >= displayedImages.length - 2 &&
+      hasMore
+    ) {
+      loadMoreImages();
+    }
+  }, [
+    showFavorites,
+    selectedIndex,
+    displayedImages.length,
+    hasMore,
+    loadMoreImages,
+  ]);
+
+  const openAlbum = useCallback(
+    (prefix) =>
+      navigate({
+        view: "gallery",
+        album: normalizeAlbumPrefix(prefix),
+        image: null,
+      }),
+    [navigate]
+  );
+
+  const toggleFavoritesView = useCallback(
+    () =>
+      navigate({ view: showFavorites ? "gallery" : "favorites", image: null }),
+    [navigate, showFavorites]
+  );
+
+  const handleImageClick = useCallback(
+    (image) => navigate({ image: image.id }),
+    [navigate]
+  );
+
+  // Stepping through photos replaces the entry, so Back returns to the grid.
+  const navigateToImage = useCallback(
+    (image) => navigate({ image: image.id }, { replace: true }),
+    [navigate]
+  );
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-900 via-[#1F1F3C] to-[#2D1B3D]">
@@ -445,26 +1065,76 @@ const PhotoGallery = () => {
               </div>
             </div>
 
+            <div className="flex-1 min-w-0 flex justify-center mx-3 sm:mx-6">
+              <Breadcrumb albumPrefix={albumPrefix} onNavigate={openAlbum} />
+            </div>
+
             <div className="flex items-center space-x-2">
-              {" "}
-              {/* <button
-                onClick={() => setShowFavorites(!showFavorites)}
-                className={`flex items-center space-x-2 px-3 sm:px-4 py-1.5 sm:py-2 rounded-lg 
+              <SearchBox value={searchQuery} onChange={updateSearchQuery} />
+              {!isOnline && (
+                <span
+                  className="flex items-center space-x-2 px-3 sm:px-4 py-1.5 sm:py-2 rounded-lg bg-yellow-500/10 text-yellow-400"
+                  title="You are offline. Only saved photos can be shown."
+                >
+                  <WifiOff className="w-4 h-4" />
+                  <span className="hidden sm:inline">Offline</span>
+                </span>
+              )}
+              {albumPrefix && !showFavorites && isOnline && (
+                <button
+                  onClick={downloadAlbum}
+                  disabled={isDownloading}
+                  className="flex items-center space-x-2 px-3 sm:px-4 py-1.5 sm:py-2 rounded-lg
+                    transition-all duration-300 ease-out transform hover:scale-105 active:scale-95
+                    bg-white/5 text-white/70 hover:bg-white/10 disabled:opacity-40"
+                  title="Download this album as a ZIP file"
+                >
+                  <FolderDown className="w-4 h-4" />
+                  <span className="hidden sm:inline">Download</span>
+                </button>
+              )}
+              {admin.isAdmin && (
+                <button
+                  onClick={() => setShowAdminPanel(true)}
+                  className="flex items-center space-x-2 px-3 sm:px-4 py-1.5 sm:py-2 rounded-lg
+                    transition-all duration-300 ease-out transform hover:scale-105 active:scale-95
+                    bg-purple-500/20 text-purple-300 hover:bg-purple-500/30"
+                  title="Admin activity and sign out"
+                >
+                  <ShieldCheck className="w-4 h-4" />
+                  <span className="hidden sm:inline">Admin</span>
+                </button>
+              )}
+              {capabilities.uploads && admin.isAdmin && isOnline && (
+                <button
+                  onClick={() => setShowUploadPanel(true)}
+                  className="flex items-center space-x-2 px-3 sm:px-4 py-1.5 sm:py-2 rounded-lg
+                    transition-all duration-300 ease-out transform hover:scale-105 active:scale-95
+                    bg-white/5 text-white/70 hover:bg-white/10"
+                  title="Upload photos"
+                >
+                  <Upload className="w-4 h-4" />
+                  <span className="hidden sm:inline">Upload</span>
+                </button>
+              )}
+              <button
+                onClick={toggleFavoritesView}
+                className={`relative flex items-center space-x-2 px-3 sm:px-4 py-1.5 sm:py-2 rounded-lg 
                   transition-all duration-300 ease-out transform hover:scale-105 active:scale-95
                   ${
                     showFavorites
                       ? "bg-red-500/20 text-red-500"
                       : "bg-white/5 text-white/70 hover:bg-white/10"
                   }
-                  ${
-                    favorites.length > 0 ? "ring-2 ring-red-500/20" : ""
-                  } // Indication that there are favorites
+                  ${favorites.length > 0 ? "ring-2 ring-red-500/20" : ""}
                 `}
                 title={`${favorites.length} favorite${
                   favorites.length !== 1 ? "s" : ""
                 }`}
+                aria-pressed={showFavorites}
               >
                 <svg
+                  aria-hidden="true"
                   xmlns="http://www.w3.org/2000/svg"
                   viewBox="0 0 24 24"
                   fill={
@@ -493,13 +1163,35 @@ const PhotoGallery = () => {
                 {favorites.length > 0 && !showFavorites && (
                   <span className="absolute -top-1 -right-1 h-3 w-3 bg-red-500 rounded-full sm:hidden" />
                 )}
-              </button> */}
+              </button>
             </div>
           </div>
         </div>
       </header>
 
       <main className="pt-16 sm:pt-20 pb-8 sm:pb-12">
+        {showFavorites && !loading && (
+          <div className="px-2">
+            <FavoritesToolbar
+              favorites={favorites}
+              onImport={mergeFavorites}
+              syncEnabled={!!capabilities.favoritesSync}
+              syncToken={syncToken}
+              syncStatus={syncStatus}
+              onConnectSync={connectSync}
+              pinnedCount={
+                pinnedIds.filter((id) => favorites.includes(id)).length
+              }
+              pinning={pinning}
+              canPin={isOnline && typeof caches !== "undefined"}
+              onPin={pinFavoriteImages}
+              onUnpin={unpinFavoriteImages}
+              canDownload={isOnline}
+              downloading={isDownloading}
+              onDownload={downloadFavorites}
+            />
+          </div>
+        )}
         {loading ? (
           <div className="fixed inset-0 flex flex-col items-center justify-center bg-[#1F1F3C]/50 backdrop-blur-sm z-30">
             <div className="relative">
@@ -533,6 +1225,15 @@ const PhotoGallery = () => {
               </div>
             </div>
           </div>
+        ) : showFavorites &&
+          loadingFavorites &&
+          displayedImages.length === 0 ? (
+          <div className="flex items-center justify-center h-[50vh] text-white/60 text-sm">
+            <span className="flex items-center space-x-2">
+              <span className="w-2 h-2 bg-purple-500 rounded-full animate-ping" />
+              <span>Loading favorites...</span>
+            </span>
+          </div>
         ) : showFavorites && favorites.length === 0 ? (
           <div className="flex flex-col items-center justify-center h-[50vh] text-white/60 transform transition-all duration-300 ease-out">
             <svg
@@ -552,48 +1253,161 @@ const PhotoGallery = () => {
               Click the heart icon on any image to add it to your favorites
             </p>
           </div>
-        ) : images.length === 0 ? (
+        ) : !showFavorites && images.length === 0 && albums.length === 0 ? (
           <div className="flex flex-col items-center justify-center h-[50vh] text-white/60">
             <Camera className="h-12 w-12 sm:h-16 sm:w-16 mb-4" />
             <p className="text-lg sm:text-xl">No images found</p>
           </div>
         ) : (
           <div className="px-2">
-            <div className="columns-2 md:columns-3 lg:columns-4 xl:columns-5 gap-2 [column-fill:_balance]">
-              {images
-                .filter(
-                  (image) => !showFavorites || favorites.includes(image.id)
-                )
-                .map((image) => {
-                  const isLoaded = loadedImages.has(image.id);
-                  const dimensions = imageDimensions[image.id];
-                  const shouldLoad = visibleImages.has(image.id);
-
-                  return (
-                    <div
-                      key={image.id}
-                      ref={(el) => (imageRefs.current[image.id] = el)}
-                      data-image-id={image.id}
-                      className="relative group rounded-lg overflow-hidden 
+            {!showFavorites && albums.length > 0 && (
+              <AlbumIndex
+                albums={albums}
+                getImageSources={getImageSources}
+                onOpen={openAlbum}
+              />
+            )}
+            <ViewToolbar
+              viewOptions={viewOptions}
+              fileTypes={fileTypes}
+              onChange={updateViewOptions}
+              onReset={resetFilters}
+              isSelecting={selection.isSelecting}
+              onToggleSelecting={selection.toggleSelecting}
+            />
+            {viewOptions.layout === "map" ? (
+              <PhotoMap
+                images={searchedImages}
+                getLocation={getLocation}
+                getMarkerSrc={getMarkerSrc}
+                tiles={capabilities.mapTiles}
+                isOnline={isOnline}
+                area={mapArea}
+                onAreaChange={handleMapAreaChange}
+                onOpen={handleImageClick}
+              />
+            ) : (
+              <>
+                {mapArea && (
+                  <div className="flex items-center gap-2 mb-3 text-sm text-white/70">
+                    <LassoSelect className="h-4 w-4 text-purple-400" />
+                    <span>
+                      {displayedImages.length} photo
+                      {displayedImages.length !== 1 ? "s" : ""} in the selected
+                      map area
+                    </span>
+                    <button
+                      onClick={() => setMapArea(null)}
+                      className="flex items-center space-x-1 px-2 py-1 rounded-lg bg-white/5 hover:bg-white/10 transition-colors"
+                    >
+                      <X className="h-3.5 w-3.5" />
+                      <span>Clear area</span>
+                    </button>
+                  </div>
+                )}
+                {displayedImages.length === 0 &&
+                  (hasActiveFilters(viewOptions) || isSearching || mapArea) && (
+                    <div className="flex flex-col items-center justify-center h-[30vh] text-white/60">
+                      <p className="text-lg sm:text-xl mb-2">
+                        {isSearching
+                          ? `No photos match "${searchQuery.trim()}"`
+                          : mapArea
+                          ? "No photos in the selected map area"
+                          : "No photos match these filters"}
+                      </p>
+                      {hasMore && !showFavorites && (
+                        <p className="text-sm text-white/40">
+                          More photos are still loading
+                        </p>
+                      )}
+                    </div>
+                  )}
+                <MasonryGrid
+                  ref={masonryRef}
+                  items={displayedImages}
+                  getItemKey={getImageId}
+                  getAspectRatio={getTileAspectRatio}
+                  getGroup={getDateGroup}
+                  getGroupLabel={formatMonthKey}
+                  renderItem={(image, position, focusProps) => {
+                    const isLoaded = loadedImages.has(image.id);
+                    const { placeholder } = image;
+                    const useThumbnails =
+                      image.thumbnails && !failedThumbnails.has(image.id);
+                    const isAvailableOffline = offlineImageIds.has(image.id);
+                    const captions = imageCaptions[image.id];
+                    const highlights = searchHighlights[image.id] || {};
+                    const searchLabel = SEARCH_LABEL_FIELDS.map(
+                      (name) => highlights[name]
+                    ).find(Boolean);
+                    const isSelected = selection.selectedIds.has(image.id);
+                    const alt = getImageAlt(image, captions);
+
+                    return (
+                      <div
+                        key={image.id}
+                        data-image-id={image.id}
+                        className={`absolute group rounded-lg overflow-hidden 
                      cursor-pointer transition-all duration-300 
                      hover:-translate-y-1 border border-white/5 
                      shadow-lg shadow-purple-900/20 bg-[#1F1F3C]
-                     break-inside-avoid mb-2 inline-block w-full"
-                      style={{ marginBottom: "4px" }}
-                      onClick={() => handleImageClick(image)}
-                    >
-                      <div
-                        className="relative w-full overflow-hidden"
-                        style={{
-                          paddingBottom: dimensions
-                            ? `${(dimensions.height / dimensions.width) * 100}%`
-                            : "100%",
-                        }}
+                     ${
+                       !isOnline && !isAvailableOffline
+                         ? "opacity-40 grayscale"
+                         : ""
+                     }
+                     ${isSelected ? "ring-2 ring-purple-500" : ""}
+                     has-[:focus-visible]:ring-2 has-[:focus-visible]:ring-white
+                     ${image.hidden ? "opacity-60" : ""}
+                     ${selection.isSelecting ? "select-none" : ""}`}
+                        style={position}
+                        {...getTileLongPressProps(image)}
+                        onClick={(e) => handleTileClick(e, image)}
                       >
-                        {shouldLoad && (
+                        <div
+                          {...focusProps}
+                          role="button"
+                          aria-label={alt}
+                          aria-pressed={
+                            selection.isSelecting ? isSelected : undefined
+                          }
+                          onKeyDown={(e) => {
+                            if (e.key === "Enter" || e.key === " ") {
+                              e.preventDefault();
+                              handleTileClick(e, image);
+                            }
+                          }}
+                          className="relative w-full h-full overflow-hidden outline-none"
+                          style={{ backgroundColor: placeholder?.color }}
+                        >
+                          {placeholder?.lqip && (
+                            <img
+                              src={placeholder.lqip}
+                              alt=""
+                              aria-hidden="true"
+                              className="absolute inset-0 w-full h-full object-cover blur-lg scale-110"
+                            />
+                          )}
                           <img
-                            src={image.url}
-                            alt="gallery"
+                            src={
+                              useThumbnails
+                                ? getThumbnailSrc(image.thumbnails, 800)
+                                : image.url
+                            }
+                            srcSet={
+                              useThumbnails
+                                ? getThumbnailSrcSet(image.thumbnails)
+                                : undefined
+                            }
+                            sizes={useThumbnails ? GRID_SIZES : undefined}
+                            alt={alt}
+                            onError={() => {
+                              if (useThumbnails) {
+                                setFailedThumbnails(
+                                  (prev) => new Set([...prev, image.id])
+                                );
+                              }
+                            }}
                             onLoad={(e) => {
                               handleImageLoad(
                                 image.id,
@@ -605,91 +1419,179 @@ const PhotoGallery = () => {
                     transition-opacity duration-500 ease-in-out
                     ${isLoaded ? "opacity-100" : "opacity-0"}`}
                           />
-                        )}
 
-                        {(!shouldLoad || !isLoaded) && (
-                          <div className="absolute inset-0 bg-[#1F1F3C] animate-pulse">
-                            <div className="w-full h-full bg-white/5 rounded-lg" />
+                          {!placeholder && !isLoaded && (
+                            <div className="absolute inset-0 bg-[#1F1F3C] animate-pulse">
+                              <div className="w-full h-full bg-white/5 rounded-lg" />
+                            </div>
+                          )}
+                        </div>
+                        {image.hidden && !selection.isSelecting && (
+                          <div
+                            className="absolute top-1 left-1 z-10 p-1.5 sm:p-2 bg-black/50 rounded-full backdrop-blur-sm"
+                            title="Hidden from visitors"
+                          >
+                            <EyeOff className="w-3 h-3 sm:w-4 sm:h-4 text-white" />
                           </div>
                         )}
-                      </div>
-                      <div className="absolute bottom-1 left-1 z-10">
-                        <button
-                          onClick={(e) => handleShare(e, image)}
-                          className="p-1.5 sm:p-2 bg-black/50 hover:bg-black/70 rounded-full 
+                        {selection.isSelecting && (
+                          <div className="absolute top-1 left-1 z-10 p-1 sm:p-1.5 bg-black/50 rounded-full backdrop-blur-sm pointer-events-none">
+                            {isSelected ? (
+                              <CircleCheck className="w-4 h-4 sm:w-5 sm:h-5 text-purple-400" />
+                            ) : (
+                              <Circle className="w-4 h-4 sm:w-5 sm:h-5 text-white/70" />
+                            )}
+                          </div>
+                        )}
+                        <div className="absolute bottom-1 left-1 z-10">
+                          <button
+                            onClick={(e) => handleShare(e, image)}
+                            tabIndex={focusProps.tabIndex}
+                            className="p-1.5 sm:p-2 bg-black/50 hover:bg-black/70 rounded-full 
                         backdrop-blur-sm transition-colors group-hover:bg-black/70"
-                        >
-                          <svg
-                            xmlns="http://www.w3.org/2000/svg"
-                            width="14"
-                            height="14"
-                            viewBox="0 0 24 24"
-                            fill="none"
-                            stroke="currentColor"
-                            strokeWidth="2"
-                            strokeLinecap="round"
-                            strokeLinejoin="round"
-                            className="text-white sm:w-4 sm:h-4"
+                            title="Share image"
                           >
-                            <circle cx="18" cy="5" r="3" />
-                            <circle cx="6" cy="12" r="3" />
-                            <circle cx="18" cy="19" r="3" />
-                            <line x1="8.59" y1="13.51" x2="15.42" y2="17.49" />
-                            <line x1="15.41" y1="6.51" x2="8.59" y2="10.49" />
-                          </svg>
-                        </button>
-                      </div>
-                      <div className="absolute top-1 right-1 z-10">
-                        <button
-                          onClick={(e) => toggleFavorite(e, image.id)}
-                          className={`p-1.5 sm:p-2 rounded-full backdrop-blur-sm transition-all duration-300 
+                            <svg
+                              aria-hidden="true"
+                              xmlns="http://www.w3.org/2000/svg"
+                              width="14"
+                              height="14"
+                              viewBox="0 0 24 24"
+                              fill="none"
+                              stroke="currentColor"
+                              strokeWidth="2"
+                              strokeLinecap="round"
+                              strokeLinejoin="round"
+                              className="text-white sm:w-4 sm:h-4"
+                            >
+                              <circle cx="18" cy="5" r="3" />
+                              <circle cx="6" cy="12" r="3" />
+                              <circle cx="18" cy="19" r="3" />
+                              <line
+                                x1="8.59"
+                                y1="13.51"
+                                x2="15.42"
+                                y2="17.49"
+                              />
+                              <line x1="15.41" y1="6.51" x2="8.59" y2="10.49" />
+                            </svg>
+                          </button>
+                        </div>
+                        {isAvailableOffline && (
+                          <div
+                            className="absolute bottom-1 right-1 z-10 p-1.5 sm:p-2 bg-black/50 rounded-full backdrop-blur-sm"
+                            title="Available offline"
+                          >
+                            <HardDriveDownload className="w-3 h-3 sm:w-4 sm:h-4 text-white" />
+                          </div>
+                        )}
+                        <div className="absolute top-1 right-1 z-10">
+                          <button
+                            onClick={(e) => handleToggleFavorite(e, image.id)}
+                            tabIndex={focusProps.tabIndex}
+                            title={
+                              isFavorite(image.id)
+                                ? "Remove from favorites"
+                                : "Add to favorites"
+                            }
+                            aria-pressed={isFavorite(image.id)}
+                            className={`p-1.5 sm:p-2 rounded-full backdrop-blur-sm transition-all duration-300 
                     ${
                       isFavorite(image.id)
                         ? "bg-red-500/50 hover:bg-red-500/70"
                         : "bg-black/50 hover:bg-black/70"
                     }`}
-                        >
-                          <svg
-                            xmlns="http://www.w3.org/2000/svg"
-                            width="14"
-                            height="14"
-                            viewBox="0 0 24 24"
-                            fill="none"
-                            stroke="currentColor"
-                            strokeWidth="2"
-                            strokeLinecap="round"
-                            strokeLinejoin="round"
-                            className={`w-3 h-3 sm:w-4 sm:h-4 ${
-                              isFavorite(image.id) ? "text-white" : "text-white"
-                            }`}
                           >
-                            <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z" />
-                          </svg>
-                        </button>
-                      </div>
-                      <div>
-                        <div
-                          className="absolute inset-0 backdrop-blur-[4px] bg-[#1F1F3C]/40
+                            <svg
+                              aria-hidden="true"
+                              xmlns="http://www.w3.org/2000/svg"
+                              width="14"
+                              height="14"
+                              viewBox="0 0 24 24"
+                              fill="none"
+                              stroke="currentColor"
+                              strokeWidth="2"
+                              strokeLinecap="round"
+                              strokeLinejoin="round"
+                              className={`w-3 h-3 sm:w-4 sm:h-4 ${
+                                isFavorite(image.id)
+                                  ? "text-white"
+                                  : "text-white"
+                              }`}
+                            >
+                              <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z" />
+                            </svg>
+                          </button>
+                        </div>
+                        <div>
+                          <div
+                            className="absolute inset-0 backdrop-blur-[4px] bg-[#1F1F3C]/40
                   opacity-0 group-hover:opacity-100 
                   transition-all duration-300"
-                        />
-                        <div
-                          className="absolute inset-[1px] border-[0.5px] border-white/10
+                          />
+                          <div
+                            className="absolute inset-[1px] border-[0.5px] border-white/10
                   opacity-0 group-hover:opacity-100 
                   scale-[1.02] group-hover:scale-100
                   transition-all duration-500"
-                        />
-                        <div
-                          className="absolute inset-0 bg-gradient-to-br 
+                          />
+                          <div
+                            className="absolute inset-0 bg-gradient-to-br 
                   from-purple-500/10 to-pink-500/10
                   opacity-0 group-hover:opacity-100 
                   transition-all duration-500 delay-75"
-                        />
-                      </div>{" "}
-                    </div>
-                  );
-                })}
-            </div>
+                          />
+                        </div>{" "}
+                        {(captions?.title || captions?.caption) && (
+                          <div className="absolute inset-x-0 top-1/2 -translate-y-1/2 z-10 px-3 text-center pointer-events-none opacity-0 group-hover:opacity-100 transition-opacity duration-300">
+                            {captions.title && (
+                              <p className="text-sm font-semibold text-white line-clamp-2">
+                                <HighlightedText
+                                  text={captions.title}
+                                  ranges={highlights.title?.ranges}
+                                />
+                              </p>
+                            )}
+                            {captions.caption && (
+                              <p className="mt-1 text-xs text-white/80 line-clamp-3">
+                                <HighlightedText
+                                  text={captions.caption}
+                                  ranges={highlights.caption?.ranges}
+                                />
+                              </p>
+                            )}
+                          </div>
+                        )}
+                        {searchLabel && (
+                          <div className="absolute top-1 left-1 right-10 z-10 pointer-events-none">
+                            <span className="inline-block max-w-full truncate px-2 py-0.5 rounded-full text-xs text-white/80 bg-black/50 backdrop-blur-sm">
+                              <HighlightedText
+                                text={searchLabel.text}
+                                ranges={searchLabel.ranges}
+                              />
+                            </span>
+                          </div>
+                        )}
+                      </div>
+                    );
+                  }}
+                />
+              </>
+            )}
+            {!showFavorites && hasMore && (
+              <div
+                ref={loadMoreSentinelRef}
+                data-load-more="true"
+                className="flex items-center justify-center h-16 text-white/60 text-sm"
+              >
+                {loadingMore && (
+                  <span className="flex items-center space-x-2">
+                    <span className="w-2 h-2 bg-purple-500 rounded-full animate-ping" />
+                    <span>Loading more photos...</span>
+                  </span>
+                )}
+              </div>
+            )}
           </div>
         )}
         <footer className="relative w-full backdrop-blur-sm border-t border-white/10 mt-8">
@@ -701,83 +1603,130 @@ const PhotoGallery = () => {
               </span>{" "}
               by Pranav
             </p>
+            {admin.isEnabled && !admin.isAdmin && (
+              <p className="text-center mt-1">
+                <button
+                  onClick={() => setShowAdminSignIn(true)}
+                  className="px-1 py-0 bg-transparent text-xs text-white/40 hover:text-white/70 transition-colors"
+                >
+                  Owner sign in
+                </button>
+              </p>
+            )}
           </div>
         </footer>
       </main>
 
-      {selectedImage && (
-        <div ref={lightboxRef} className="fixed inset-0 z-50">
-          <div
-            className="absolute inset-0 backdrop-blur-md bg-black/60"
-            onClick={handleClose}
-          />
-
-          <div className="absolute top-4 sm:top-6 right-4 sm:right-6 flex items-center space-x-3 sm:space-x-4 z-50">
-            <button
-              onClick={(e) => toggleFavorite(e, selectedImage.id)}
-              className={`p-2 sm:p-3 rounded-full transition-all duration-300 
-               ${
-                 isFavorite(selectedImage.id)
-                   ? "bg-red-500/50 hover:bg-red-500/70"
-                   : "bg-black/50 hover:bg-black/70"
-               }`}
-            >
-              <svg
-                xmlns="http://www.w3.org/2000/svg"
-                viewBox="0 0 24 24"
-                fill={isFavorite(selectedImage.id) ? "currentColor" : "none"}
-                stroke="currentColor"
-                strokeWidth="2"
-                strokeLinecap="round"
-                strokeLinejoin="round"
-                className="h-5 w-5 sm:h-6 sm:w-6 text-white"
-              >
-                <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z" />
-              </svg>
-            </button>
-
-            <button
-              onClick={(e) => handleShare(e, selectedImage)}
-              className="p-2 sm:p-3 bg-black/50 hover:bg-black/70 rounded-full transition-all duration-300
-                backdrop-blur-sm text-white/90 hover:text-white"
-              title="Share image"
-            >
-              <Share2 className="h-5 w-5 sm:h-6 sm:w-6" />
-            </button>
+      {showUploadPanel && admin.isAdmin && (
+        <UploadPanel
+          albumPrefix={albumPrefix}
+          albums={albums}
+          multipart={capabilities.multipart}
+          onUploaded={handleUploaded}
+          onClose={() => setShowUploadPanel(false)}
+        />
+      )}
 
-            <button
-              onClick={handleFullscreen}
-              className="p-2 sm:p-3 bg-black/50 rounded-full"
-            >
-              {isFullscreen ? (
-                <Minimize2 className="h-5 w-5 sm:h-6 sm:w-6 text-white" />
-              ) : (
-                <Maximize2 className="h-5 w-5 sm:h-6 sm:w-6 text-white" />
-              )}
-            </button>
-            <button
-              onClick={handleClose}
-              className="p-2 sm:p-3 bg-black/50 rounded-full"
-            >
-              <X className="h-5 w-5 sm:h-6 sm:w-6 text-white" />
-            </button>
-          </div>
+      {selection.isSelecting && (
+        <SelectionBar
+          count={selectedIds.length}
+          totalCount={displayedImages.length}
+          onSelectAll={selection.selectAll}
+          onFavorite={() => mergeFavorites(selectedIds)}
+          onUnfavorite={unfavoriteSelection}
+          onDownload={downloadSelection}
+          canDownload={isOnline && !isDownloading}
+          onCopyLinks={copySelectionLinks}
+          onClear={selection.clear}
+          canManage={admin.isAdmin && isOnline}
+          canSetCover={!!albumPrefix && !showFavorites}
+          onMove={() => setMoveKeys(selectedIds)}
+          onHide={() =>
+            runAdminAction(() => setImagesHidden(selectedIds, true))
+          }
+          onUnhide={() =>
+            runAdminAction(() => setImagesHidden(selectedIds, false))
+          }
+          onSetCover={() =>
+            runAdminAction(() => setAlbumCover(albumPrefix, selectedIds[0]))
+          }
+          onDelete={deleteSelection}
+        />
+      )}
 
-          <div
-            className="relative w-full h-full flex items-center justify-center p-4 sm:p-8 z-40"
-            onClick={handleClose}
-          >
-            <img
-              src={selectedImage.url}
-              alt="enlarged view"
-              className={`
-                max-h-[90vh] max-w-[90vw] object-contain rounded-lg 
-                ${isFullscreen ? "h-screen w-screen rounded-none" : ""}
-              `}
-              onClick={(e) => e.stopPropagation()}
-            />
-          </div>
-        </div>
+      {moveKeys && (
+        <MoveDialog
+          keys={moveKeys}
+          albumPrefix={albumPrefix}
+          onMove={async (moves) => {
+            try {
+              applyMutation(await moveImages(moves));
+            } catch (error) {
+              if (error.status === 401) expireAdmin();
+              throw error;
+            }
+          }}
+          onClose={() => setMoveKeys(null)}
+        />
+      )}
+
+      <LiveStatus message={statusMessage} />
+
+      {lastMutation && (
+        <UndoToast
+          mutation={lastMutation}
+          onUndo={() => undoMutation(lastMutation)}
+          onDismiss={dismissUndoToast}
+        />
+      )}
+
+      {showAdminSignIn && (
+        <AdminSignIn
+          onSignIn={handleAdminSignIn}
+          onClose={() => setShowAdminSignIn(false)}
+        />
+      )}
+
+      {showAdminPanel && admin.isAdmin && (
+        <AdminPanel
+          refreshKey={adminLogVersion}
+          onUndo={undoMutation}
+          onSignOut={handleAdminSignOut}
+          onClose={() => setShowAdminPanel(false)}
+        />
+      )}
+
+      {download && (
+        <DownloadProgress
+          download={download}
+          onCancel={() => downloadController.current?.abort()}
+          onDismiss={() => setDownload(null)}
+        />
+      )}
+
+      {selectedImage && (
+        <Lightbox
+          image={selectedImage}
+          images={displayedImages}
+          favorites={favorites}
+          previousImage={
+            selectedIndex > 0 ? displayedImages[selectedIndex - 1] : null
+          }
+          nextImage={
+            selectedIndex !== -1 && selectedIndex < displayedImages.length - 1
+              ? displayedImages[selectedIndex + 1]
+              : null
+          }
+          onNavigate={navigateToImage}
+          isFavorite={isFavorite(selectedImage.id)}
+          onToggleFavorite={handleToggleFavorite}
+          onShare={handleShare}
+          onDownload={handleDownloadOriginal}
+          onClose={handleClose}
+          exif={exifData[selectedImage.id]}
+          captions={imageCaptions[selectedImage.id]}
+          getAlt={(image) => getImageAlt(image, imageCaptions[image.id])}
+        />
       )}
     </div>
   );
@@ -0,0 +1,18 @@
+export const normalizeAlbumPrefix = (prefix) =>
+  prefix ? prefix.replace(/^\/+/, "").replace(/\/*$/, "/") : "";
+
+export const getAlbumPrefixForKey = (key) =>
+  key.includes("/") ? key.slice(0, key.lastIndexOf("/") + 1) : "";
+
+export const getAlbumName = (prefix) => {
+  const segments = prefix.split("/").filter(Boolean);
+  return segments[segments.length - 1] || "All photos";
+};
+
+export const getAlbumTrail = (prefix) => {
+  const segments = prefix.split("/").filter(Boolean);
+  return segments.map((segment, index) => ({
+    name: segment,
+    prefix: `${segments.slice(0, index + 1).join("/")}/`,
+  }));
+};
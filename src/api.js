@@ -0,0 +1,100 @@
+const API_BASE = import.meta.env.VITE_API_BASE || "/api";
+
+const request = async (path, options) => {
+  const response = await fetch(`${API_BASE}${path}`, options);
+  if (!response.ok) {
+    const body = await response.json().catch(() => null);
+    const error = new Error(
+      body?.error || `Request to ${path} failed with ${response.status}`
+    );
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+};
+
+const send = (method, path, body) =>
+  request(path, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+const post = (path, body) => send("POST", path, body);
+
+const toQuery = (params) => {
+  const searchParams = new URLSearchParams();
+  Object.entries(params).forEach(([name, value]) => {
+    if (value !== undefined && value !== null && value !== "") {
+      searchParams.set(name, value);
+    }
+  });
+  const query = searchParams.toString();
+  return query ? `?${query}` : "";
+};
+
+export const fetchImagePage = ({ prefix, cursor, limit, delimiter } = {}) =>
+  request(`/images${toQuery({ prefix, cursor, limit, delimiter })}`);
+
+export const fetchAlbums = (prefix) => request(`/albums${toQuery({ prefix })}`);
+
+export const fetchImageUrl = (key) =>
+  request(`/images/${encodeURIComponent(key)}/url`);
+
+export const fetchImageUrls = (keys) => post("/images/urls", { keys });
+
+export const fetchDownloadUrl = (key) =>
+  request(`/images/${encodeURIComponent(key)}/download`);
+
+export const lookupImages = (keys) => post("/images/lookup", { keys });
+
+export const fetchCaptions = (keys) => post("/images/captions", { keys });
+
+export const fetchImageMetadata = (key) =>
+  request(`/images/${encodeURIComponent(key)}/metadata`);
+
+export const fetchCapabilities = () => request("/capabilities");
+
+export const createUploadUrl = (key, contentType) =>
+  post("/uploads", { key, contentType });
+
+export const createMultipartUpload = (key, contentType) =>
+  post("/uploads/multipart", { key, contentType });
+
+export const fetchUploadedParts = (key, uploadId) =>
+  request(`/uploads/multipart/parts${toQuery({ key, uploadId })}`);
+
+export const createUploadPartUrl = (key, uploadId, partNumber) =>
+  post("/uploads/multipart/parts", { key, uploadId, partNumber });
+
+export const completeMultipartUpload = (key, uploadId, parts) =>
+  post("/uploads/multipart/complete", { key, uploadId, parts });
+
+export const abortMultipartUpload = (key, uploadId) =>
+  post("/uploads/multipart/abort", { key, uploadId });
+
+export const fetchSyncedFavorites = (token) => request(`/favorites/${token}`);
+
+export const saveSyncedFavorites = (token, favorites, updatedAt) =>
+  send("PUT", `/favorites/${token}`, { favorites, updatedAt });
+
+export const fetchAdminSession = () => request("/admin/session");
+
+export const signIn = (password) => post("/admin/login", { password });
+
+export const signOut = () => post("/admin/logout", {});
+
+export const fetchAdminMutations = () => request("/admin/mutations");
+
+export const undoAdminMutation = (id) =>
+  post(`/admin/mutations/${encodeURIComponent(id)}/undo`, {});
+
+export const deleteImages = (keys) => post("/admin/images/delete", { keys });
+
+export const moveImages = (moves) => post("/admin/images/move", { moves });
+
+export const setImagesHidden = (keys, hidden) =>
+  post("/admin/images/visibility", { keys, hidden });
+
+export const setAlbumCover = (prefix, key) =>
+  post("/admin/albums/cover", { prefix, key });
@@ -0,0 +1,7 @@
+const getBaseName = (key) =>
+  key.slice(key.lastIndexOf("/") + 1).replace(/\.[^.]+$/, "");
+
+// Alt text falls back to the title and then to the file name, which is still
+// more useful to a screen reader than a generic label.
+export const getImageAlt = (image, captions) =>
+  captions?.alt || captions?.title || getBaseName(image.id);
@@ -0,0 +1,112 @@
+import { useCallback, useEffect, useState } from "react";
+import { LogOut, RefreshCw, Undo2, X } from "lucide-react";
+import { fetchAdminMutations } from "../api";
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+
+// The owner's activity log, newest first, with undo for recent changes.
+const AdminPanel = ({ onUndo, onSignOut, onClose, refreshKey }) => {
+  const [log, setLog] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadLog = useCallback(async () => {
+    try {
+      setLog(await fetchAdminMutations());
+      setError(null);
+    } catch (loadError) {
+      console.error("Error loading admin log:", loadError);
+      setError(loadError.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadLog();
+  }, [loadLog, refreshKey]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+
+      <aside className="relative w-full max-w-md h-full flex flex-col bg-[#1F1F3C] border-l border-white/10 shadow-xl text-white">
+        <div className="flex items-center justify-between px-4 py-3 border-b border-white/10">
+          <h2 className="text-lg font-semibold">Admin activity</h2>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={loadLog}
+              className="p-1.5 bg-black/30 hover:bg-black/50 rounded-full"
+              title="Refresh"
+            >
+              <RefreshCw className="h-4 w-4" />
+            </button>
+            <button
+              onClick={onClose}
+              className="p-1.5 bg-black/30 hover:bg-black/50 rounded-full"
+              title="Close"
+            >
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-2">
+          {log && (
+            <p className="text-xs text-white/50">
+              Changes can be undone for {Math.round(log.undoWindow / 60000)}{" "}
+              minutes. Deleted photos are removed for good after that.
+            </p>
+          )}
+          {error && <p className="text-sm text-red-400">{error}</p>}
+          {log?.mutations.length === 0 && (
+            <p className="text-sm text-white/60">No changes yet.</p>
+          )}
+          {log?.mutations.map((mutation) => (
+            <div
+              key={mutation.id}
+              className="flex items-start gap-3 p-3 rounded-lg bg-black/20 border border-white/10"
+            >
+              <div className="flex-1 min-w-0">
+                <p
+                  className={`text-sm break-words ${
+                    mutation.undoneAt ? "line-through text-white/40" : ""
+                  }`}
+                >
+                  {mutation.summary}
+                </p>
+                <p className="text-xs text-white/50">
+                  {formatTime(mutation.at)}
+                  {mutation.undoneAt &&
+                    ` · undone ${formatTime(mutation.undoneAt)}`}
+                </p>
+              </div>
+              {mutation.undoable && (
+                <button
+                  onClick={() => onUndo(mutation)}
+                  className="flex items-center space-x-1 px-2 py-1 rounded-lg text-xs bg-white/5 text-white/70 hover:bg-white/10 transition-colors"
+                >
+                  <Undo2 className="h-3.5 w-3.5" />
+                  <span>Undo</span>
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="px-4 py-3 border-t border-white/10">
+          <button
+            onClick={onSignOut}
+            className="flex items-center space-x-2 px-3 py-1.5 rounded-lg text-sm bg-white/5 text-white/70 hover:bg-white/10 transition-colors"
+          >
+            <LogOut className="h-4 w-4" />
+            <span>Sign out</span>
+          </button>
+        </div>
+      </aside>
+    </div>
+  );
+};
+
+export default AdminPanel;
@@ -0,0 +1,73 @@
+import { useState } from "react";
+import { LogIn, X } from "lucide-react";
+
+const AdminSignIn = ({ onSignIn, onClose }) => {
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [signingIn, setSigningIn] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSigningIn(true);
+    setError(null);
+    try {
+      await onSignIn(password);
+      onClose();
+    } catch (signInError) {
+      console.error("Error signing in:", signInError);
+      setError(signInError.message);
+      setSigningIn(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div
+        className="absolute inset-0 backdrop-blur-md bg-black/60"
+        onClick={onClose}
+      />
+
+      <form
+        onSubmit={handleSubmit}
+        className="relative w-full max-w-sm bg-[#1F1F3C] border border-white/10 rounded-lg shadow-lg shadow-purple-900/20 text-white"
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-white/10">
+          <h2 className="text-lg font-semibold">Owner sign in</h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-1.5 bg-black/30 hover:bg-black/50 rounded-full"
+            title="Close"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-3">
+          <label className="block text-sm text-white/70">
+            Password
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              autoFocus
+              className="mt-1 w-full px-3 py-2 rounded-lg bg-black/30 border border-white/10 text-white focus:outline-none focus:border-purple-500"
+            />
+          </label>
+          {error && <p className="text-sm text-red-400">{error}</p>}
+          <button
+            type="submit"
+            disabled={!password || signingIn}
+            className="w-full flex items-center justify-center space-x-2 px-4 py-2 rounded-lg bg-gradient-to-r from-purple-500 to-pink-500 text-white disabled:opacity-50"
+          >
+            <LogIn className="h-4 w-4" />
+            <span>{signingIn ? "Signing in..." : "Sign in"}</span>
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default AdminSignIn;
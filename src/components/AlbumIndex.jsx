@@ -0,0 +1,78 @@
+import { useEffect, useState } from "react";
+import { Folder } from "lucide-react";
+import { getAlbumName } from "../albums";
+import { getThumbnailSrc } from "../thumbnails";
+
+const AlbumCard = ({ album, getImageSources, onOpen }) => {
+  const [coverSources, setCoverSources] = useState(null);
+  const [thumbnailFailed, setThumbnailFailed] = useState(false);
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    if (album.cover) {
+      getImageSources(album.cover).then((sources) => {
+        if (!cancelled) setCoverSources(sources);
+      });
+    }
+    return () => {
+      cancelled = true;
+    };
+  }, [album.cover, getImageSources]);
+
+  const coverUrl = coverSources
+    ? (!thumbnailFailed && getThumbnailSrc(coverSources.thumbnails, 800)) ||
+      coverSources.url
+    : null;
+
+  return (
+    <button
+      onClick={() => onOpen(album.prefix)}
+      className="relative group rounded-lg overflow-hidden text-left p-0
+        transition-all duration-300 hover:-translate-y-1 border border-white/5
+        shadow-lg shadow-purple-900/20 bg-[#1F1F3C]"
+    >
+      <div className="relative w-full pb-[75%] overflow-hidden">
+        {coverUrl && (
+          <img
+            src={coverUrl}
+            alt=""
+            onLoad={() => setIsLoaded(true)}
+            onError={() => setThumbnailFailed(true)}
+            className={`absolute inset-0 w-full h-full object-cover
+              transition-all duration-500 group-hover:scale-105
+              ${isLoaded ? "opacity-100" : "opacity-0"}`}
+          />
+        )}
+        {!isLoaded && (
+          <div className="absolute inset-0 flex items-center justify-center bg-white/5 animate-pulse">
+            <Folder className="h-8 w-8 text-white/30" />
+          </div>
+        )}
+        <div className="absolute inset-x-0 bottom-0 p-3 bg-gradient-to-t from-black/80 to-transparent">
+          <p className="text-white font-medium truncate">
+            {getAlbumName(album.prefix)}
+          </p>
+          <p className="text-xs text-white/60">
+            {album.count} photo{album.count !== 1 ? "s" : ""}
+          </p>
+        </div>
+      </div>
+    </button>
+  );
+};
+
+const AlbumIndex = ({ albums, getImageSources, onOpen }) => (
+  <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 gap-2 mb-4">
+    {albums.map((album) => (
+      <AlbumCard
+        key={album.prefix}
+        album={album}
+        getImageSources={getImageSources}
+        onOpen={onOpen}
+      />
+    ))}
+  </div>
+);
+
+export default AlbumIndex;
@@ -0,0 +1,35 @@
+import { ChevronRight } from "lucide-react";
+import { getAlbumTrail } from "../albums";
+
+const Breadcrumb = ({ albumPrefix, onNavigate }) => {
+  const trail = getAlbumTrail(albumPrefix);
+  if (trail.length === 0) return null;
+
+  return (
+    <nav className="flex items-center min-w-0 text-sm text-white/60">
+      <button
+        onClick={() => onNavigate("")}
+        className="px-1 py-0 bg-transparent hover:text-white transition-colors"
+      >
+        Albums
+      </button>
+      {trail.map((crumb, index) => (
+        <span key={crumb.prefix} className="flex items-center min-w-0">
+          <ChevronRight className="h-4 w-4 flex-shrink-0" />
+          {index === trail.length - 1 ? (
+            <span className="px-1 text-white truncate">{crumb.name}</span>
+          ) : (
+            <button
+              onClick={() => onNavigate(crumb.prefix)}
+              className="px-1 py-0 bg-transparent hover:text-white transition-colors truncate"
+            >
+              {crumb.name}
+            </button>
+          )}
+        </span>
+      ))}
+    </nav>
+  );
+};
+
+export default Breadcrumb;
@@ -0,0 +1,93 @@
+import { FileArchive, X } from "lucide-react";
+import { MAX_BUFFERED_ZIP_BYTES } from "../download";
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  if (bytes < 1024 * 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+};
+
+const getStatusText = (download) => {
+  const { status, progress, result } = download;
+  if (status === "preparing") return "Preparing...";
+  if (status === "cancelled") return "Download cancelled";
+  if (status === "error") return "Download failed";
+  if (status === "too-large") {
+    return `Too large for this browser (over ${formatBytes(
+      MAX_BUFFERED_ZIP_BYTES
+    )})`;
+  }
+  if (status === "done") {
+    const failed = result.failed.length;
+    return `Saved ${result.count} photo${result.count !== 1 ? "s" : ""}${
+      failed ? `, ${failed} could not be downloaded` : ""
+    }`;
+  }
+  return `${progress.completedFiles} of ${
+    progress.totalFiles
+  } photos · ${formatBytes(progress.bytes)} of ${formatBytes(
+    progress.totalBytes
+  )}`;
+};
+
+const DownloadProgress = ({ download, onCancel, onDismiss }) => {
+  const { filename, status, progress } = download;
+  const isActive = status === "preparing" || status === "running";
+  const percent =
+    progress && progress.totalBytes > 0
+      ? Math.min(100, (progress.bytes / progress.totalBytes) * 100)
+      : status === "done"
+      ? 100
+      : 0;
+
+  return (
+    <div className="fixed bottom-4 right-4 z-40 w-80 max-w-[calc(100vw-2rem)] p-4 rounded-xl bg-[#1F1F3C]/95 border border-white/10 shadow-xl backdrop-blur-sm text-white">
+      <div className="flex items-center gap-2 mb-2">
+        <FileArchive className="h-4 w-4 flex-shrink-0 text-purple-400" />
+        <span className="flex-1 text-sm truncate">{filename}</span>
+        {!isActive && (
+          <button
+            onClick={onDismiss}
+            className="p-1 rounded-lg bg-transparent text-white/60 hover:text-white hover:bg-white/10 transition-colors"
+            title="Close"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+      <div className="h-1.5 rounded-full bg-white/10 overflow-hidden">
+        <div
+          className={`h-full transition-all duration-300 ${
+            status === "error" ||
+            status === "cancelled" ||
+            status === "too-large"
+              ? "bg-white/30"
+              : "bg-gradient-to-r from-purple-500 to-pink-500"
+          }`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+      <div className="flex items-center justify-between gap-2 mt-2">
+        <span className="text-xs text-white/60">{getStatusText(download)}</span>
+        {isActive && (
+          <button
+            onClick={onCancel}
+            className="px-2 py-1 rounded-lg text-xs bg-white/5 text-white/70 hover:bg-white/10 transition-colors"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+      {progress?.buffered && isActive && (
+        <p className="mt-2 text-xs text-white/50">
+          This browser cannot stream downloads, so the archive is built in
+          memory and limited to {formatBytes(MAX_BUFFERED_ZIP_BYTES)}.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default DownloadProgress;
@@ -0,0 +1,80 @@
+import {
+  Aperture,
+  Calendar,
+  Camera,
+  Clock,
+  Focus,
+  Gauge,
+  Ruler,
+  X,
+} from "lucide-react";
+
+const EXIF_FIELDS = [
+  { name: "camera", label: "Camera", icon: Camera },
+  { name: "lens", label: "Lens", icon: Focus },
+  { name: "focalLength", label: "Focal length", icon: Ruler },
+  { name: "aperture", label: "Aperture", icon: Aperture },
+  { name: "shutterSpeed", label: "Shutter speed", icon: Clock },
+  { name: "iso", label: "ISO", icon: Gauge },
+];
+
+const formatCaptureDate = (capturedAt) =>
+  new Date(capturedAt).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+
+const ExifPanel = ({ exif, onClose }) => {
+  const fields = exif
+    ? EXIF_FIELDS.filter((field) => exif[field.name] != null)
+    : [];
+
+  return (
+    <aside
+      onClick={(e) => e.stopPropagation()}
+      className="absolute z-40 inset-x-0 bottom-0 max-h-[50vh] sm:max-h-none sm:inset-x-auto sm:top-0 sm:right-0 sm:w-80
+        overflow-y-auto bg-[#1F1F3C]/90 backdrop-blur-lg border-t sm:border-t-0 sm:border-l border-white/10
+        text-white p-5 sm:pt-24"
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold">Photo info</h2>
+        <button
+          onClick={onClose}
+          className="p-1.5 bg-black/30 hover:bg-black/50 rounded-full sm:hidden"
+          title="Hide info"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      {!exif ? (
+        <p className="text-sm text-white/50 animate-pulse">Reading metadata...</p>
+      ) : fields.length === 0 && !exif.capturedAt ? (
+        <p className="text-sm text-white/50">No camera data in this photo.</p>
+      ) : (
+        <dl className="space-y-3">
+          {exif.capturedAt && (
+            <div className="flex items-start space-x-3">
+              <Calendar className="h-4 w-4 mt-0.5 text-purple-400 flex-shrink-0" />
+              <div>
+                <dt className="text-xs text-white/50">Captured</dt>
+                <dd className="text-sm">{formatCaptureDate(exif.capturedAt)}</dd>
+              </div>
+            </div>
+          )}
+          {fields.map(({ name, label, icon: Icon }) => (
+            <div key={name} className="flex items-start space-x-3">
+              <Icon className="h-4 w-4 mt-0.5 text-purple-400 flex-shrink-0" />
+              <div>
+                <dt className="text-xs text-white/50">{label}</dt>
+                <dd className="text-sm">{exif[name]}</dd>
+              </div>
+            </div>
+          ))}
+        </dl>
+      )}
+    </aside>
+  );
+};
+
+export default ExifPanel;
@@ -0,0 +1,198 @@
+import { useRef, useState } from "react";
+import {
+  Cloud,
+  CloudOff,
+  Download,
+  FileArchive,
+  HardDriveDownload,
+  Upload,
+} from "lucide-react";
+import {
+  createSyncToken,
+  exportFavorites,
+  isValidSyncToken,
+  readFavoritesFile,
+} from "../favorites";
+
+const SYNC_STATUS_LABELS = {
+  idle: "Not synced yet",
+  syncing: "Syncing...",
+  synced: "Synced",
+  error: "Sync failed",
+};
+
+const buttonClassName =
+  "flex items-center space-x-2 px-3 py-1.5 rounded-lg text-sm bg-white/5 text-white/70 hover:bg-white/10 transition-colors";
+
+const FavoritesToolbar = ({
+  favorites,
+  onImport,
+  syncEnabled,
+  syncToken,
+  syncStatus,
+  onConnectSync,
+  pinnedCount,
+  pinning,
+  canPin,
+  onPin,
+  onUnpin,
+  canDownload,
+  downloading,
+  onDownload,
+}) => {
+  const fileInputRef = useRef(null);
+  const [message, setMessage] = useState(null);
+  const [showSync, setShowSync] = useState(false);
+  const [tokenInput, setTokenInput] = useState("");
+
+  const handleImport = async (file) => {
+    try {
+      const imported = await readFavoritesFile(file);
+      onImport(imported);
+      setMessage(
+        `Imported ${imported.length} favorite${
+          imported.length !== 1 ? "s" : ""
+        }`
+      );
+    } catch (error) {
+      console.error("Error importing favorites:", error);
+      setMessage(error.message);
+    }
+  };
+
+  const allPinned = favorites.length > 0 && pinnedCount === favorites.length;
+
+  return (
+    <div className="mb-3 space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={() => exportFavorites(favorites)}
+          disabled={favorites.length === 0}
+          className={`${buttonClassName} disabled:opacity-40`}
+        >
+          <Download className="h-4 w-4" />
+          <span>Export</span>
+        </button>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className={buttonClassName}
+        >
+          <Upload className="h-4 w-4" />
+          <span>Import</span>
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={(e) => {
+            if (e.target.files[0]) handleImport(e.target.files[0]);
+            e.target.value = "";
+          }}
+        />
+        {canPin && (
+          <button
+            onClick={allPinned ? onUnpin : onPin}
+            disabled={pinning || favorites.length === 0}
+            className={`${buttonClassName} disabled:opacity-40`}
+            title={
+              allPinned
+                ? "Remove the offline copies of your favorites"
+                : "Keep your favorites available without a connection"
+            }
+          >
+            <HardDriveDownload className="h-4 w-4" />
+            <span>
+              {pinning
+                ? "Saving for offline..."
+                : allPinned
+                ? "Saved for offline"
+                : "Save for offline"}
+            </span>
+          </button>
+        )}
+        {canDownload && (
+          <button
+            onClick={onDownload}
+            disabled={downloading || favorites.length === 0}
+            className={`${buttonClassName} disabled:opacity-40`}
+            title="Download every favorite as one ZIP file"
+          >
+            <FileArchive className="h-4 w-4" />
+            <span>Download all</span>
+          </button>
+        )}
+        {syncEnabled && (
+          <button
+            onClick={() => setShowSync((prev) => !prev)}
+            className={buttonClassName}
+          >
+            {syncToken ? (
+              <Cloud className="h-4 w-4" />
+            ) : (
+              <CloudOff className="h-4 w-4" />
+            )}
+            <span>
+              {syncToken ? SYNC_STATUS_LABELS[syncStatus] : "Sync devices"}
+            </span>
+          </button>
+        )}
+        {message && <span className="text-sm text-white/50">{message}</span>}
+      </div>
+
+      {syncEnabled && showSync && (
+        <div className="max-w-lg p-3 rounded-lg bg-black/20 border border-white/10 text-sm text-white/70 space-y-2">
+          {syncToken ? (
+            <>
+              <p>
+                Enter this sync code on another device to share these favorites:
+              </p>
+              <code className="block p-2 rounded bg-black/30 text-white break-all select-all">
+                {syncToken}
+              </code>
+              <button
+                onClick={() => onConnectSync(null)}
+                className={buttonClassName}
+              >
+                Stop syncing on this device
+              </button>
+            </>
+          ) : (
+            <>
+              <button
+                onClick={() => onConnectSync(createSyncToken())}
+                className={buttonClassName}
+              >
+                Create a sync code
+              </button>
+              <form
+                className="flex gap-2"
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  if (isValidSyncToken(tokenInput.trim())) {
+                    onConnectSync(tokenInput.trim());
+                    setTokenInput("");
+                  } else {
+                    setMessage("That sync code is not valid");
+                  }
+                }}
+              >
+                <input
+                  value={tokenInput}
+                  onChange={(e) => setTokenInput(e.target.value)}
+                  placeholder="Or paste a code from another device"
+                  className="flex-1 px-3 py-1.5 rounded-lg bg-black/30 border border-white/10 text-white placeholder-white/30 focus:outline-none focus:border-purple-500"
+                />
+                <button type="submit" className={buttonClassName}>
+                  Connect
+                </button>
+              </form>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FavoritesToolbar;
@@ -0,0 +1,20 @@
+// Renders `text` with the given [start, end) ranges wrapped in <mark>.
+const HighlightedText = ({ text, ranges = [] }) => {
+  const parts = [];
+  let position = 0;
+
+  ranges.forEach(([start, end]) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(
+      <mark key={start} className="bg-purple-500/50 text-white rounded-sm">
+        {text.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  });
+  if (position < text.length) parts.push(text.slice(position));
+
+  return <>{parts}</>;
+};
+
+export default HighlightedText;
@@ -0,0 +1,456 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  ChevronLeft,
+  ChevronRight,
+  Download,
+  Info,
+  Maximize2,
+  Minimize2,
+  Pause,
+  Play,
+  Share2,
+  SlidersHorizontal,
+  X,
+} from "lucide-react";
+import ExifPanel from "./ExifPanel";
+import ZoomableImage from "./ZoomableImage";
+import SlideshowStage from "./SlideshowStage";
+import SlideshowSettings from "./SlideshowSettings";
+import { fetchImageBlob } from "../imageCache";
+import { getThumbnailSrc } from "../thumbnails";
+import useCachedImageSrc from "../hooks/useCachedImageSrc";
+import useFocusTrap from "../hooks/useFocusTrap";
+import useSlideshow from "../hooks/useSlideshow";
+import useWakeLock from "../hooks/useWakeLock";
+
+const SWIPE_THRESHOLD = 50;
+
+const Lightbox = ({
+  image,
+  images,
+  favorites,
+  previousImage,
+  nextImage,
+  onNavigate,
+  isFavorite,
+  onToggleFavorite,
+  onShare,
+  onDownload,
+  onClose,
+  exif,
+  captions,
+  getAlt,
+}) => {
+  const lightboxRef = useRef(null);
+  const touchStart = useRef(null);
+  const [isFullscreen, setIsFullscreen] = useState(false);
+  const [showInfo, setShowInfo] = useState(false);
+  const [isZoomed, setIsZoomed] = useState(false);
+  const [showSlideshowSettings, setShowSlideshowSettings] = useState(false);
+  const enteredFullscreenForSlideshow = useRef(false);
+
+  const slideshow = useSlideshow({
+    images,
+    favorites,
+    currentImage: image,
+    onNavigate,
+  });
+  const { isPlaying, isPaused, setIsPaused, stop: stopSlideshow } = slideshow;
+
+  useWakeLock(isPlaying && !isPaused);
+  useFocusTrap(lightboxRef);
+  // The largest thumbnail stands in while the original loads.
+  const src = useCachedImageSrc(
+    image.id,
+    image.url,
+    getThumbnailSrc(image.thumbnails, Infinity)
+  );
+
+  const alt = getAlt(image);
+  const position = images.findIndex((item) => item.id === image.id);
+
+  useEffect(() => {
+    const handleFullscreenChange = () => {
+      setIsFullscreen(!!document.fullscreenElement);
+    };
+
+    document.addEventListener("fullscreenchange", handleFullscreenChange);
+    return () =>
+      document.removeEventListener("fullscreenchange", handleFullscreenChange);
+  }, []);
+
+  const handleFullscreen = async (e) => {
+    e.stopPropagation();
+    try {
+      if (!isFullscreen) {
+        await lightboxRef.current.requestFullscreen();
+      } else {
+        await document.exitFullscreen();
+      }
+    } catch (error) {
+      console.error("Fullscreen error:", error);
+    }
+  };
+
+  useEffect(() => {
+    if (!isFullscreen && enteredFullscreenForSlideshow.current) {
+      enteredFullscreenForSlideshow.current = false;
+      stopSlideshow();
+    }
+  }, [isFullscreen, stopSlideshow]);
+
+  const toggleSlideshow = async (e) => {
+    e.stopPropagation();
+    setShowSlideshowSettings(false);
+
+    if (isPlaying) {
+      stopSlideshow();
+      return;
+    }
+    if (!slideshow.play() || document.fullscreenElement) return;
+
+    try {
+      await lightboxRef.current.requestFullscreen();
+      enteredFullscreenForSlideshow.current = true;
+    } catch (error) {
+      console.error("Fullscreen error:", error);
+    }
+  };
+
+  const handleClose = useCallback(async () => {
+    if (document.fullscreenElement) {
+      try {
+        await document.exitFullscreen();
+      } catch (error) {
+        console.error("Error exiting fullscreen:", error);
+      }
+    }
+    onClose();
+  }, [onClose]);
+
+  const showPrevious = useCallback(() => {
+    if (previousImage) onNavigate(previousImage);
+  }, [previousImage, onNavigate]);
+
+  const showNext = useCallback(() => {
+    if (nextImage) onNavigate(nextImage);
+  }, [nextImage, onNavigate]);
+
+  useEffect(() => {
+    // Form fields such as the slideshow settings keep their own keys.
+    const handleKeyDown = (e) => {
+      if (e.target.closest?.("input, textarea, select, [contenteditable]")) {
+        return;
+      }
+      if (e.key === "Escape") {
+        handleClose();
+      } else if (e.key === " " && isPlaying) {
+        e.preventDefault();
+        setIsPaused((prev) => !prev);
+      } else if (e.key === "ArrowLeft") {
+        showPrevious();
+      } else if (e.key === "ArrowRight") {
+        showNext();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [handleClose, showPrevious, showNext, isPlaying, setIsPaused]);
+
+  // Neighbors are preloaded into the blob cache the lightbox shows from.
+  useEffect(() => {
+    [previousImage, nextImage, slideshow.upcomingImage].forEach((neighbor) => {
+      if (neighbor) {
+        fetchImageBlob(neighbor.id, neighbor.url).catch(() => {});
+      }
+    });
+  }, [previousImage, nextImage, slideshow.upcomingImage]);
+
+  const handleTouchStart = (e) => {
+    if (e.touches.length !== 1 || isZoomed) {
+      touchStart.current = null;
+      return;
+    }
+    touchStart.current = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+  };
+
+  const handleTouchEnd = (e) => {
+    if (!touchStart.current) return;
+    const deltaX = e.changedTouches[0].clientX - touchStart.current.x;
+    const deltaY = e.changedTouches[0].clientY - touchStart.current.y;
+    touchStart.current = null;
+
+    if (
+      Math.abs(deltaX) < SWIPE_THRESHOLD ||
+      Math.abs(deltaX) < Math.abs(deltaY)
+    ) {
+      return;
+    }
+    if (deltaX > 0) {
+      showPrevious();
+    } else {
+      showNext();
+    }
+  };
+
+  return (
+    <div
+      ref={lightboxRef}
+      role="dialog"
+      aria-modal="true"
+      aria-label={captions?.title || alt}
+      tabIndex={-1}
+      className="fixed inset-0 z-50 outline-none"
+      onTouchStart={handleTouchStart}
+      onTouchEnd={handleTouchEnd}
+    >
+      <p className="sr-only" aria-live="polite">
+        {position !== -1 ? `${alt}, ${position + 1} of ${images.length}` : alt}
+      </p>
+
+      <div
+        className="absolute inset-0 backdrop-blur-md bg-black/60"
+        onClick={handleClose}
+      />
+
+      <div
+        className={`absolute top-4 sm:top-6 right-4 sm:right-6 flex items-center space-x-3 sm:space-x-4 z-50
+          transition-opacity duration-300 ${
+            isPlaying
+              ? "opacity-0 hover:opacity-100 focus-within:opacity-100"
+              : ""
+          }`}
+      >
+        <div className="relative flex items-center space-x-1">
+          <button
+            onClick={toggleSlideshow}
+            className={`p-2 sm:p-3 rounded-full transition-all duration-300 backdrop-blur-sm
+              ${
+                isPlaying
+                  ? "bg-purple-500/50 hover:bg-purple-500/70"
+                  : "bg-black/50 hover:bg-black/70"
+              }`}
+            title={isPlaying ? "Stop slideshow" : "Start slideshow"}
+            aria-pressed={isPlaying}
+          >
+            {isPlaying ? (
+              <Pause className="h-5 w-5 sm:h-6 sm:w-6 text-white" />
+            ) : (
+              <Play className="h-5 w-5 sm:h-6 sm:w-6 text-white" />
+            )}
+          </button>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              setShowSlideshowSettings((prev) => !prev);
+            }}
+            className="p-1.5 sm:p-2 bg-black/50 hover:bg-black/70 rounded-full backdrop-blur-sm"
+            title="Slideshow settings"
+            aria-expanded={showSlideshowSettings}
+          >
+            <SlidersHorizontal className="h-4 w-4 text-white" />
+          </button>
+          {showSlideshowSettings && (
+            <SlideshowSettings
+              settings={slideshow.settings}
+              onChange={slideshow.updateSettings}
+            />
+          )}
+        </div>
+
+        <button
+          onClick={(e) => onToggleFavorite(e, image.id)}
+          title={isFavorite ? "Remove from favorites" : "Add to favorites"}
+          aria-pressed={isFavorite}
+          className={`p-2 sm:p-3 rounded-full transition-all duration-300 
+           ${
+             isFavorite
+               ? "bg-red-500/50 hover:bg-red-500/70"
+               : "bg-black/50 hover:bg-black/70"
+           }`}
+        >
+          <svg
+            aria-hidden="true"
+            xmlns="http://www.w3.org/2000/svg"
+            viewBox="0 0 24 24"
+            fill={isFavorite ? "currentColor" : "none"}
+            stroke="currentColor"
+            strokeWidth="2"
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            className="h-5 w-5 sm:h-6 sm:w-6 text-white"
+          >
+            <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z" />
+          </svg>
+        </button>
+
+        <button
+          onClick={(e) => onShare(e, image)}
+          className="p-2 sm:p-3 bg-black/50 hover:bg-black/70 rounded-full transition-all duration-300
+            backdrop-blur-sm text-white/90 hover:text-white"
+          title="Share image"
+        >
+          <Share2 className="h-5 w-5 sm:h-6 sm:w-6" />
+        </button>
+
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            onDownload(image);
+          }}
+          className="p-2 sm:p-3 bg-black/50 hover:bg-black/70 rounded-full transition-all duration-300
+            backdrop-blur-sm text-white/90 hover:text-white"
+          title="Download original"
+        >
+          <Download className="h-5 w-5 sm:h-6 sm:w-6" />
+        </button>
+
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            setShowInfo((prev) => !prev);
+          }}
+          className={`p-2 sm:p-3 rounded-full transition-all duration-300 backdrop-blur-sm
+            ${
+              showInfo
+                ? "bg-purple-500/50 hover:bg-purple-500/70"
+                : "bg-black/50 hover:bg-black/70"
+            }`}
+          title={showInfo ? "Hide photo info" : "Show photo info"}
+          aria-expanded={showInfo}
+        >
+          <Info className="h-5 w-5 sm:h-6 sm:w-6 text-white" />
+        </button>
+
+        <button
+          onClick={handleFullscreen}
+          className="p-2 sm:p-3 bg-black/50 rounded-full"
+          title={isFullscreen ? "Exit full screen" : "Full screen"}
+        >
+          {isFullscreen ? (
+            <Minimize2 className="h-5 w-5 sm:h-6 sm:w-6 text-white" />
+          ) : (
+            <Maximize2 className="h-5 w-5 sm:h-6 sm:w-6 text-white" />
+          )}
+        </button>
+        <button
+          onClick={handleClose}
+          className="p-2 sm:p-3 bg-black/50 rounded-full"
+          title="Close"
+        >
+          <X className="h-5 w-5 sm:h-6 sm:w-6 text-white" />
+        </button>
+      </div>
+
+      {previousImage && !isPlaying && (
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            showPrevious();
+          }}
+          className="absolute left-2 sm:left-6 top-1/2 -translate-y-1/2 z-50 p-2 sm:p-3
+            bg-black/50 hover:bg-black/70 rounded-full backdrop-blur-sm transition-colors"
+          title="Previous photo"
+        >
+          <ChevronLeft className="h-5 w-5 sm:h-6 sm:w-6 text-white" />
+        </button>
+      )}
+      {nextImage && !isPlaying && (
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            showNext();
+          }}
+          className="absolute right-2 sm:right-6 top-1/2 -translate-y-1/2 z-50 p-2 sm:p-3
+            bg-black/50 hover:bg-black/70 rounded-full backdrop-blur-sm transition-colors"
+          title="Next photo"
+        >
+          <ChevronRight className="h-5 w-5 sm:h-6 sm:w-6 text-white" />
+        </button>
+      )}
+
+      <div
+        className="relative w-full h-full flex items-center justify-center p-4 sm:p-8 z-40"
+        onClick={handleClose}
+      >
+        {isPlaying ? (
+          <div
+            className="absolute inset-0"
+            onClick={(e) => {
+              e.stopPropagation();
+              setIsPaused((prev) => !prev);
+            }}
+            onPointerEnter={(e) =>
+              e.pointerType === "mouse" && setIsPaused(true)
+            }
+            onPointerLeave={(e) =>
+              e.pointerType === "mouse" && setIsPaused(false)
+            }
+          >
+            <SlideshowStage
+              image={image}
+              getAlt={getAlt}
+              transition={slideshow.settings.transition}
+              interval={slideshow.settings.interval}
+              isPaused={isPaused}
+            />
+            {isPaused && (
+              <div className="absolute bottom-6 left-1/2 -translate-x-1/2 px-4 py-2 rounded-lg bg-black/50 backdrop-blur-sm text-white/80 text-sm">
+                Paused
+              </div>
+            )}
+          </div>
+        ) : (
+          <ZoomableImage
+            key={image.id}
+            src={src}
+            alt={alt}
+            className={`
+              max-h-[90vh] max-w-[90vw] object-contain rounded-lg 
+              ${isFullscreen ? "h-screen w-screen rounded-none" : ""}
+            `}
+            onZoomChange={setIsZoomed}
+          />
+        )}
+      </div>
+
+      {(captions?.title || captions?.caption || captions?.tags) &&
+        !isPlaying &&
+        !isZoomed && (
+          <div
+            className="absolute bottom-4 sm:bottom-6 left-1/2 -translate-x-1/2 z-50 w-[calc(100%-2rem)] max-w-2xl
+            px-4 py-3 rounded-lg bg-black/50 backdrop-blur-sm text-center text-white"
+            onClick={(e) => e.stopPropagation()}
+          >
+            {captions.title && (
+              <h2 className="text-base sm:text-lg font-semibold">
+                {captions.title}
+              </h2>
+            )}
+            {captions.caption && (
+              <p className="mt-1 text-sm text-white/80 whitespace-pre-line">
+                {captions.caption}
+              </p>
+            )}
+            {captions.tags && (
+              <div className="mt-2 flex flex-wrap justify-center gap-1.5">
+                {captions.tags.map((tag) => (
+                  <span
+                    key={tag}
+                    className="px-2 py-0.5 rounded-full bg-white/10 text-xs text-white/70"
+                  >
+                    #{tag}
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+      {showInfo && <ExifPanel exif={exif} onClose={() => setShowInfo(false)} />}
+    </div>
+  );
+};
+
+export default Lightbox;
@@ -0,0 +1,20 @@
+// Short confirmations such as "Link copied!". The region stays mounted so
+// screen readers pick up every new message; the key re-renders a repeated one.
+const LiveStatus = ({ message }) => (
+  <div
+    role="status"
+    aria-live="polite"
+    className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 pointer-events-none"
+  >
+    {message && (
+      <div
+        key={message.id}
+        className="bg-white/10 backdrop-blur-sm text-white px-4 py-2 rounded-lg"
+      >
+        {message.text}
+      </div>
+    )}
+  </div>
+);
+
+export default LiveStatus;
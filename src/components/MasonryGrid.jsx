@@ -0,0 +1,324 @@
+import {
+  useCallback,
+  useEffect,
+  useImperativeHandle,
+  useLayoutEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import TimelineScrubber from "./TimelineScrubber";
+
+const COLUMN_GAP = 8;
+const ROW_GAP = 4;
+const SCROLL_STEP = 100;
+const HEADER_HEIGHT = 44;
+const SECTION_GAP = 16;
+// Leaves room for the fixed page header when scrolling to an offset.
+const SCROLL_MARGIN = 72;
+
+// Column counts follow the Tailwind breakpoints used by GRID_SIZES in
+// thumbnails.js, so the browser still picks the right thumbnail width.
+const getColumnCount = (viewportWidth) => {
+  if (viewportWidth >= 1280) return 5;
+  if (viewportWidth >= 1024) return 4;
+  if (viewportWidth >= 768) return 3;
+  return 2;
+};
+
+// Each item goes into the currently shortest column, so items read left to
+// right in list order instead of filling one column after another. When
+// `getGroup` is given, every new group starts a full-width section below the
+// previous one.
+const computeLayout = (items, getAspectRatio, containerWidth, getGroup) => {
+  const columnCount = getColumnCount(window.innerWidth);
+  const columnWidth =
+    (containerWidth - COLUMN_GAP * (columnCount - 1)) / columnCount;
+  const columnHeights = new Array(columnCount).fill(0);
+  const sections = [];
+
+  const positions = items.map((item) => {
+    const group = getGroup?.(item);
+    if (getGroup && group !== sections[sections.length - 1]?.key) {
+      const top =
+        sections.length > 0 ? Math.max(...columnHeights) + SECTION_GAP : 0;
+      sections.push({ key: group, top });
+      columnHeights.fill(top + HEADER_HEIGHT);
+    }
+
+    const column = columnHeights.indexOf(Math.min(...columnHeights));
+    const position = {
+      top: columnHeights[column],
+      left: column * (columnWidth + COLUMN_GAP),
+      width: columnWidth,
+      height: Math.round(columnWidth * getAspectRatio(item)),
+    };
+    columnHeights[column] += position.height + ROW_GAP;
+    return position;
+  });
+
+  return {
+    positions,
+    sections,
+    height: Math.max(0, Math.max(...columnHeights) - ROW_GAP),
+  };
+};
+
+// Left and right follow list order, which reads left to right; up and down
+// stay in the same column. Returns null for keys the grid doesn't handle and
+// an index out of range when there is nothing in that direction.
+const getTargetIndex = (positions, index, key) => {
+  if (key === "ArrowLeft") return index - 1;
+  if (key === "ArrowRight") return index + 1;
+  if (key === "Home") return 0;
+  if (key === "End") return positions.length - 1;
+  if (key !== "ArrowUp" && key !== "ArrowDown") return null;
+
+  const current = positions[index];
+  const direction = key === "ArrowDown" ? 1 : -1;
+  let target = -1;
+  positions.forEach((position, candidate) => {
+    const distance = (position.top - current.top) * direction;
+    if (
+      position.left === current.left &&
+      distance > 0 &&
+      (target === -1 ||
+        distance < (positions[target].top - current.top) * direction)
+    ) {
+      target = candidate;
+    }
+  });
+  return target;
+};
+
+const getItemElement = (container, key) =>
+  container.querySelector(`[data-grid-key="${CSS.escape(key)}"]`);
+
+// Absolutely positioned masonry that only mounts the items within one
+// viewport height of the visible area.
+//
+// Items use a roving tabindex: `renderItem` gets focus props for the element
+// that represents the item, and only the active item is in the tab order.
+// Arrow keys, Home and End move between items. The active item stays mounted
+// while it is off screen, so focus isn't lost when it scrolls away.
+const MasonryGrid = ({
+  ref,
+  items,
+  getItemKey,
+  getAspectRatio,
+  renderItem,
+  getGroup,
+  getGroupLabel,
+}) => {
+  const containerRef = useRef(null);
+  const [containerWidth, setContainerWidth] = useState(0);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(window.innerHeight);
+  const [activeKey, setActiveKey] = useState(null);
+  const pendingFocusKey = useRef(null);
+
+  const updateScrollTop = useCallback(() => {
+    if (!containerRef.current) return;
+    const relativeScrollTop = -containerRef.current.getBoundingClientRect().top;
+    setScrollTop(Math.floor(relativeScrollTop / SCROLL_STEP) * SCROLL_STEP);
+  }, []);
+
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    const resizeObserver = new ResizeObserver(([entry]) => {
+      setContainerWidth(entry.contentRect.width);
+      setViewportHeight(window.innerHeight);
+    });
+    resizeObserver.observe(container);
+    return () => resizeObserver.disconnect();
+  }, []);
+
+  useEffect(() => {
+    let frame = null;
+    const handleScroll = () => {
+      if (frame) return;
+      frame = window.requestAnimationFrame(() => {
+        frame = null;
+        updateScrollTop();
+      });
+    };
+
+    handleScroll();
+    window.addEventListener("scroll", handleScroll, { passive: true });
+    window.addEventListener("resize", handleScroll);
+    return () => {
+      window.removeEventListener("scroll", handleScroll);
+      window.removeEventListener("resize", handleScroll);
+      if (frame) window.cancelAnimationFrame(frame);
+    };
+  }, [updateScrollTop]);
+
+  const layout = useMemo(
+    () =>
+      containerWidth
+        ? computeLayout(items, getAspectRatio, containerWidth, getGroup)
+        : { positions: [], sections: [], height: 0 },
+    [items, getAspectRatio, containerWidth, getGroup]
+  );
+
+  const sections = useMemo(
+    () =>
+      layout.sections.map((section) => ({
+        ...section,
+        label: getGroupLabel ? getGroupLabel(section.key) : section.key,
+      })),
+    [layout.sections, getGroupLabel]
+  );
+
+  const scrollToOffset = useCallback((offset) => {
+    const containerTop =
+      containerRef.current.getBoundingClientRect().top + window.scrollY;
+    window.scrollTo(0, containerTop + offset - SCROLL_MARGIN);
+  }, []);
+
+  // Content above the grid can move it without a scroll event.
+  useLayoutEffect(updateScrollTop, [updateScrollTop, layout]);
+
+  // Scrolls just enough to bring an item fully into view.
+  const revealIndex = useCallback(
+    (index) => {
+      const position = layout.positions[index];
+      if (!position) return;
+
+      const containerTop =
+        containerRef.current.getBoundingClientRect().top + window.scrollY;
+      const itemTop = containerTop + position.top;
+      const itemBottom = itemTop + position.height;
+      if (itemTop < window.scrollY + SCROLL_MARGIN) {
+        window.scrollTo(0, itemTop - window.innerHeight / 4);
+      } else if (itemBottom > window.scrollY + window.innerHeight) {
+        window.scrollTo(0, itemBottom - (window.innerHeight * 3) / 4);
+      }
+    },
+    [layout]
+  );
+
+  // An item that is off screen is only mounted once it is active, so focus
+  // is then applied after the next render.
+  const focusIndex = useCallback(
+    (index) => {
+      const key = getItemKey(items[index]);
+      revealIndex(index);
+      setActiveKey(key);
+      const element = getItemElement(containerRef.current, key);
+      if (element) {
+        element.focus({ preventScroll: true });
+      } else {
+        pendingFocusKey.current = key;
+      }
+    },
+    [items, getItemKey, revealIndex]
+  );
+
+  useEffect(() => {
+    if (pendingFocusKey.current === null) return;
+    const element = getItemElement(
+      containerRef.current,
+      pendingFocusKey.current
+    );
+    if (!element) return;
+    pendingFocusKey.current = null;
+    element.focus({ preventScroll: true });
+  });
+
+  useImperativeHandle(
+    ref,
+    () => ({
+      revealItem: (key) =>
+        revealIndex(items.findIndex((item) => getItemKey(item) === key)),
+      focusItem: (key) => {
+        const index = items.findIndex((item) => getItemKey(item) === key);
+        if (index !== -1) focusIndex(index);
+      },
+    }),
+    [items, getItemKey, revealIndex, focusIndex]
+  );
+
+  // Until an item has been focused, the first one in view is the tab stop.
+  const keyIndex =
+    activeKey === null
+      ? -1
+      : items.findIndex((item) => getItemKey(item) === activeKey);
+  const activeIndex =
+    keyIndex !== -1
+      ? keyIndex
+      : layout.positions.findIndex(
+          (position) => position.top + position.height > scrollTop
+        );
+
+  const handleKeyDown = (e) => {
+    if (
+      activeIndex === -1 ||
+      !e.target.hasAttribute("data-grid-key") ||
+      e.altKey ||
+      e.ctrlKey ||
+      e.metaKey
+    ) {
+      return;
+    }
+    const targetIndex = getTargetIndex(layout.positions, activeIndex, e.key);
+    if (targetIndex === null) return;
+    e.preventDefault();
+    if (targetIndex >= 0 && targetIndex < items.length) {
+      focusIndex(targetIndex);
+    }
+  };
+
+  const visibleTop = scrollTop - viewportHeight;
+  const visibleBottom = scrollTop + viewportHeight * 2 + SCROLL_STEP;
+  const isVisible = (top, height) =>
+    top + height >= visibleTop && top <= visibleBottom;
+
+  return (
+    <div
+      ref={containerRef}
+      className="relative w-full"
+      style={{ height: layout.height }}
+      onKeyDown={handleKeyDown}
+    >
+      {sections.map(
+        (section) =>
+          isVisible(section.top, HEADER_HEIGHT) && (
+            <h2
+              key={section.key}
+              className="absolute left-1 right-0 flex items-center text-sm sm:text-base font-semibold text-white/80"
+              style={{ top: section.top, height: HEADER_HEIGHT }}
+            >
+              {section.label}
+            </h2>
+          )
+      )}
+      {items.map((item, index) => {
+        const position = layout.positions[index];
+        const isActive = index === activeIndex;
+        if (
+          !position ||
+          (!isVisible(position.top, position.height) && !isActive)
+        ) {
+          return null;
+        }
+        const key = getItemKey(item);
+        return renderItem(item, position, {
+          tabIndex: isActive ? 0 : -1,
+          "data-grid-key": key,
+          onFocus: () => setActiveKey(key),
+        });
+      })}
+      {sections.length > 1 && layout.height > viewportHeight * 2 && (
+        <TimelineScrubber
+          sections={sections}
+          height={layout.height}
+          scrollTop={scrollTop}
+          onScrub={scrollToOffset}
+        />
+      )}
+    </div>
+  );
+};
+
+export default MasonryGrid;
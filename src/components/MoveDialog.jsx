@@ -0,0 +1,103 @@
+import { useState } from "react";
+import { FolderInput, X } from "lucide-react";
+import { normalizeAlbumPrefix } from "../albums";
+
+const getFileName = (key) => key.slice(key.lastIndexOf("/") + 1);
+
+// Moves photos to another album, keeping their file names. A single photo can
+// be given a whole new key instead, which also renames it.
+const MoveDialog = ({ keys, albumPrefix, onMove, onClose }) => {
+  const isSingle = keys.length === 1;
+  const [target, setTarget] = useState(isSingle ? keys[0] : albumPrefix);
+  const [error, setError] = useState(null);
+  const [moving, setMoving] = useState(false);
+
+  const getMoves = () => {
+    if (isSingle) {
+      return [{ from: keys[0], to: target.trim().replace(/^\/+/, "") }];
+    }
+    const prefix = normalizeAlbumPrefix(target.trim());
+    return keys.map((key) => ({
+      from: key,
+      to: `${prefix}${getFileName(key)}`,
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const moves = getMoves().filter(({ from, to }) => from !== to);
+    if (moves.length === 0) {
+      onClose();
+      return;
+    }
+    setMoving(true);
+    setError(null);
+    try {
+      await onMove(moves);
+      onClose();
+    } catch (moveError) {
+      setError(moveError.message);
+      setMoving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div
+        className="absolute inset-0 backdrop-blur-md bg-black/60"
+        onClick={onClose}
+      />
+
+      <form
+        onSubmit={handleSubmit}
+        className="relative w-full max-w-md bg-[#1F1F3C] border border-white/10 rounded-lg shadow-lg shadow-purple-900/20 text-white"
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-white/10">
+          <h2 className="text-lg font-semibold">
+            {isSingle ? "Move or rename photo" : `Move ${keys.length} photos`}
+          </h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-1.5 bg-black/30 hover:bg-black/50 rounded-full"
+            title="Close"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-3">
+          <label className="block text-sm text-white/70">
+            {isSingle ? "New key" : "Album"}
+            <input
+              value={target}
+              onChange={(e) => setTarget(e.target.value)}
+              placeholder={
+                isSingle ? "trips/japan/IMG_0001.jpg" : "trips/japan/"
+              }
+              autoFocus
+              className="mt-1 w-full px-3 py-2 rounded-lg bg-black/30 border border-white/10 text-white placeholder-white/30 focus:outline-none focus:border-purple-500"
+            />
+          </label>
+          {!isSingle && (
+            <p className="text-xs text-white/50">
+              Photos keep their file names. Leave empty to move them to the top
+              level.
+            </p>
+          )}
+          {error && <p className="text-sm text-red-400">{error}</p>}
+          <button
+            type="submit"
+            disabled={moving || (isSingle && !target.trim())}
+            className="w-full flex items-center justify-center space-x-2 px-4 py-2 rounded-lg bg-gradient-to-r from-purple-500 to-pink-500 text-white disabled:opacity-50"
+          >
+            <FolderInput className="h-4 w-4" />
+            <span>{moving ? "Moving..." : "Move"}</span>
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default MoveDialog;
@@ -0,0 +1,468 @@
+import { useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+import {
+  AlertCircle,
+  LassoSelect,
+  LocateFixed,
+  Minus,
+  Plus,
+  X,
+} from "lucide-react";
+import {
+  BASEMAP_URL,
+  MAX_ZOOM,
+  MIN_ZOOM,
+  clusterPoints,
+  fitBounds,
+  getBasemapPath,
+  getTileUrl,
+  getVisibleTiles,
+  getWorldSize,
+  project,
+  unproject,
+} from "../geo";
+
+const CLUSTER_CELL_SIZE = 64;
+const WHEEL_ZOOM_SPEED = 0.002;
+// A pointer that moves less than this between down and up is a click.
+const DRAG_THRESHOLD = 4;
+
+let basemapRequest = null;
+
+// The basemap is fetched once per page and precached by the service worker,
+// so the map still has land outlines offline.
+const loadBasemapPath = () => {
+  if (!basemapRequest) {
+    basemapRequest = fetch(BASEMAP_URL)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Basemap request failed with ${response.status}`);
+        }
+        return response.json();
+      })
+      .then((basemap) => getBasemapPath(basemap.coordinates))
+      .catch((error) => {
+        basemapRequest = null;
+        throw error;
+      });
+  }
+  return basemapRequest;
+};
+
+const clampZoom = (zoom) => Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
+
+const clampCenter = ({ x, y }) => ({
+  x: Math.max(0, Math.min(1, x)),
+  y: Math.max(0, Math.min(1, y)),
+});
+
+const controlClassName =
+  "p-2 rounded-lg bg-[#1F1F3C]/90 text-white/70 hover:bg-[#2D1B3D] hover:text-white border border-white/10 backdrop-blur-sm transition-colors";
+
+// Plots geotagged photos as clustered markers over a bundled vector world
+// map, with an optional raster tile layer on top while online. `area` is a
+// lasso polygon in latitude/longitude that the grid is filtered by.
+const PhotoMap = ({
+  images,
+  getLocation,
+  getMarkerSrc,
+  tiles,
+  isOnline,
+  area,
+  onAreaChange,
+  onOpen,
+}) => {
+  const containerRef = useRef(null);
+  const gestureRef = useRef(null);
+  const hasMovedMap = useRef(false);
+  const [size, setSize] = useState(null);
+  const [view, setView] = useState(null);
+  const [basemapPath, setBasemapPath] = useState(null);
+  const [basemapFailed, setBasemapFailed] = useState(false);
+  const [basemapAttempt, setBasemapAttempt] = useState(0);
+  const [isLassoActive, setIsLassoActive] = useState(false);
+  const [lassoPoints, setLassoPoints] = useState(null);
+  const [failedTiles, setFailedTiles] = useState(new Set());
+
+  const points = useMemo(
+    () =>
+      images
+        .map((image) => {
+          const location = getLocation(image);
+          return location && { ...project(location), image };
+        })
+        .filter(Boolean),
+    [images, getLocation]
+  );
+
+  useLayoutEffect(() => {
+    const resizeObserver = new ResizeObserver(([entry]) =>
+      setSize({
+        width: entry.contentRect.width,
+        height: entry.contentRect.height,
+      })
+    );
+    resizeObserver.observe(containerRef.current);
+    return () => resizeObserver.disconnect();
+  }, []);
+
+  // Markers still work without the basemap, so a failure only shows a notice
+  // with a retry.
+  useEffect(() => {
+    setBasemapFailed(false);
+    loadBasemapPath()
+      .then(setBasemapPath)
+      .catch((error) => {
+        console.error("Error loading basemap:", error);
+        setBasemapFailed(true);
+      });
+  }, [basemapAttempt]);
+
+  // Keeps every photo in view while pages are still loading, until the map
+  // has been moved by hand.
+  useEffect(() => {
+    if (!size || hasMovedMap.current) return;
+    setView(fitBounds(points, size.width, size.height));
+  }, [points, size]);
+
+  const worldSize = view ? getWorldSize(view.zoom) : 0;
+
+  const toScreen = (point) => ({
+    left: (point.x - view.center.x) * worldSize + size.width / 2,
+    top: (point.y - view.center.y) * worldSize + size.height / 2,
+  });
+
+  const fromScreen = (left, top) => ({
+    x: view.center.x + (left - size.width / 2) / worldSize,
+    y: view.center.y + (top - size.height / 2) / worldSize,
+  });
+
+  const getPointerPosition = (e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return { left: e.clientX - rect.left, top: e.clientY - rect.top };
+  };
+
+  // Zooms while keeping the world point under `anchor` in place.
+  const zoomAround = (nextZoom, anchor) => {
+    hasMovedMap.current = true;
+    setView((current) => {
+      const zoom = clampZoom(nextZoom(current.zoom));
+      const anchorPosition = anchor || {
+        left: size.width / 2,
+        top: size.height / 2,
+      };
+      const currentWorldSize = getWorldSize(current.zoom);
+      const anchorPoint = {
+        x:
+          current.center.x +
+          (anchorPosition.left - size.width / 2) / currentWorldSize,
+        y:
+          current.center.y +
+          (anchorPosition.top - size.height / 2) / currentWorldSize,
+      };
+      const nextWorldSize = getWorldSize(zoom);
+      return {
+        zoom,
+        center: clampCenter({
+          x:
+            anchorPoint.x -
+            (anchorPosition.left - size.width / 2) / nextWorldSize,
+          y:
+            anchorPoint.y -
+            (anchorPosition.top - size.height / 2) / nextWorldSize,
+        }),
+      };
+    });
+  };
+
+  // React registers wheel listeners as passive, which can't stop the page
+  // from scrolling, so this one is added by hand.
+  const zoomAroundRef = useRef(zoomAround);
+  zoomAroundRef.current = zoomAround;
+  useEffect(() => {
+    const container = containerRef.current;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const rect = container.getBoundingClientRect();
+      zoomAroundRef.current((zoom) => zoom - e.deltaY * WHEEL_ZOOM_SPEED, {
+        left: e.clientX - rect.left,
+        top: e.clientY - rect.top,
+      });
+    };
+    container.addEventListener("wheel", handleWheel, { passive: false });
+    return () => container.removeEventListener("wheel", handleWheel);
+  }, []);
+
+  const handlePointerDown = (e) => {
+    if (!view || e.button !== 0 || e.target.closest("button")) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const position = getPointerPosition(e);
+
+    if (isLassoActive) {
+      setLassoPoints([position]);
+    } else {
+      gestureRef.current = { start: position, center: view.center };
+    }
+  };
+
+  const handlePointerMove = (e) => {
+    const position = getPointerPosition(e);
+    if (lassoPoints) {
+      setLassoPoints((current) => [...current, position]);
+      return;
+    }
+
+    const gesture = gestureRef.current;
+    if (!gesture) return;
+    const dx = position.left - gesture.start.left;
+    const dy = position.top - gesture.start.top;
+    if (Math.hypot(dx, dy) < DRAG_THRESHOLD && !gesture.isDragging) return;
+
+    gesture.isDragging = true;
+    hasMovedMap.current = true;
+    setView((current) => ({
+      ...current,
+      center: clampCenter({
+        x: gesture.center.x - dx / getWorldSize(current.zoom),
+        y: gesture.center.y - dy / getWorldSize(current.zoom),
+      }),
+    }));
+  };
+
+  const handlePointerUp = (e) => {
+    if (e.currentTarget.hasPointerCapture(e.pointerId)) {
+      e.currentTarget.releasePointerCapture(e.pointerId);
+    }
+    gestureRef.current = null;
+    if (!lassoPoints) return;
+
+    if (lassoPoints.length >= 3) {
+      onAreaChange(
+        lassoPoints.map(({ left, top }) => unproject(fromScreen(left, top)))
+      );
+      setIsLassoActive(false);
+    }
+    setLassoPoints(null);
+  };
+
+  const fitPoints = (pointsToFit) => {
+    hasMovedMap.current = true;
+    setView(fitBounds(pointsToFit, size.width, size.height));
+  };
+
+  // Clusters are recomputed per whole zoom level so markers don't reshuffle
+  // on every wheel tick.
+  const clusterZoom = view ? Math.round(view.zoom) : null;
+  const clusters = useMemo(
+    () =>
+      clusterZoom === null
+        ? []
+        : clusterPoints(points, clusterZoom, CLUSTER_CELL_SIZE),
+    [points, clusterZoom]
+  );
+
+  const handleClusterClick = (cluster) => {
+    const target = fitBounds(cluster.points, size.width, size.height);
+    if (cluster.points.length === 1 || target.zoom <= view.zoom + 0.5) {
+      onOpen(cluster.points[0].image);
+    } else {
+      fitPoints(cluster.points);
+    }
+  };
+
+  const showTiles = !!tiles?.url && isOnline;
+  const visibleTiles =
+    view && showTiles
+      ? getVisibleTiles(view.center, view.zoom, size.width, size.height)
+      : [];
+  const origin = view && toScreen({ x: 0, y: 0 });
+  const areaPoints =
+    view && area?.map((location) => toScreen(project(location)));
+
+  return (
+    <div
+      ref={containerRef}
+      className={`relative w-full h-[calc(100vh-10rem)] min-h-[320px] rounded-lg overflow-hidden border border-white/10
+        bg-[#14142B] select-none touch-none ${
+          isLassoActive
+            ? "cursor-crosshair"
+            : "cursor-grab active:cursor-grabbing"
+        }`}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      onDoubleClick={(e) => {
+        if (!e.target.closest("button")) {
+          zoomAround((zoom) => zoom + 1, getPointerPosition(e));
+        }
+      }}
+    >
+      {view && (
+        <>
+          <svg className="absolute inset-0 w-full h-full pointer-events-none">
+            {basemapPath && (
+              <path
+                d={basemapPath}
+                transform={`translate(${origin.left} ${origin.top}) scale(${worldSize})`}
+                vectorEffect="non-scaling-stroke"
+                className="fill-[#2D2D52] stroke-white/20"
+                strokeWidth="1"
+              />
+            )}
+          </svg>
+
+          {visibleTiles
+            .filter((tile) => !failedTiles.has(tile.key))
+            .map((tile) => (
+              <img
+                key={tile.key}
+                src={getTileUrl(tiles.url, tile)}
+                alt=""
+                draggable={false}
+                onError={() =>
+                  setFailedTiles((prev) => new Set([...prev, tile.key]))
+                }
+                className="absolute max-w-none pointer-events-none"
+                style={{
+                  left: tile.left,
+                  top: tile.top,
+                  width: tile.size,
+                  height: tile.size,
+                }}
+              />
+            ))}
+
+          <svg className="absolute inset-0 w-full h-full pointer-events-none">
+            {areaPoints && (
+              <polygon
+                points={areaPoints
+                  .map(({ left, top }) => `${left},${top}`)
+                  .join(" ")}
+                className="fill-purple-500/20 stroke-purple-400"
+                strokeWidth="2"
+              />
+            )}
+            {lassoPoints && (
+              <polyline
+                points={lassoPoints
+                  .map(({ left, top }) => `${left},${top}`)
+                  .join(" ")}
+                className="fill-pink-500/10 stroke-pink-400"
+                strokeWidth="2"
+                strokeDasharray="6 4"
+              />
+            )}
+          </svg>
+
+          {clusters.map((cluster) => {
+            const { left, top } = toScreen(cluster);
+            if (
+              left < -CLUSTER_CELL_SIZE ||
+              top < -CLUSTER_CELL_SIZE ||
+              left > size.width + CLUSTER_CELL_SIZE ||
+              top > size.height + CLUSTER_CELL_SIZE
+            ) {
+              return null;
+            }
+            const [{ image }] = cluster.points;
+            const count = cluster.points.length;
+
+            return (
+              <button
+                key={cluster.key}
+                onClick={() => handleClusterClick(cluster)}
+                className="absolute -translate-x-1/2 -translate-y-1/2 w-11 h-11 sm:w-12 sm:h-12 rounded-full
+                  border-2 border-white shadow-lg shadow-black/40 bg-[#1F1F3C]
+                  transition-transform hover:scale-110 hover:z-10"
+                style={{ left, top }}
+                title={
+                  count === 1 ? image.id : `${count} photos — click to zoom in`
+                }
+              >
+                <img
+                  src={getMarkerSrc(image)}
+                  alt=""
+                  draggable={false}
+                  className="w-full h-full rounded-full object-cover"
+                />
+                {count > 1 && (
+                  <span className="absolute -top-2 -right-2 min-w-[1.5rem] h-6 px-1.5 flex items-center justify-center rounded-full text-xs font-semibold text-white bg-gradient-to-r from-purple-500 to-pink-500">
+                    {count}
+                  </span>
+                )}
+              </button>
+            );
+          })}
+        </>
+      )}
+
+      <div className="absolute top-2 left-2 px-3 py-1.5 rounded-lg text-xs sm:text-sm text-white/70 bg-[#1F1F3C]/90 border border-white/10 backdrop-blur-sm pointer-events-none">
+        {points.length} of {images.length} photos have a location
+      </div>
+
+      {basemapFailed && (
+        <div
+          role="status"
+          className="absolute top-11 left-2 flex items-center gap-2 px-3 py-1.5 rounded-lg text-xs sm:text-sm text-white/70 bg-[#1F1F3C]/90 border border-white/10 backdrop-blur-sm"
+        >
+          <AlertCircle className="w-4 h-4 text-red-400" />
+          <span>Basemap unavailable</span>
+          <button
+            onClick={() => setBasemapAttempt((attempt) => attempt + 1)}
+            className="text-purple-300 hover:text-white underline"
+          >
+            Retry
+          </button>
+        </div>
+      )}
+
+      <div className="absolute top-2 right-2 flex flex-col gap-2">
+        <button
+          onClick={() => zoomAround((zoom) => zoom + 1)}
+          className={controlClassName}
+          title="Zoom in"
+        >
+          <Plus className="w-4 h-4" />
+        </button>
+        <button
+          onClick={() => zoomAround((zoom) => zoom - 1)}
+          className={controlClassName}
+          title="Zoom out"
+        >
+          <Minus className="w-4 h-4" />
+        </button>
+        <button
+          onClick={() => fitPoints(points)}
+          className={controlClassName}
+          title="Show all photos"
+        >
+          <LocateFixed className="w-4 h-4" />
+        </button>
+        <button
+          onClick={() => setIsLassoActive((active) => !active)}
+          className={`${controlClassName} ${
+            isLassoActive ? "!bg-purple-500/40 !text-white" : ""
+          }`}
+          title="Draw around photos to filter the grid"
+        >
+          <LassoSelect className="w-4 h-4" />
+        </button>
+        {area && (
+          <button
+            onClick={() => onAreaChange(null)}
+            className={controlClassName}
+            title="Clear selected area"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+
+      <div className="absolute bottom-1 right-2 text-[10px] text-white/50 pointer-events-none">
+        {showTiles && tiles.attribution ? tiles.attribution : "Natural Earth"}
+      </div>
+    </div>
+  );
+};
+
+export default PhotoMap;
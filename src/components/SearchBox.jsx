@@ -0,0 +1,57 @@
+import { useEffect, useRef } from "react";
+import { Search, X } from "lucide-react";
+
+const SearchBox = ({ value, onChange }) => {
+  const inputRef = useRef(null);
+
+  // "/" focuses the search box from anywhere outside a text field.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (
+        e.key !== "/" ||
+        e.target.closest?.("input, textarea, select, [contenteditable]")
+      ) {
+        return;
+      }
+      e.preventDefault();
+      inputRef.current?.focus();
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  return (
+    <div className="relative flex items-center">
+      <Search className="absolute left-2.5 w-4 h-4 text-white/50 pointer-events-none" />
+      <input
+        ref={inputRef}
+        type="search"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Escape") {
+            onChange("");
+            e.target.blur();
+          }
+        }}
+        placeholder="Search photos"
+        title="Search file names, captions, tags and camera details (/)"
+        className="w-28 sm:w-44 lg:w-64 pl-8 pr-7 py-1.5 sm:py-2 rounded-lg text-sm bg-white/5 text-white placeholder-white/40
+          border border-white/10 focus:outline-none focus:border-purple-500 focus:bg-white/10 transition-all
+          [&::-webkit-search-cancel-button]:hidden"
+      />
+      {value && (
+        <button
+          onClick={() => onChange("")}
+          className="absolute right-1.5 p-0.5 rounded-full text-white/50 hover:text-white hover:bg-white/10"
+          title="Clear search"
+        >
+          <X className="w-3.5 h-3.5" />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SearchBox;
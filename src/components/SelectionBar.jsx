@@ -0,0 +1,150 @@
+import {
+  CheckCheck,
+  Eye,
+  EyeOff,
+  FileArchive,
+  FolderInput,
+  Heart,
+  HeartOff,
+  Image,
+  Link,
+  Trash2,
+  X,
+} from "lucide-react";
+
+const buttonClassName =
+  "flex items-center space-x-2 px-3 py-1.5 rounded-lg text-sm bg-white/5 text-white/70 hover:bg-white/10 transition-colors disabled:opacity-40";
+
+const SelectionBar = ({
+  count,
+  totalCount,
+  onSelectAll,
+  onFavorite,
+  onUnfavorite,
+  onDownload,
+  canDownload,
+  onCopyLinks,
+  onClear,
+  canManage,
+  canSetCover,
+  onMove,
+  onHide,
+  onUnhide,
+  onSetCover,
+  onDelete,
+}) => {
+  const isEmpty = count === 0;
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 max-w-[calc(100vw-2rem)] flex flex-wrap items-center justify-center gap-2 p-2 rounded-xl bg-[#1F1F3C]/95 border border-white/10 shadow-xl backdrop-blur-sm">
+      <span className="px-2 text-sm text-white">{count} selected</span>
+      <button
+        onClick={onSelectAll}
+        disabled={count === totalCount}
+        className={buttonClassName}
+        title="Select all (Ctrl+A)"
+      >
+        <CheckCheck className="h-4 w-4" />
+        <span className="hidden sm:inline">Select all</span>
+      </button>
+      <button
+        onClick={onFavorite}
+        disabled={isEmpty}
+        className={buttonClassName}
+        title="Add the selected photos to favorites"
+      >
+        <Heart className="h-4 w-4" />
+        <span className="hidden sm:inline">Favorite</span>
+      </button>
+      <button
+        onClick={onUnfavorite}
+        disabled={isEmpty}
+        className={buttonClassName}
+        title="Remove the selected photos from favorites"
+      >
+        <HeartOff className="h-4 w-4" />
+        <span className="hidden sm:inline">Unfavorite</span>
+      </button>
+      {canDownload && (
+        <button
+          onClick={onDownload}
+          disabled={isEmpty}
+          className={buttonClassName}
+          title="Download the selected photos as one ZIP file"
+        >
+          <FileArchive className="h-4 w-4" />
+          <span className="hidden sm:inline">Download</span>
+        </button>
+      )}
+      <button
+        onClick={onCopyLinks}
+        disabled={isEmpty}
+        className={buttonClassName}
+        title="Copy links to the selected photos"
+      >
+        <Link className="h-4 w-4" />
+        <span className="hidden sm:inline">Copy links</span>
+      </button>
+      {canManage && (
+        <>
+          <button
+            onClick={onMove}
+            disabled={isEmpty}
+            className={buttonClassName}
+            title="Move the selected photos to another album, or rename one"
+          >
+            <FolderInput className="h-4 w-4" />
+            <span className="hidden sm:inline">Move</span>
+          </button>
+          <button
+            onClick={onHide}
+            disabled={isEmpty}
+            className={buttonClassName}
+            title="Hide the selected photos from visitors"
+          >
+            <EyeOff className="h-4 w-4" />
+            <span className="hidden sm:inline">Hide</span>
+          </button>
+          <button
+            onClick={onUnhide}
+            disabled={isEmpty}
+            className={buttonClassName}
+            title="Show the selected photos to visitors again"
+          >
+            <Eye className="h-4 w-4" />
+            <span className="hidden sm:inline">Unhide</span>
+          </button>
+          {canSetCover && (
+            <button
+              onClick={onSetCover}
+              disabled={count !== 1}
+              className={buttonClassName}
+              title="Use the selected photo as this album's cover"
+            >
+              <Image className="h-4 w-4" />
+              <span className="hidden sm:inline">Set as cover</span>
+            </button>
+          )}
+          <button
+            onClick={onDelete}
+            disabled={isEmpty}
+            className={`${buttonClassName} hover:bg-red-500/20 hover:text-red-400`}
+            title="Delete the selected photos"
+          >
+            <Trash2 className="h-4 w-4" />
+            <span className="hidden sm:inline">Delete</span>
+          </button>
+        </>
+      )}
+      <button
+        onClick={onClear}
+        className={buttonClassName}
+        title="Clear selection (Esc)"
+      >
+        <X className="h-4 w-4" />
+      </button>
+    </div>
+  );
+};
+
+export default SelectionBar;
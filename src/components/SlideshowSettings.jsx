@@ -0,0 +1,73 @@
+const INTERVALS = [3000, 5000, 10000, 20000, 30000];
+
+const TRANSITIONS = [
+  { value: "none", label: "None" },
+  { value: "crossfade", label: "Crossfade" },
+  { value: "kenburns", label: "Ken Burns" },
+];
+
+const Toggle = ({ label, checked, onChange }) => (
+  <label className="flex items-center justify-between text-sm cursor-pointer">
+    <span>{label}</span>
+    <input
+      type="checkbox"
+      checked={checked}
+      onChange={(e) => onChange(e.target.checked)}
+      className="accent-purple-500 h-4 w-4"
+    />
+  </label>
+);
+
+const SlideshowSettings = ({ settings, onChange }) => (
+  <div
+    onClick={(e) => e.stopPropagation()}
+    className="absolute top-full right-0 mt-2 w-60 p-4 space-y-3 rounded-lg
+      bg-[#1F1F3C]/95 backdrop-blur-lg border border-white/10 text-white shadow-lg shadow-purple-900/20"
+  >
+    <label className="block text-sm">
+      Interval
+      <select
+        value={settings.interval}
+        onChange={(e) => onChange({ interval: Number(e.target.value) })}
+        className="mt-1 w-full px-2 py-1.5 rounded-lg bg-black/30 border border-white/10"
+      >
+        {INTERVALS.map((interval) => (
+          <option key={interval} value={interval}>
+            {interval / 1000} seconds
+          </option>
+        ))}
+      </select>
+    </label>
+    <label className="block text-sm">
+      Transition
+      <select
+        value={settings.transition}
+        onChange={(e) => onChange({ transition: e.target.value })}
+        className="mt-1 w-full px-2 py-1.5 rounded-lg bg-black/30 border border-white/10"
+      >
+        {TRANSITIONS.map(({ value, label }) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </label>
+    <Toggle
+      label="Shuffle"
+      checked={settings.shuffle}
+      onChange={(shuffle) => onChange({ shuffle })}
+    />
+    <Toggle
+      label="Loop"
+      checked={settings.loop}
+      onChange={(loop) => onChange({ loop })}
+    />
+    <Toggle
+      label="Favorites only"
+      checked={settings.favoritesOnly}
+      onChange={(favoritesOnly) => onChange({ favoritesOnly })}
+    />
+  </div>
+);
+
+export default SlideshowSettings;
@@ -0,0 +1,53 @@
+import { useEffect, useState } from "react";
+
+const FADE_DURATION = 1000;
+
+// Keeps the outgoing slide underneath the incoming one so the new image can
+// fade in over it instead of flashing the backdrop.
+const SlideshowStage = ({ image, getAlt, transition, interval, isPaused }) => {
+  const [layers, setLayers] = useState([{ image, index: 0 }]);
+
+  useEffect(() => {
+    setLayers((prev) => {
+      const top = prev[prev.length - 1];
+      if (top.image.id === image.id) return prev;
+      return [top, { image, index: top.index + 1 }];
+    });
+  }, [image]);
+
+  // The animation list for a layer never changes after it mounts, otherwise
+  // the browser would restart the Ken Burns motion of the outgoing slide.
+  const getAnimation = (layer) => {
+    const animations = [];
+    if (transition !== "none" && layer.index > 0) {
+      animations.push(`slideshow-fade-in ${FADE_DURATION}ms ease-in-out`);
+    }
+    if (transition === "kenburns") {
+      const direction =
+        layer.index % 2 === 0 ? "ken-burns-in" : "ken-burns-out";
+      animations.push(
+        `${direction} ${interval + FADE_DURATION}ms linear forwards`
+      );
+    }
+    return animations.join(", ") || undefined;
+  };
+
+  return (
+    <div className="absolute inset-0 overflow-hidden">
+      {layers.map((layer) => (
+        <img
+          key={`${layer.image.id}-${layer.index}`}
+          src={layer.image.url}
+          alt={getAlt(layer.image)}
+          className="absolute inset-0 w-full h-full object-contain"
+          style={{
+            animation: getAnimation(layer),
+            animationPlayState: isPaused ? "paused" : "running",
+          }}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default SlideshowStage;
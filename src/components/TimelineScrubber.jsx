@@ -0,0 +1,103 @@
+import { useRef, useState } from "react";
+
+const MIN_LABEL_SPACING = 28;
+// Matches the track's top-20 and bottom-6 insets.
+const TRACK_INSET = 104;
+
+// Phone-style date scrubber: year labels sit at their position in the grid,
+// and dragging along the track scrolls the grid proportionally.
+const TimelineScrubber = ({ sections, height, scrollTop, onScrub }) => {
+  const trackRef = useRef(null);
+  const [dragLabel, setDragLabel] = useState(null);
+
+  const getSectionAt = (offset) =>
+    sections.reduce(
+      (current, section) => (section.top <= offset ? section : current),
+      sections[0]
+    );
+
+  const scrubTo = (clientY) => {
+    const rect = trackRef.current.getBoundingClientRect();
+    const fraction = Math.min(
+      1,
+      Math.max(0, (clientY - rect.top) / rect.height)
+    );
+    const offset = fraction * height;
+    setDragLabel(getSectionAt(offset).label);
+    onScrub(offset);
+  };
+
+  const handlePointerDown = (e) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    scrubTo(e.clientY);
+  };
+
+  const handlePointerMove = (e) => {
+    if (dragLabel !== null) scrubTo(e.clientY);
+  };
+
+  const handlePointerUp = (e) => {
+    e.currentTarget.releasePointerCapture(e.pointerId);
+    setDragLabel(null);
+  };
+
+  // One label per year, skipping years that would overlap the previous one.
+  const trackHeight = window.innerHeight - TRACK_INSET;
+  let lastLabelTop = -Infinity;
+  const yearLabels = sections
+    .filter(
+      (section, index) =>
+        index === 0 ||
+        section.key.slice(0, 4) !== sections[index - 1].key.slice(0, 4)
+    )
+    .map((section) => ({
+      year: section.key.slice(0, 4),
+      fraction: section.top / height,
+    }))
+    .filter(({ fraction }) => {
+      const labelTop = fraction * trackHeight;
+      if (labelTop - lastLabelTop < MIN_LABEL_SPACING) return false;
+      lastLabelTop = labelTop;
+      return true;
+    });
+
+  const thumbFraction = Math.min(1, Math.max(0, scrollTop / height));
+
+  return (
+    <div
+      ref={trackRef}
+      className="fixed right-0 top-20 bottom-6 w-12 sm:w-16 z-30 select-none touch-none cursor-pointer group"
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+    >
+      {yearLabels.map(({ year, fraction }) => (
+        <span
+          key={year}
+          className="absolute right-2 -translate-y-1/2 px-1.5 py-0.5 rounded text-[10px] sm:text-xs text-white/50
+            bg-[#1F1F3C]/60 opacity-0 group-hover:opacity-100 transition-opacity"
+          style={{ top: `${fraction * 100}%` }}
+        >
+          {year}
+        </span>
+      ))}
+      <div
+        className="absolute right-1 w-1.5 h-10 -translate-y-1/2 rounded-full bg-gradient-to-b from-purple-500 to-pink-500 opacity-70"
+        style={{ top: `${thumbFraction * 100}%` }}
+      />
+      {dragLabel && (
+        <div
+          className="absolute right-8 sm:right-12 -translate-y-1/2 px-3 py-1.5 rounded-lg whitespace-nowrap
+            bg-[#1F1F3C]/90 backdrop-blur-sm border border-white/10 text-white text-sm shadow-lg"
+          style={{ top: `${thumbFraction * 100}%` }}
+        >
+          {dragLabel}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TimelineScrubber;
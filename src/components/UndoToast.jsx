@@ -0,0 +1,35 @@
+import { useEffect } from "react";
+import { Undo2, X } from "lucide-react";
+
+const TOAST_DURATION = 10 * 1000;
+
+// Confirms an admin change and offers to undo it straight away. Older changes
+// can still be undone from the activity log.
+const UndoToast = ({ mutation, onUndo, onDismiss }) => {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, TOAST_DURATION);
+    return () => clearTimeout(timer);
+  }, [mutation, onDismiss]);
+
+  return (
+    <div className="fixed top-20 left-1/2 -translate-x-1/2 z-50 max-w-[calc(100vw-2rem)] flex items-center gap-3 px-4 py-2 rounded-lg bg-[#1F1F3C]/95 border border-white/10 shadow-xl backdrop-blur-sm text-white text-sm">
+      <span className="truncate">{mutation.summary}</span>
+      <button
+        onClick={onUndo}
+        className="flex items-center space-x-1 px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 transition-colors"
+      >
+        <Undo2 className="h-3.5 w-3.5" />
+        <span>Undo</span>
+      </button>
+      <button
+        onClick={onDismiss}
+        className="p-1 rounded-lg bg-transparent text-white/60 hover:text-white"
+        title="Close"
+      >
+        <X className="h-3.5 w-3.5" />
+      </button>
+    </div>
+  );
+};
+
+export default UndoToast;
@@ -0,0 +1,217 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { Upload, X, RotateCcw, Check, AlertCircle } from "lucide-react";
+import { uploadFile } from "../upload";
+import { normalizeAlbumPrefix } from "../albums";
+
+let nextUploadId = 0;
+
+const formatSize = (bytes) =>
+  bytes > 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+const UploadPanel = ({ albumPrefix, albums, multipart, onUploaded, onClose }) => {
+  const [targetPrefix, setTargetPrefix] = useState(albumPrefix);
+  const [uploads, setUploads] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
+  const fileInputRef = useRef(null);
+  const controllers = useRef({});
+
+  const updateUpload = (id, changes) =>
+    setUploads((prev) =>
+      prev.map((upload) => (upload.id === id ? { ...upload, ...changes } : upload))
+    );
+
+  const addFiles = useCallback(
+    (fileList) => {
+      const prefix = normalizeAlbumPrefix(targetPrefix);
+      const newUploads = Array.from(fileList)
+        .filter((file) => file.type.startsWith("image/"))
+        .map((file) => ({
+          id: ++nextUploadId,
+          file,
+          key: `${prefix}${file.name}`,
+          status: "queued",
+          progress: 0,
+          error: null,
+        }));
+      setUploads((prev) => [...prev, ...newUploads]);
+    },
+    [targetPrefix]
+  );
+
+  const activeUpload = uploads.find((upload) => upload.status === "uploading");
+  const nextQueued = uploads.find((upload) => upload.status === "queued");
+
+  useEffect(() => {
+    if (activeUpload || !nextQueued) return;
+
+    const { id, file, key } = nextQueued;
+    const controller = new AbortController();
+    controllers.current[id] = controller;
+    updateUpload(id, { status: "uploading", error: null });
+
+    uploadFile(file, key, {
+      multipart,
+      signal: controller.signal,
+      onProgress: (progress) => updateUpload(id, { progress }),
+    })
+      .then((object) => {
+        updateUpload(id, { status: "done", progress: 1 });
+        onUploaded(object);
+      })
+      .catch((error) => {
+        console.error(`Error uploading ${key}:`, error);
+        updateUpload(id, {
+          status: error.name === "AbortError" ? "cancelled" : "error",
+          error: error.message,
+        });
+      })
+      .finally(() => {
+        delete controllers.current[id];
+      });
+  }, [activeUpload, nextQueued, multipart, onUploaded]);
+
+  useEffect(() => {
+    const currentControllers = controllers.current;
+    return () =>
+      Object.values(currentControllers).forEach((controller) => controller.abort());
+  }, []);
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    addFiles(e.dataTransfer.files);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div
+        className="absolute inset-0 backdrop-blur-md bg-black/60"
+        onClick={onClose}
+      />
+
+      <div className="relative w-full max-w-lg max-h-[85vh] flex flex-col bg-[#1F1F3C] border border-white/10 rounded-lg shadow-lg shadow-purple-900/20 text-white">
+        <div className="flex items-center justify-between px-4 py-3 border-b border-white/10">
+          <h2 className="text-lg font-semibold">Upload photos</h2>
+          <button
+            onClick={onClose}
+            className="p-1.5 bg-black/30 hover:bg-black/50 rounded-full"
+            title="Close"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-3 overflow-y-auto">
+          <label className="block text-sm text-white/70">
+            Album
+            <input
+              list="upload-albums"
+              value={targetPrefix}
+              onChange={(e) => setTargetPrefix(e.target.value)}
+              placeholder="e.g. trips/2024-japan/"
+              className="mt-1 w-full px-3 py-2 rounded-lg bg-black/30 border border-white/10 text-white placeholder-white/30 focus:outline-none focus:border-purple-500"
+            />
+            <datalist id="upload-albums">
+              {albums.map((album) => (
+                <option key={album.prefix} value={album.prefix} />
+              ))}
+            </datalist>
+          </label>
+
+          <div
+            onDragOver={(e) => {
+              e.preventDefault();
+              setIsDragging(true);
+            }}
+            onDragLeave={() => setIsDragging(false)}
+            onDrop={handleDrop}
+            onClick={() => fileInputRef.current?.click()}
+            className={`flex flex-col items-center justify-center h-36 rounded-lg border-2 border-dashed cursor-pointer transition-colors
+              ${
+                isDragging
+                  ? "border-purple-400 bg-purple-500/10"
+                  : "border-white/20 hover:border-white/40"
+              }`}
+          >
+            <Upload className="h-8 w-8 mb-2 text-white/60" />
+            <p className="text-sm text-white/70">
+              Drop images here or click to choose files
+            </p>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="image/*"
+              multiple
+              className="hidden"
+              onChange={(e) => {
+                addFiles(e.target.files);
+                e.target.value = "";
+              }}
+            />
+          </div>
+
+          {uploads.length > 0 && (
+            <ul className="space-y-2">
+              {uploads.map((upload) => (
+                <li key={upload.id} className="p-2 rounded-lg bg-black/20">
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="truncate mr-2" title={upload.key}>
+                      {upload.key}
+                    </span>
+                    <span className="flex items-center space-x-2 flex-shrink-0 text-white/60">
+                      <span>{formatSize(upload.file.size)}</span>
+                      {upload.status === "done" && (
+                        <Check className="h-4 w-4 text-green-400" />
+                      )}
+                      {upload.status === "uploading" && (
+                        <button
+                          onClick={() => controllers.current[upload.id]?.abort()}
+                          className="p-1 bg-transparent hover:text-white"
+                          title="Cancel upload"
+                        >
+                          <X className="h-4 w-4" />
+                        </button>
+                      )}
+                      {(upload.status === "error" ||
+                        upload.status === "cancelled") && (
+                        <button
+                          onClick={() =>
+                            updateUpload(upload.id, { status: "queued" })
+                          }
+                          className="p-1 bg-transparent hover:text-white"
+                          title="Retry upload"
+                        >
+                          <RotateCcw className="h-4 w-4" />
+                        </button>
+                      )}
+                    </span>
+                  </div>
+                  <div className="mt-1.5 h-1.5 rounded-full bg-white/10 overflow-hidden">
+                    <div
+                      className={`h-full transition-all duration-300 ${
+                        upload.status === "error"
+                          ? "bg-red-500"
+                          : "bg-gradient-to-r from-purple-500 to-pink-500"
+                      }`}
+                      style={{ width: `${Math.round(upload.progress * 100)}%` }}
+                    />
+                  </div>
+                  {upload.status === "error" && (
+                    <p className="flex items-center mt-1 text-xs text-red-400">
+                      <AlertCircle className="h-3 w-3 mr-1" />
+                      {upload.error}
+                    </p>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UploadPanel;
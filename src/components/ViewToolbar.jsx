@@ -0,0 +1,153 @@
+import {
+  ArrowDownWideNarrow,
+  ArrowUpNarrowWide,
+  CalendarRange,
+  FilterX,
+  LayoutGrid,
+  Map as MapIcon,
+  SquareCheckBig,
+} from "lucide-react";
+import {
+  ORIENTATION_OPTIONS,
+  SORT_OPTIONS,
+  hasActiveFilters,
+} from "../viewOptions";
+
+const controlClassName =
+  "px-3 py-1.5 rounded-lg text-sm bg-white/5 text-white/70 border border-white/10 hover:bg-white/10 transition-colors focus:outline-none focus:border-purple-500";
+
+const LAYOUTS = [
+  { value: "grid", label: "Grid", icon: LayoutGrid },
+  { value: "map", label: "Map", icon: MapIcon },
+];
+
+const ViewToolbar = ({
+  viewOptions,
+  fileTypes,
+  onChange,
+  onReset,
+  isSelecting,
+  onToggleSelecting,
+}) => (
+  <div className="flex flex-wrap items-center gap-2 mb-3">
+    <div className="flex rounded-lg border border-white/10 overflow-hidden">
+      {LAYOUTS.map(({ value, label, icon: Icon }) => (
+        <button
+          key={value}
+          onClick={() => onChange({ layout: value })}
+          className={`flex items-center space-x-2 px-3 py-1.5 text-sm transition-colors ${
+            viewOptions.layout === value
+              ? "bg-purple-500/30 text-white"
+              : "bg-white/5 text-white/70 hover:bg-white/10"
+          }`}
+          title={`Show as ${label.toLowerCase()}`}
+        >
+          <Icon className="h-4 w-4" />
+          <span className="hidden sm:inline">{label}</span>
+        </button>
+      ))}
+    </div>
+    <button
+      onClick={onToggleSelecting}
+      className={`${controlClassName} flex items-center space-x-2 ${
+        isSelecting ? "bg-purple-500/30 text-white" : ""
+      }`}
+      title="Select photos (or shift-click / long-press a photo)"
+    >
+      <SquareCheckBig className="h-4 w-4" />
+      <span className="hidden sm:inline">
+        {isSelecting ? "Done" : "Select"}
+      </span>
+    </button>
+
+    <select
+      value={viewOptions.sort}
+      onChange={(e) => onChange({ sort: e.target.value })}
+      className={controlClassName}
+      title="Sort by"
+    >
+      {SORT_OPTIONS.map((option) => (
+        <option key={option.value} value={option.value}>
+          {option.label}
+        </option>
+      ))}
+    </select>
+    <button
+      onClick={() =>
+        onChange({ order: viewOptions.order === "asc" ? "desc" : "asc" })
+      }
+      className={controlClassName}
+      title={
+        viewOptions.order === "asc"
+          ? "Oldest/smallest first"
+          : "Newest/largest first"
+      }
+    >
+      {viewOptions.order === "asc" ? (
+        <ArrowUpNarrowWide className="h-4 w-4" />
+      ) : (
+        <ArrowDownWideNarrow className="h-4 w-4" />
+      )}
+    </button>
+
+    <select
+      value={viewOptions.orientation}
+      onChange={(e) => onChange({ orientation: e.target.value })}
+      className={controlClassName}
+      title="Orientation"
+    >
+      <option value="">Any orientation</option>
+      {ORIENTATION_OPTIONS.map((option) => (
+        <option key={option.value} value={option.value}>
+          {option.label}
+        </option>
+      ))}
+    </select>
+    <select
+      value={viewOptions.type}
+      onChange={(e) => onChange({ type: e.target.value })}
+      className={controlClassName}
+      title="File type"
+    >
+      <option value="">Any type</option>
+      {fileTypes.map((type) => (
+        <option key={type} value={type}>
+          {type.toUpperCase()}
+        </option>
+      ))}
+    </select>
+
+    <div className="flex items-center gap-1 text-sm text-white/60">
+      <CalendarRange className="h-4 w-4" />
+      <input
+        type="date"
+        value={viewOptions.from}
+        max={viewOptions.to || undefined}
+        onChange={(e) => onChange({ from: e.target.value })}
+        className={`${controlClassName} [color-scheme:dark]`}
+        title="From date"
+      />
+      <span>–</span>
+      <input
+        type="date"
+        value={viewOptions.to}
+        min={viewOptions.from || undefined}
+        onChange={(e) => onChange({ to: e.target.value })}
+        className={`${controlClassName} [color-scheme:dark]`}
+        title="To date"
+      />
+    </div>
+
+    {hasActiveFilters(viewOptions) && (
+      <button
+        onClick={onReset}
+        className={`${controlClassName} flex items-center space-x-2`}
+      >
+        <FilterX className="h-4 w-4" />
+        <span>Clear filters</span>
+      </button>
+    )}
+  </div>
+);
+
+export default ViewToolbar;
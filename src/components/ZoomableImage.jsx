@@ -0,0 +1,258 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+const MIN_SCALE = 1;
+const WHEEL_ZOOM_SPEED = 0.002;
+const DOUBLE_TAP_DELAY = 300;
+const TAP_MOVE_TOLERANCE = 10;
+const IDENTITY = { scale: 1, x: 0, y: 0 };
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+// With object-contain the painted picture can be smaller than the element
+// (e.g. in fullscreen), so measure the fitted content instead of the box.
+const getContentSize = (image) => {
+  if (!image || !image.naturalWidth) return null;
+  const fit = Math.min(
+    image.offsetWidth / image.naturalWidth,
+    image.offsetHeight / image.naturalHeight
+  );
+  return {
+    width: image.naturalWidth * fit,
+    height: image.naturalHeight * fit,
+    naturalScale: 1 / fit,
+  };
+};
+
+const getNaturalScale = (image) => getContentSize(image)?.naturalScale || 1;
+
+// Translation is relative to the image's resting (fitted, centered) position
+// and scaling happens around the image center, so panning limits only depend
+// on how far the scaled image overflows the viewport.
+const ZoomableImage = ({ src, alt, className, onZoomChange }) => {
+  const imageRef = useRef(null);
+  const pointers = useRef(new Map());
+  const gesture = useRef(null);
+  const lastTap = useRef({ time: 0, x: 0, y: 0 });
+  const [transform, setTransform] = useState(IDENTITY);
+  const [isGesturing, setIsGesturing] = useState(false);
+
+  const clampTransform = useCallback(({ scale, x, y }) => {
+    const content = getContentSize(imageRef.current);
+    if (!content || scale <= MIN_SCALE) return IDENTITY;
+
+    const maxX = Math.max(0, (content.width * scale - window.innerWidth) / 2);
+    const maxY = Math.max(0, (content.height * scale - window.innerHeight) / 2);
+    return { scale, x: clamp(x, -maxX, maxX), y: clamp(y, -maxY, maxY) };
+  }, []);
+
+  // Client coordinates relative to the center of the untransformed image.
+  const toImageOrigin = useCallback((clientX, clientY, current) => {
+    const rect = imageRef.current.getBoundingClientRect();
+    return {
+      x: clientX - (rect.left + rect.width / 2 - current.x),
+      y: clientY - (rect.top + rect.height / 2 - current.y),
+    };
+  }, []);
+
+  const zoomAt = useCallback(
+    (current, nextScale, clientX, clientY) => {
+      const maxScale = Math.max(4, getNaturalScale(imageRef.current) * 2);
+      const scale = clamp(nextScale, MIN_SCALE, maxScale);
+      const origin = toImageOrigin(clientX, clientY, current);
+      const ratio = scale / current.scale;
+
+      return clampTransform({
+        scale,
+        x: origin.x - (origin.x - current.x) * ratio,
+        y: origin.y - (origin.y - current.y) * ratio,
+      });
+    },
+    [clampTransform, toImageOrigin]
+  );
+
+  const toggleZoom = useCallback(
+    (clientX, clientY) => {
+      setTransform((current) => {
+        if (current.scale > MIN_SCALE) return IDENTITY;
+        const naturalScale = getNaturalScale(imageRef.current);
+        return zoomAt(
+          current,
+          naturalScale > 1 ? naturalScale : 2,
+          clientX,
+          clientY
+        );
+      });
+    },
+    [zoomAt]
+  );
+
+  useEffect(() => {
+    onZoomChange?.(transform.scale > MIN_SCALE);
+  }, [transform.scale, onZoomChange]);
+
+  useEffect(() => {
+    const resetZoom = () => setTransform(IDENTITY);
+    window.addEventListener("resize", resetZoom);
+    return () => window.removeEventListener("resize", resetZoom);
+  }, []);
+
+  // React registers wheel listeners as passive, which would stop us from
+  // preventing the page scroll, so this one is attached by hand.
+  useEffect(() => {
+    const image = imageRef.current;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const { clientX, clientY, deltaY } = e;
+      setTransform((current) =>
+        zoomAt(
+          current,
+          current.scale * Math.exp(-deltaY * WHEEL_ZOOM_SPEED),
+          clientX,
+          clientY
+        )
+      );
+    };
+
+    image.addEventListener("wheel", handleWheel, { passive: false });
+    return () => image.removeEventListener("wheel", handleWheel);
+  }, [zoomAt]);
+
+  const startGesture = () => {
+    const points = [...pointers.current.values()];
+    if (points.length >= 2) {
+      gesture.current = {
+        type: "pinch",
+        distance: distance(points[0], points[1]),
+        center: midpoint(points[0], points[1]),
+      };
+    } else if (points.length === 1) {
+      gesture.current = {
+        type: "pan",
+        last: points[0],
+        start: points[0],
+        moved: false,
+      };
+    } else {
+      gesture.current = null;
+    }
+    setIsGesturing(!!gesture.current);
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    startGesture();
+  };
+
+  const handlePointerMove = (e) => {
+    if (!pointers.current.has(e.pointerId) || !gesture.current) return;
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const points = [...pointers.current.values()];
+    const current = gesture.current;
+
+    if (current.type === "pinch" && points.length >= 2) {
+      const nextDistance = distance(points[0], points[1]);
+      const nextCenter = midpoint(points[0], points[1]);
+      const factor = nextDistance / current.distance;
+      const panX = nextCenter.x - current.center.x;
+      const panY = nextCenter.y - current.center.y;
+
+      setTransform((prev) => {
+        const zoomed = zoomAt(
+          prev,
+          prev.scale * factor,
+          nextCenter.x,
+          nextCenter.y
+        );
+        return clampTransform({
+          ...zoomed,
+          x: zoomed.x + panX,
+          y: zoomed.y + panY,
+        });
+      });
+      gesture.current = {
+        ...current,
+        distance: nextDistance,
+        center: nextCenter,
+      };
+    } else if (current.type === "pan") {
+      const point = points[0];
+      const deltaX = point.x - current.last.x;
+      const deltaY = point.y - current.last.y;
+      const moved =
+        current.moved || distance(point, current.start) > TAP_MOVE_TOLERANCE;
+
+      setTransform((prev) =>
+        prev.scale > MIN_SCALE
+          ? clampTransform({ ...prev, x: prev.x + deltaX, y: prev.y + deltaY })
+          : prev
+      );
+      gesture.current = { ...current, last: point, moved };
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    const current = gesture.current;
+    pointers.current.delete(e.pointerId);
+
+    if (
+      e.pointerType !== "mouse" &&
+      current?.type === "pan" &&
+      !current.moved &&
+      pointers.current.size === 0
+    ) {
+      const now = Date.now();
+      const previousTap = lastTap.current;
+      if (
+        now - previousTap.time < DOUBLE_TAP_DELAY &&
+        distance(previousTap, { x: e.clientX, y: e.clientY }) <
+          TAP_MOVE_TOLERANCE * 3
+      ) {
+        toggleZoom(e.clientX, e.clientY);
+        lastTap.current = { time: 0, x: 0, y: 0 };
+      } else {
+        lastTap.current = { time: now, x: e.clientX, y: e.clientY };
+      }
+    }
+
+    startGesture();
+  };
+
+  const isZoomed = transform.scale > MIN_SCALE;
+
+  return (
+    <img
+      ref={imageRef}
+      src={src}
+      alt={alt}
+      draggable={false}
+      className={`${className} select-none touch-none ${
+        isGesturing ? "" : "transition-transform duration-200 ease-out"
+      } ${
+        isZoomed
+          ? isGesturing
+            ? "cursor-grabbing"
+            : "cursor-grab"
+          : "cursor-zoom-in"
+      }`}
+      style={{
+        transform: `translate(${transform.x}px, ${transform.y}px) scale(${transform.scale})`,
+      }}
+      onClick={(e) => e.stopPropagation()}
+      onDoubleClick={(e) => {
+        e.stopPropagation();
+        toggleZoom(e.clientX, e.clientY);
+      }}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+    />
+  );
+};
+
+export default ZoomableImage;
@@ -0,0 +1,291 @@
+import {
+  fetchDownloadUrl,
+  fetchImagePage,
+  fetchImageUrl,
+  lookupImages,
+} from "./api";
+import { getCachedImageBlob } from "./imageCache";
+import { writeZip } from "./zip";
+
+const LIST_PAGE_SIZE = 1000;
+const LOOKUP_BATCH_SIZE = 500;
+const PROGRESS_INTERVAL = 100;
+const KEEPALIVE_INTERVAL = 10 * 1000;
+const CONTROLLER_TIMEOUT = 5 * 1000;
+const BLOB_URL_LIFETIME = 60 * 1000;
+// Archives built in memory (see `createBlobSink`) are refused above this.
+export const MAX_BUFFERED_ZIP_BYTES = 500 * 1024 * 1024;
+
+const clickDownloadLink = (url, filename) => {
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.rel = "noopener";
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+};
+
+// The signed URL carries a Content-Disposition header, so the original is
+// saved under its own name even though it's on another origin.
+export const downloadOriginal = async (key) => {
+  const { url, filename } = await fetchDownloadUrl(key);
+  clickDownloadLink(url, filename);
+};
+
+// Lists every image under an album prefix, including nested albums.
+export const listAlbumImages = async (prefix, signal) => {
+  const images = [];
+  let cursor = null;
+  do {
+    signal?.throwIfAborted();
+    const page = await fetchImagePage({
+      prefix,
+      cursor,
+      limit: LIST_PAGE_SIZE,
+    });
+    images.push(...page.images);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return images;
+};
+
+// Resolves keys (such as favorites) to objects with their size and date,
+// dropping keys that no longer exist.
+export const lookupImagesByKey = async (keys, signal) => {
+  const images = [];
+  for (let i = 0; i < keys.length; i += LOOKUP_BATCH_SIZE) {
+    signal?.throwIfAborted();
+    const result = await lookupImages(keys.slice(i, i + LOOKUP_BATCH_SIZE));
+    images.push(...result.images);
+  }
+  return images;
+};
+
+// Writes straight to a file the user picks (Chromium browsers).
+const createFileSink = async (filename) => {
+  const handle = await window.showSaveFilePicker({
+    suggestedName: filename,
+    types: [
+      { description: "ZIP archive", accept: { "application/zip": [".zip"] } },
+    ],
+  });
+  return handle.createWritable();
+};
+
+// Streams through the service worker, which answers a download URL with the
+// bytes posted to it, so the browser saves them as they arrive. The worker
+// asks for each chunk, which keeps at most one chunk in flight.
+const createServiceWorkerSink = (controller, filename) =>
+  new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+    const url = `/downloads/${crypto.randomUUID()}/${encodeURIComponent(
+      filename
+    )}`;
+    let requestChunk = null;
+    let cancelled = false;
+    let keepalive = null;
+    const timeout = setTimeout(
+      () => reject(new Error("Service worker did not respond")),
+      KEEPALIVE_INTERVAL
+    );
+
+    const waitForPull = () =>
+      new Promise((resolvePull, rejectPull) => {
+        if (cancelled) {
+          rejectPull(new DOMException("Download cancelled", "AbortError"));
+        } else {
+          requestChunk = { resolve: resolvePull, reject: rejectPull };
+        }
+      });
+
+    channel.port1.onmessage = ({ data }) => {
+      if (data.type === "ready") {
+        clearTimeout(timeout);
+        const frame = document.createElement("iframe");
+        frame.hidden = true;
+        frame.src = url;
+        document.body.appendChild(frame);
+        // Workers are stopped when idle; messages to it keep it running
+        // while the download is open.
+        keepalive = setInterval(
+          () => controller.postMessage({ type: "keepalive" }),
+          KEEPALIVE_INTERVAL
+        );
+        resolve(
+          new WritableStream({
+            write: async (chunk) => {
+              await waitForPull();
+              channel.port1.postMessage({ type: "chunk", chunk });
+            },
+            close: () => {
+              clearInterval(keepalive);
+              channel.port1.postMessage({ type: "end" });
+              setTimeout(() => frame.remove(), KEEPALIVE_INTERVAL);
+            },
+            abort: () => {
+              clearInterval(keepalive);
+              channel.port1.postMessage({ type: "abort" });
+              frame.remove();
+            },
+          })
+        );
+      } else if (data.type === "pull") {
+        requestChunk?.resolve();
+        requestChunk = null;
+      } else if (data.type === "cancel") {
+        cancelled = true;
+        requestChunk?.reject(
+          new DOMException("Download cancelled", "AbortError")
+        );
+      }
+    };
+
+    controller.postMessage({ type: "download", url, filename }, [
+      channel.port2,
+    ]);
+  });
+
+const tooLargeError = () =>
+  new DOMException(
+    "This browser can't stream the archive and it is too large to build in memory",
+    "QuotaExceededError"
+  );
+
+// On a first visit the worker may still be installing. Once it is active it is
+// asked to claim the page, which it also does by itself on activation
+// (public/sw.js). Resolves with the controller, or null if none turns up in
+// time.
+const waitForServiceWorker = async () => {
+  const { serviceWorker } = navigator;
+  if (!serviceWorker) return null;
+  if (serviceWorker.controller) return serviceWorker.controller;
+
+  return new Promise((resolve) => {
+    const finish = () => {
+      clearTimeout(timeout);
+      serviceWorker.removeEventListener("controllerchange", finish);
+      resolve(serviceWorker.controller);
+    };
+    const timeout = setTimeout(finish, CONTROLLER_TIMEOUT);
+    serviceWorker.addEventListener("controllerchange", finish);
+    serviceWorker.ready.then((registration) => {
+      if (serviceWorker.controller) finish();
+      else registration.active?.postMessage({ type: "claim" });
+    });
+  });
+};
+
+// Last resort when neither a file picker nor the service worker is available:
+// collects the archive as a Blob, up to `MAX_BUFFERED_ZIP_BYTES`. Browsers
+// keep large blobs on disk rather than in memory, but the whole archive still
+// exists at once.
+const createBlobSink = (filename) => {
+  const parts = [];
+  let size = 0;
+  return new WritableStream({
+    write: (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BUFFERED_ZIP_BYTES) throw tooLargeError();
+      parts.push(new Blob([chunk]));
+    },
+    close: () => {
+      const url = URL.createObjectURL(
+        new Blob(parts, { type: "application/zip" })
+      );
+      clickDownloadLink(url, filename);
+      setTimeout(() => URL.revokeObjectURL(url), BLOB_URL_LIFETIME);
+    },
+  });
+};
+
+// Must be called from a user gesture: the file picker refuses otherwise.
+// `buffered` tells whether the archive is built in memory.
+const createDownloadSink = async (filename) => {
+  if (window.showSaveFilePicker) {
+    return { sink: await createFileSink(filename), buffered: false };
+  }
+  const controller = await waitForServiceWorker();
+  if (controller) {
+    try {
+      return {
+        sink: await createServiceWorkerSink(controller, filename),
+        buffered: false,
+      };
+    } catch (error) {
+      console.error("Error starting streamed download:", error);
+    }
+  }
+  return { sink: createBlobSink(filename), buffered: true };
+};
+
+// Originals already viewed in the lightbox come from the blob cache.
+const openImageStream = async (key, signal) => {
+  const cachedBlob = await getCachedImageBlob(key);
+  if (cachedBlob) return cachedBlob.stream();
+
+  const { url } = await fetchImageUrl(key);
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Failed to download ${key}: ${response.status}`);
+  }
+  return response.body;
+};
+
+// Streams `images` into a ZIP file named `filename`. Entry names are the
+// object keys with `stripPrefix` removed. `loadImages`, when given, is awaited
+// after the save location is chosen, so long listings don't use up the user
+// gesture. Progress reports completed files and bytes against the totals, and
+// `buffered` when the archive has to be built in memory.
+export const downloadZip = async ({
+  filename,
+  images,
+  loadImages,
+  stripPrefix = "",
+  signal,
+  onProgress = () => {},
+}) => {
+  const { sink, buffered } = await createDownloadSink(filename);
+  let files;
+  let totalBytes;
+  try {
+    files = loadImages ? await loadImages(signal) : images;
+    totalBytes = files.reduce((total, image) => total + (image.size || 0), 0);
+    if (buffered && totalBytes > MAX_BUFFERED_ZIP_BYTES) throw tooLargeError();
+  } catch (error) {
+    await sink.abort(error).catch(() => {});
+    throw error;
+  }
+
+  const progress = {
+    totalFiles: files.length,
+    completedFiles: 0,
+    totalBytes,
+    bytes: 0,
+    buffered,
+  };
+  onProgress({ ...progress });
+  let lastReport = 0;
+
+  return writeZip(
+    sink,
+    files.map((image) => ({
+      name: image.key.startsWith(stripPrefix)
+        ? image.key.slice(stripPrefix.length)
+        : image.key,
+      lastModified: image.lastModified && new Date(image.lastModified),
+      open: () => openImageStream(image.key, signal),
+    })),
+    {
+      signal,
+      onProgress: ({ bytes, done }) => {
+        progress.bytes += bytes;
+        if (done) progress.completedFiles += 1;
+        if (done || Date.now() - lastReport >= PROGRESS_INTERVAL) {
+          lastReport = Date.now();
+          onProgress({ ...progress });
+        }
+      },
+    }
+  );
+};
@@ -0,0 +1,123 @@
+import exifr from "exifr";
+
+const EXIF_CACHE_KEY = "pixelLens-exif";
+const HEADER_BYTES = 128 * 1024;
+// Summaries are a few hundred bytes each; the cap keeps the whole map well
+// inside the localStorage quota.
+const MAX_CACHE_ENTRIES = 2000;
+const SAVE_DELAY = 1000;
+
+const loadCache = () => {
+  try {
+    const savedCache = localStorage.getItem(EXIF_CACHE_KEY);
+    return savedCache ? JSON.parse(savedCache) : {};
+  } catch (error) {
+    console.error("Error loading EXIF cache:", error);
+    return {};
+  }
+};
+
+const exifCache = new Map(
+  Object.entries(loadCache()).slice(-MAX_CACHE_ENTRIES)
+);
+const pendingRequests = new Map();
+let saveTimer = null;
+
+const saveCache = () => {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  try {
+    localStorage.setItem(
+      EXIF_CACHE_KEY,
+      JSON.stringify(Object.fromEntries(exifCache))
+    );
+  } catch (error) {
+    console.error("Error saving EXIF cache:", error);
+  }
+};
+
+// A page of photos loads many summaries at once; they are written together
+// once loading settles rather than rewriting the map for each one.
+const scheduleSave = () => {
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(saveCache, SAVE_DELAY);
+};
+
+window.addEventListener("pagehide", () => {
+  if (saveTimer) saveCache();
+});
+
+// The oldest summaries make way once the cache is full.
+const addToCache = (key, summary) => {
+  exifCache.delete(key);
+  exifCache.set(key, summary);
+  if (exifCache.size > MAX_CACHE_ENTRIES) {
+    exifCache.delete(exifCache.keys().next().value);
+  }
+  scheduleSave();
+};
+
+const formatExposureTime = (seconds) => {
+  if (!seconds) return null;
+  if (seconds >= 1) return `${seconds}s`;
+  return `1/${Math.round(1 / seconds)}s`;
+};
+
+const joinCameraName = (make, model) => {
+  if (!model) return make || null;
+  if (!make || model.toLowerCase().startsWith(make.toLowerCase())) return model;
+  return `${make} ${model}`;
+};
+
+export const summarizeExif = (raw) => {
+  if (!raw) return {};
+  const capturedAt = raw.DateTimeOriginal || raw.CreateDate || raw.DateCreated;
+
+  return {
+    camera: joinCameraName(raw.Make, raw.Model),
+    lens: raw.LensModel || raw.Lens || null,
+    focalLength: raw.FocalLength ? `${Math.round(raw.FocalLength)}mm` : null,
+    aperture: raw.FNumber ? `ƒ/${raw.FNumber}` : null,
+    shutterSpeed: formatExposureTime(raw.ExposureTime),
+    iso: raw.ISO || null,
+    capturedAt:
+      capturedAt instanceof Date && !isNaN(capturedAt)
+        ? capturedAt.toISOString()
+        : null,
+    location:
+      Number.isFinite(raw.latitude) && Number.isFinite(raw.longitude)
+        ? { latitude: raw.latitude, longitude: raw.longitude }
+        : null,
+  };
+};
+
+export const getCachedExif = (key) => exifCache.get(key);
+
+export const getAllCachedExif = () => Object.fromEntries(exifCache);
+
+// EXIF and XMP live near the start of the file, so a ranged GET of the first
+// few KB is enough and avoids downloading the whole original.
+export const loadExif = (key, url) => {
+  if (exifCache.has(key)) return Promise.resolve(exifCache.get(key));
+  if (pendingRequests.has(key)) return pendingRequests.get(key);
+
+  const request = fetch(url, { headers: { Range: `bytes=0-${HEADER_BYTES - 1}` } })
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error(`Header request failed with ${response.status}`);
+      }
+      return response.arrayBuffer();
+    })
+    .then((buffer) =>
+      exifr.parse(buffer, { tiff: true, exif: true, xmp: true }).catch(() => null)
+    )
+    .then((raw) => {
+      const summary = summarizeExif(raw);
+      addToCache(key, summary);
+      return summary;
+    })
+    .finally(() => pendingRequests.delete(key));
+
+  pendingRequests.set(key, request);
+  return request;
+};
@@ -0,0 +1,40 @@
+const EXPORT_VERSION = 1;
+
+export const exportFavorites = (favorites) => {
+  const data = {
+    app: "pixel-lens",
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    favorites,
+  };
+  const blob = new Blob([JSON.stringify(data, null, 2)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `pixel-lens-favorites-${data.exportedAt.slice(0, 10)}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Accepts our own export format as well as a bare array of keys.
+export const readFavoritesFile = async (file) => {
+  const data = JSON.parse(await file.text());
+  const favorites = Array.isArray(data) ? data : data.favorites;
+
+  if (
+    !Array.isArray(favorites) ||
+    !favorites.every((key) => typeof key === "string")
+  ) {
+    throw new Error("This file does not contain a list of favorites");
+  }
+  return favorites;
+};
+
+export const createSyncToken = () =>
+  crypto.randomUUID().replace(/-/g, "") +
+  crypto.randomUUID().replace(/-/g, "").slice(0, 8);
+
+export const isValidSyncToken = (token) => /^[\w-]{16,128}$/.test(token);
@@ -0,0 +1,179 @@
+// Web Mercator helpers for the map view. World coordinates run from 0 to 1 on
+// both axes; multiplying by `getWorldSize(zoom)` gives pixels at that zoom.
+export const TILE_SIZE = 256;
+export const MIN_ZOOM = 1;
+export const MAX_ZOOM = 18;
+
+// Beyond roughly ±85° Mercator stretches to infinity.
+const MAX_LATITUDE = 85.05112878;
+
+export const BASEMAP_URL = "/basemap/land-110m.json";
+
+export const getWorldSize = (zoom) => TILE_SIZE * 2 ** zoom;
+
+export const project = ({ latitude, longitude }) => {
+  const clampedLatitude = Math.max(
+    -MAX_LATITUDE,
+    Math.min(MAX_LATITUDE, latitude)
+  );
+  const sin = Math.sin((clampedLatitude * Math.PI) / 180);
+  return {
+    x: (longitude + 180) / 360,
+    y: 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI),
+  };
+};
+
+export const unproject = ({ x, y }) => ({
+  latitude: (Math.atan(Math.sinh(Math.PI * (1 - 2 * y))) * 180) / Math.PI,
+  longitude: x * 360 - 180,
+});
+
+const isValidLocation = (location) =>
+  !!location &&
+  Number.isFinite(location.latitude) &&
+  Number.isFinite(location.longitude) &&
+  Math.abs(location.latitude) <= 90 &&
+  Math.abs(location.longitude) <= 180 &&
+  !(location.latitude === 0 && location.longitude === 0);
+
+// GPS positions come from the placeholder index, or from EXIF read in the
+// lightbox for photos that haven't been through `npm run thumbnails`. 0,0 is
+// what many cameras write when they had no fix, so it is ignored.
+export const getImageLocation = (image, exif) => {
+  const location = image.placeholder?.location || exif?.location;
+  return isValidLocation(location) ? location : null;
+};
+
+// Returns the zoom and world-space center that fit all points into a
+// viewport, keeping `padding` pixels free at the edges.
+export const fitBounds = (points, width, height, padding = 48) => {
+  if (points.length === 0) return { center: { x: 0.5, y: 0.5 }, zoom: 2 };
+
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+  const spanX = Math.max(maxX - minX, 1e-9);
+  const spanY = Math.max(maxY - minY, 1e-9);
+  const zoom = Math.log2(
+    Math.min(
+      (width - padding * 2) / (spanX * TILE_SIZE),
+      (height - padding * 2) / (spanY * TILE_SIZE)
+    )
+  );
+
+  return {
+    center: { x: (minX + maxX) / 2, y: (minY + maxY) / 2 },
+    zoom: Math.max(MIN_ZOOM, Math.min(zoom, 15)),
+  };
+};
+
+// Greedy grid clustering in screen space: points that fall into the same
+// `cellSize` cell at the current zoom are merged into one marker placed at
+// their average position.
+export const clusterPoints = (points, zoom, cellSize) => {
+  const worldSize = getWorldSize(zoom);
+  const cells = new Map();
+
+  points.forEach((point) => {
+    const cellKey = `${Math.floor(
+      (point.x * worldSize) / cellSize
+    )}:${Math.floor((point.y * worldSize) / cellSize)}`;
+    const cell = cells.get(cellKey);
+    if (cell) {
+      cell.points.push(point);
+    } else {
+      cells.set(cellKey, { key: cellKey, points: [point] });
+    }
+  });
+
+  return [...cells.values()].map((cell) => ({
+    ...cell,
+    x:
+      cell.points.reduce((sum, point) => sum + point.x, 0) / cell.points.length,
+    y:
+      cell.points.reduce((sum, point) => sum + point.y, 0) / cell.points.length,
+  }));
+};
+
+// Ray casting; `polygon` and `point` share the same coordinate space.
+export const isPointInPolygon = (point, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if (
+      a.y > point.y !== b.y > point.y &&
+      point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x
+    ) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Returns a test for whether a location lies inside a lasso polygon given in
+// latitude/longitude.
+export const createAreaFilter = (area) => {
+  const polygon = area.map(project);
+  return (location) => isPointInPolygon(project(location), polygon);
+};
+
+// Builds an SVG path in world coordinates from GeoJSON MultiPolygon
+// coordinates.
+export const getBasemapPath = (coordinates) =>
+  coordinates
+    .flat()
+    .map(
+      (ring) =>
+        ring
+          .map(([longitude, latitude], index) => {
+            const { x, y } = project({ latitude, longitude });
+            return `${index === 0 ? "M" : "L"}${x.toFixed(5)} ${y.toFixed(5)}`;
+          })
+          .join("") + "Z"
+    )
+    .join("");
+
+// Lists the tiles covering the viewport at the nearest integer zoom, scaled
+// to the current fractional zoom.
+export const getVisibleTiles = (center, zoom, width, height) => {
+  const tileZoom = Math.max(0, Math.min(MAX_ZOOM, Math.round(zoom)));
+  const tileCount = 2 ** tileZoom;
+  const scale = getWorldSize(zoom) / tileCount;
+  const left = center.x * getWorldSize(zoom) - width / 2;
+  const top = center.y * getWorldSize(zoom) - height / 2;
+  const tiles = [];
+
+  for (
+    let y = Math.max(0, Math.floor(top / scale));
+    y <= Math.min(tileCount - 1, Math.floor((top + height) / scale));
+    y++
+  ) {
+    for (
+      let x = Math.max(0, Math.floor(left / scale));
+      x <= Math.min(tileCount - 1, Math.floor((left + width) / scale));
+      x++
+    ) {
+      tiles.push({
+        key: `${tileZoom}/${x}/${y}`,
+        x,
+        y,
+        z: tileZoom,
+        left: x * scale - left,
+        top: y * scale - top,
+        size: scale,
+      });
+    }
+  }
+  return tiles;
+};
+
+export const getTileUrl = (template, { x, y, z }) =>
+  template
+    .replace("{z}", z)
+    .replace("{x}", x)
+    .replace("{y}", y)
+    .replace("{s}", "abc"[(x + y) % 3]);
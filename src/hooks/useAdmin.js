@@ -0,0 +1,43 @@
+import { useCallback, useEffect, useState } from "react";
+import { fetchAdminSession, signIn, signOut } from "../api";
+
+// The owner's admin session. The server keeps it in an HttpOnly cookie, so all
+// the client knows is whether sign-in is offered and whether it succeeded.
+const useAdmin = () => {
+  const [session, setSession] = useState({ enabled: false, admin: false });
+
+  useEffect(() => {
+    fetchAdminSession()
+      .then(setSession)
+      .catch((error) => console.error("Error loading admin session:", error));
+  }, []);
+
+  const login = useCallback(async (password) => {
+    await signIn(password);
+    setSession((prev) => ({ ...prev, admin: true }));
+  }, []);
+
+  const logout = useCallback(async () => {
+    try {
+      await signOut();
+    } finally {
+      setSession((prev) => ({ ...prev, admin: false }));
+    }
+  }, []);
+
+  // Called when the server rejects a request because the session expired.
+  const expire = useCallback(
+    () => setSession((prev) => ({ ...prev, admin: false })),
+    []
+  );
+
+  return {
+    isEnabled: session.enabled,
+    isAdmin: session.admin,
+    login,
+    logout,
+    expire,
+  };
+};
+
+export default useAdmin;
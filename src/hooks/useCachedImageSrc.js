@@ -0,0 +1,37 @@
+import { useEffect, useState } from "react";
+import { fetchImageBlob } from "../imageCache";
+
+// Shows an original from the IndexedDB blob cache, downloading it into the
+// cache the first time. `placeholderSrc` (a thumbnail) fills in until the
+// bytes are there; if they can't be fetched, e.g. from a bucket without CORS
+// rules, the plain URL is used instead.
+const useCachedImageSrc = (key, url, placeholderSrc) => {
+  const [state, setState] = useState({ key: null, src: null });
+
+  useEffect(() => {
+    const controller = new AbortController();
+    let objectUrl = null;
+
+    fetchImageBlob(key, url, { signal: controller.signal })
+      .then((blob) => {
+        if (controller.signal.aborted) return;
+        objectUrl = URL.createObjectURL(blob);
+        setState({ key, src: objectUrl });
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        console.error(`Error loading ${key}:`, error);
+        setState({ key, src: null });
+      });
+
+    return () => {
+      controller.abort();
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [key, url]);
+
+  if (state.key !== key) return placeholderSrc || url;
+  return state.src || url;
+};
+
+export default useCachedImageSrc;
@@ -0,0 +1,151 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { fetchSyncedFavorites, saveSyncedFavorites } from "../api";
+
+const FAVORITES_KEY = "pixelLens-favorites";
+const UPDATED_AT_KEY = "pixelLens-favoritesUpdatedAt";
+const SYNC_TOKEN_KEY = "pixelLens-syncToken";
+const SYNC_DELAY = 1000;
+
+const loadFavorites = () => {
+  try {
+    const savedFavorites = localStorage.getItem(FAVORITES_KEY);
+    return savedFavorites ? JSON.parse(savedFavorites) : [];
+  } catch (error) {
+    console.error("Error loading favorites:", error);
+    return [];
+  }
+};
+
+// Sync is last-write-wins on the whole list: whichever side changed most
+// recently replaces the other, so removals propagate between devices too.
+const useFavorites = ({ syncEnabled }) => {
+  const [favorites, setFavorites] = useState(loadFavorites);
+  const [syncToken, setSyncToken] = useState(() =>
+    localStorage.getItem(SYNC_TOKEN_KEY)
+  );
+  const [syncStatus, setSyncStatus] = useState("idle");
+  const [syncedToken, setSyncedToken] = useState(null);
+  const updatedAt = useRef(Number(localStorage.getItem(UPDATED_AT_KEY)) || 0);
+  const pendingPush = useRef(false);
+
+  const updateFavorites = useCallback((updater) => {
+    setFavorites((prev) => {
+      const next = updater(prev);
+      if (next === prev) return prev;
+
+      updatedAt.current = Date.now();
+      pendingPush.current = true;
+      localStorage.setItem(FAVORITES_KEY, JSON.stringify(next));
+      localStorage.setItem(UPDATED_AT_KEY, String(updatedAt.current));
+      return next;
+    });
+  }, []);
+
+  const toggleFavorite = useCallback(
+    (imageId) =>
+      updateFavorites((prev) =>
+        prev.includes(imageId)
+          ? prev.filter((id) => id !== imageId)
+          : [...prev, imageId]
+      ),
+    [updateFavorites]
+  );
+
+  const mergeFavorites = useCallback(
+    (keys) =>
+      updateFavorites((prev) => {
+        const merged = [...new Set([...prev, ...keys])];
+        return merged.length === prev.length ? prev : merged;
+      }),
+    [updateFavorites]
+  );
+
+  const removeFavorites = useCallback(
+    (keys) =>
+      updateFavorites((prev) => {
+        const removed = new Set(keys);
+        const next = prev.filter((id) => !removed.has(id));
+        return next.length === prev.length ? prev : next;
+      }),
+    [updateFavorites]
+  );
+
+  const connectSync = useCallback((token) => {
+    if (token) {
+      localStorage.setItem(SYNC_TOKEN_KEY, token);
+    } else {
+      localStorage.removeItem(SYNC_TOKEN_KEY);
+    }
+    setSyncToken(token);
+  }, []);
+
+  useEffect(() => {
+    if (!syncEnabled || !syncToken) return;
+    let cancelled = false;
+
+    setSyncedToken(null);
+    setSyncStatus("syncing");
+    fetchSyncedFavorites(syncToken)
+      .then((remote) => {
+        if (cancelled) return;
+        if (remote.updatedAt && remote.updatedAt > updatedAt.current) {
+          updatedAt.current = remote.updatedAt;
+          pendingPush.current = false;
+          localStorage.setItem(FAVORITES_KEY, JSON.stringify(remote.favorites));
+          localStorage.setItem(UPDATED_AT_KEY, String(remote.updatedAt));
+          setFavorites(remote.favorites);
+        } else {
+          pendingPush.current = true;
+        }
+        setSyncedToken(syncToken);
+        setSyncStatus("synced");
+      })
+      .catch((error) => {
+        console.error("Error syncing favorites:", error);
+        if (!cancelled) setSyncStatus("error");
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [syncEnabled, syncToken]);
+
+  // Local changes are only pushed once the remote list has been pulled for
+  // this token, so a fresh device never overwrites newer remote favorites.
+  useEffect(() => {
+    if (
+      !syncEnabled ||
+      !syncToken ||
+      syncedToken !== syncToken ||
+      !pendingPush.current
+    ) {
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      pendingPush.current = false;
+      setSyncStatus("syncing");
+      saveSyncedFavorites(syncToken, favorites, updatedAt.current)
+        .then(() => setSyncStatus("synced"))
+        .catch((error) => {
+          console.error("Error saving synced favorites:", error);
+          pendingPush.current = true;
+          setSyncStatus("error");
+        });
+    }, SYNC_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [syncEnabled, syncToken, syncedToken, favorites]);
+
+  return {
+    favorites,
+    toggleFavorite,
+    mergeFavorites,
+    removeFavorites,
+    syncToken,
+    syncStatus,
+    connectSync,
+  };
+};
+
+export default useFavorites;
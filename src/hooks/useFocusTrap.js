@@ -0,0 +1,65 @@
+import { useEffect } from "react";
+
+const FOCUSABLE_SELECTOR = [
+  "a[href]",
+  "button:not([disabled])",
+  "input:not([disabled])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  '[tabindex]:not([tabindex="-1"])',
+].join(", ");
+
+const getFocusableElements = (container) =>
+  [...container.querySelectorAll(FOCUSABLE_SELECTOR)].filter(
+    (element) => element.getClientRects().length > 0
+  );
+
+// Keeps keyboard focus inside a modal while it is mounted. Focus moves to the
+// container (which needs `tabIndex={-1}`) on mount, Tab and Shift+Tab wrap
+// around, and focus goes back to whatever had it before on unmount.
+const useFocusTrap = (ref) => {
+  useEffect(() => {
+    const container = ref.current;
+    const previouslyFocused = document.activeElement;
+    container.focus({ preventScroll: true });
+
+    const handleKeyDown = (e) => {
+      if (e.key !== "Tab") return;
+      const focusable = getFocusableElements(container);
+      if (focusable.length === 0) {
+        e.preventDefault();
+        return;
+      }
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (
+        e.shiftKey &&
+        (document.activeElement === first ||
+          document.activeElement === container)
+      ) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    // Screen readers can move focus without Tab.
+    const handleFocusIn = (e) => {
+      if (!container.contains(e.target)) container.focus();
+    };
+
+    document.addEventListener("keydown", handleKeyDown);
+    document.addEventListener("focusin", handleFocusIn);
+    return () => {
+      document.removeEventListener("keydown", handleKeyDown);
+      document.removeEventListener("focusin", handleFocusIn);
+      if (previouslyFocused?.isConnected) {
+        previouslyFocused.focus({ preventScroll: true });
+      }
+    };
+  }, [ref]);
+};
+
+export default useFocusTrap;
@@ -0,0 +1,63 @@
+import { useCallback, useEffect, useRef } from "react";
+
+const LONG_PRESS_DELAY = 500;
+const MOVE_TOLERANCE = 10;
+
+// Returns props that call `onLongPress(item)` when a pointer is held still on
+// an element. The click that ends a long press is swallowed, so the element's
+// own click handler doesn't run as well.
+const useLongPress = (onLongPress) => {
+  const press = useRef(null);
+  const suppressClick = useRef(false);
+
+  const cancel = useCallback(() => {
+    if (press.current) clearTimeout(press.current.timer);
+    press.current = null;
+  }, []);
+
+  useEffect(() => cancel, [cancel]);
+
+  return useCallback(
+    (item) => ({
+      onPointerDown: (e) => {
+        if (e.button !== 0) return;
+        cancel();
+        suppressClick.current = false;
+        press.current = {
+          x: e.clientX,
+          y: e.clientY,
+          timer: setTimeout(() => {
+            press.current = null;
+            suppressClick.current = true;
+            onLongPress(item);
+          }, LONG_PRESS_DELAY),
+        };
+      },
+      onPointerMove: (e) => {
+        if (
+          press.current &&
+          Math.hypot(e.clientX - press.current.x, e.clientY - press.current.y) >
+            MOVE_TOLERANCE
+        ) {
+          cancel();
+        }
+      },
+      onPointerUp: cancel,
+      onPointerLeave: cancel,
+      onPointerCancel: cancel,
+      onClickCapture: (e) => {
+        if (!suppressClick.current) return;
+        suppressClick.current = false;
+        e.stopPropagation();
+        e.preventDefault();
+      },
+      // Touch browsers open the image menu on a long press.
+      onContextMenu: (e) => {
+        if (suppressClick.current) e.preventDefault();
+      },
+    }),
+    [onLongPress, cancel]
+  );
+};
+
+export default useLongPress;
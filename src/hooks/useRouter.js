@@ -0,0 +1,64 @@
+import { useCallback, useEffect, useState } from "react";
+import { getRouteUrl, parseRoute } from "../router";
+
+// History entries also record the album to return to from favorites, whose
+// path doesn't name one, and whether the app pushed the entry. The latter
+// lets closing a photo step back to the grid instead of stacking up entries.
+const readRoute = () => {
+  const route = parseRoute(window.location);
+  const album = window.history.state?.album;
+  return route.view === "favorites" && album ? { ...route, album } : route;
+};
+
+const useRouter = () => {
+  const [route, setRoute] = useState(readRoute);
+
+  useEffect(() => {
+    // The gallery restores its own scroll position; the browser would jump
+    // before the photos of the entry have loaded.
+    window.history.scrollRestoration = "manual";
+
+    // Legacy `?image=` links and unknown paths are rewritten in place.
+    const current = readRoute();
+    window.history.replaceState(
+      { ...window.history.state, album: current.album },
+      "",
+      getRouteUrl(current)
+    );
+
+    const handlePopState = () => setRoute(readRoute());
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  const navigate = useCallback((changes, { replace = false } = {}) => {
+    const next = { ...readRoute(), ...changes };
+    const state = {
+      album: next.album,
+      pushed: replace ? !!window.history.state?.pushed : true,
+    };
+    if (replace) {
+      window.history.replaceState(state, "", getRouteUrl(next));
+    } else {
+      window.history.pushState(state, "", getRouteUrl(next));
+    }
+    setRoute(readRoute());
+  }, []);
+
+  // Goes back when the app pushed the current entry, otherwise (e.g. when a
+  // shared link was opened directly) replaces it with `changes` applied.
+  const back = useCallback(
+    (changes) => {
+      if (window.history.state?.pushed) {
+        window.history.back();
+      } else {
+        navigate(changes, { replace: true });
+      }
+    },
+    [navigate]
+  );
+
+  return { route, navigate, back };
+};
+
+export default useRouter;
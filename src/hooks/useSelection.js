@@ -0,0 +1,93 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+const isTextField = (target) =>
+  target.closest?.("input, textarea, select, [contenteditable]");
+
+// Tracks which of `items` are selected for batch actions. Shift-click style
+// ranges run from the last toggled item to the clicked one in display order.
+// While `keyboard` is true and selection mode is on, Ctrl/Cmd+A selects every
+// item and Escape clears the selection and leaves selection mode. Outside
+// selection mode both keys keep their usual meaning.
+const useSelection = ({ items, getItemKey, keyboard = true }) => {
+  const [isSelecting, setIsSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const anchorId = useRef(null);
+
+  const toggle = useCallback((id) => {
+    setIsSelecting(true);
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+    anchorId.current = id;
+  }, []);
+
+  const selectRange = useCallback(
+    (id) => {
+      const ids = items.map(getItemKey);
+      const from = ids.indexOf(anchorId.current);
+      const to = ids.indexOf(id);
+      if (from === -1 || to === -1) {
+        toggle(id);
+        return;
+      }
+      setIsSelecting(true);
+      setSelectedIds((prev) => {
+        const next = new Set(prev);
+        ids
+          .slice(Math.min(from, to), Math.max(from, to) + 1)
+          .forEach((rangeId) => next.add(rangeId));
+        return next;
+      });
+      anchorId.current = id;
+    },
+    [items, getItemKey, toggle]
+  );
+
+  const selectAll = useCallback(() => {
+    setIsSelecting(true);
+    setSelectedIds(new Set(items.map(getItemKey)));
+  }, [items, getItemKey]);
+
+  const clear = useCallback(() => {
+    setIsSelecting(false);
+    setSelectedIds(new Set());
+    anchorId.current = null;
+  }, []);
+
+  const toggleSelecting = useCallback(() => {
+    if (isSelecting) clear();
+    else setIsSelecting(true);
+  }, [isSelecting, clear]);
+
+  useEffect(() => {
+    if (!keyboard) return;
+
+    const handleKeyDown = (e) => {
+      if (!isSelecting || isTextField(e.target)) return;
+      if (e.key === "a" && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        selectAll();
+      } else if (e.key === "Escape") {
+        clear();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [keyboard, isSelecting, selectAll, clear]);
+
+  return {
+    isSelecting,
+    selectedIds,
+    toggle,
+    selectRange,
+    selectAll,
+    clear,
+    toggleSelecting,
+  };
+};
+
+export default useSelection;
@@ -0,0 +1,150 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+const SETTINGS_KEY = "pixelLens-slideshow";
+
+export const DEFAULT_SLIDESHOW_SETTINGS = {
+  interval: 5000,
+  shuffle: false,
+  loop: true,
+  transition: "crossfade",
+  favoritesOnly: false,
+};
+
+const loadSettings = () => {
+  try {
+    const saved = localStorage.getItem(SETTINGS_KEY);
+    return saved
+      ? { ...DEFAULT_SLIDESHOW_SETTINGS, ...JSON.parse(saved) }
+      : DEFAULT_SLIDESHOW_SETTINGS;
+  } catch (error) {
+    console.error("Error loading slideshow settings:", error);
+    return DEFAULT_SLIDESHOW_SETTINGS;
+  }
+};
+
+const shuffleIds = (ids, firstId) => {
+  const rest = ids.filter((id) => id !== firstId);
+  for (let i = rest.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [rest[i], rest[j]] = [rest[j], rest[i]];
+  }
+  return ids.includes(firstId) ? [firstId, ...rest] : rest;
+};
+
+// Drives the lightbox through `images`. Without shuffle the live list is used,
+// so pages loaded while the slideshow runs are picked up; shuffle snapshots
+// an order when playback starts (and reshuffles on every loop).
+const useSlideshow = ({ images, favorites, currentImage, onNavigate }) => {
+  const [settings, setSettings] = useState(loadSettings);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
+  const shuffledOrder = useRef([]);
+
+  const updateSettings = useCallback((changes) => {
+    setSettings((prev) => {
+      const next = { ...prev, ...changes };
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(next));
+      return next;
+    });
+  }, []);
+
+  const getPlaylist = useCallback(
+    () =>
+      settings.favoritesOnly
+        ? images.filter((image) => favorites.includes(image.id))
+        : images,
+    [images, favorites, settings.favoritesOnly]
+  );
+
+  // With `peek` the shuffled order is left alone, so this is safe to call
+  // while rendering (e.g. to preload the upcoming slide).
+  const getNextImage = useCallback(
+    ({ peek = false } = {}) => {
+      const playlist = getPlaylist();
+      if (playlist.length === 0) return null;
+
+      if (settings.shuffle) {
+        const order = shuffledOrder.current;
+        const index = order.indexOf(currentImage.id);
+        if (index !== -1 && index < order.length - 1) {
+          return (
+            playlist.find((image) => image.id === order[index + 1]) || null
+          );
+        }
+        if (!settings.loop || peek) return null;
+        shuffledOrder.current = shuffleIds(playlist.map((image) => image.id));
+        return playlist.find((image) => image.id === shuffledOrder.current[0]);
+      }
+
+      const index = playlist.findIndex((image) => image.id === currentImage.id);
+      if (index !== -1 && index < playlist.length - 1) {
+        return playlist[index + 1];
+      }
+      return settings.loop || index === -1 ? playlist[0] : null;
+    },
+    [getPlaylist, settings.shuffle, settings.loop, currentImage]
+  );
+
+  const play = useCallback(() => {
+    const playlist = getPlaylist();
+    if (playlist.length === 0) return false;
+
+    shuffledOrder.current = shuffleIds(
+      playlist.map((image) => image.id),
+      currentImage.id
+    );
+    if (!playlist.some((image) => image.id === currentImage.id)) {
+      onNavigate(
+        settings.shuffle
+          ? playlist.find((image) => image.id === shuffledOrder.current[0])
+          : playlist[0]
+      );
+    }
+    setIsPaused(false);
+    setIsPlaying(true);
+    return true;
+  }, [getPlaylist, currentImage, onNavigate, settings.shuffle]);
+
+  const stop = useCallback(() => {
+    setIsPlaying(false);
+    setIsPaused(false);
+  }, []);
+
+  useEffect(() => {
+    if (!isPlaying || isPaused) return;
+
+    const timer = setTimeout(() => {
+      const nextImage = getNextImage();
+      if (nextImage) {
+        onNavigate(nextImage);
+      } else {
+        stop();
+      }
+    }, settings.interval);
+
+    return () => clearTimeout(timer);
+  }, [
+    isPlaying,
+    isPaused,
+    currentImage,
+    getNextImage,
+    onNavigate,
+    stop,
+    settings.interval,
+  ]);
+
+  const upcomingImage = isPlaying ? getNextImage({ peek: true }) : null;
+
+  return {
+    settings,
+    updateSettings,
+    isPlaying,
+    isPaused,
+    setIsPaused,
+    play,
+    stop,
+    upcomingImage,
+  };
+};
+
+export default useSlideshow;
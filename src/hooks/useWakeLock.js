@@ -0,0 +1,36 @@
+import { useEffect } from "react";
+
+// Keeps the screen on while `active` is true. Browsers drop the lock when the
+// tab is hidden, so it is re-requested when the page becomes visible again.
+const useWakeLock = (active) => {
+  useEffect(() => {
+    if (!active || !("wakeLock" in navigator)) return;
+
+    let wakeLock = null;
+    let released = false;
+
+    const requestWakeLock = async () => {
+      try {
+        wakeLock = await navigator.wakeLock.request("screen");
+        if (released) wakeLock.release();
+      } catch (error) {
+        console.error("Wake lock error:", error);
+      }
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "visible") requestWakeLock();
+    };
+
+    requestWakeLock();
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+
+    return () => {
+      released = true;
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+      wakeLock?.release().catch(() => {});
+    };
+  }, [active]);
+};
+
+export default useWakeLock;
@@ -0,0 +1,218 @@
+const DB_NAME = "pixelLens";
+// Version 2 dropped the blob store, so version 3 creates it again.
+const DB_VERSION = 3;
+const URL_STORE = "imageUrls";
+const BLOB_STORE = "imageBlobs";
+const LEGACY_CACHE_KEY = "pixelLens-imageCache";
+
+const MAX_URL_ENTRIES = 5000;
+const MAX_BLOB_BYTES = 200 * 1024 * 1024;
+// Larger originals are shown but not kept, so one panorama can't push out
+// dozens of other photos.
+const MAX_BLOB_ENTRY_BYTES = 40 * 1024 * 1024;
+// Keys are only reused after a delete or move, so cached bytes are kept for a
+// week rather than for the lifetime of a presigned URL.
+const BLOB_TTL = 7 * 24 * 60 * 60 * 1000;
+// URLs without an expiry (local and manifest providers) are still refreshed
+// once a day so moved or re-uploaded objects don't stay stale forever.
+const DEFAULT_URL_TTL = 24 * 60 * 60 * 1000;
+const MIN_EXPIRY_MARGIN = 60 * 1000;
+const EXPIRY_MARGIN_RATIO = 0.1;
+const PRUNE_DELAY = 2000;
+
+let databasePromise = null;
+let pruneTimer = null;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        [URL_STORE, BLOB_STORE].forEach((storeName) => {
+          if (database.objectStoreNames.contains(storeName)) return;
+          database
+            .createObjectStore(storeName, { keyPath: "key" })
+            .createIndex("lastAccessed", "lastAccessed");
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    localStorage.removeItem(LEGACY_CACHE_KEY);
+  }
+  return databasePromise;
+};
+
+const toPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Runs `callback` in a single transaction and resolves with its result once
+// the transaction has committed.
+const withStore = async (storeName, mode, callback) => {
+  const database = await openDatabase();
+  const transaction = database.transaction(storeName, mode);
+  const done = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  const [result] = await Promise.all([
+    callback(transaction.objectStore(storeName)),
+    done,
+  ]);
+  return result;
+};
+
+const readEntry = (storeName, key) =>
+  withStore(storeName, "readwrite", async (store) => {
+    const entry = await toPromise(store.get(key));
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      store.delete(key);
+      return null;
+    }
+    store.put({ ...entry, lastAccessed: Date.now() });
+    return entry;
+  });
+
+const writeEntry = async (storeName, entry) => {
+  await withStore(storeName, "readwrite", (store) =>
+    toPromise(store.put({ ...entry, lastAccessed: Date.now() }))
+  );
+  schedulePrune();
+};
+
+// Walks entries from least to most recently used (or the other way round with
+// `direction` "prev") and deletes every entry `shouldEvict` accepts.
+const evictEntries = (storeName, shouldEvict, direction = "next") =>
+  withStore(
+    storeName,
+    "readwrite",
+    (store) =>
+      new Promise((resolve, reject) => {
+        const request = store.index("lastAccessed").openCursor(null, direction);
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve();
+            return;
+          }
+          if (shouldEvict(cursor.value)) cursor.delete();
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      })
+  );
+
+const getExpiresAt = (expiresIn, now) => {
+  if (!expiresIn) return now + DEFAULT_URL_TTL;
+
+  const lifetime = expiresIn * 1000;
+  return (
+    now + lifetime - Math.max(MIN_EXPIRY_MARGIN, lifetime * EXPIRY_MARGIN_RATIO)
+  );
+};
+
+export const getCachedImageSources = async (key) => {
+  try {
+    const entry = await readEntry(URL_STORE, key);
+    return entry ? { url: entry.url, thumbnails: entry.thumbnails } : null;
+  } catch (error) {
+    console.error("Error reading image cache:", error);
+    return null;
+  }
+};
+
+export const cacheImageSources = async (
+  key,
+  { url, thumbnails, expiresIn }
+) => {
+  const now = Date.now();
+  const expiresAt = getExpiresAt(expiresIn, now);
+  if (expiresAt <= now) return;
+
+  try {
+    await writeEntry(URL_STORE, { key, url, thumbnails, expiresAt });
+  } catch (error) {
+    console.error("Error writing image cache:", error);
+  }
+};
+
+export const getCachedImageBlob = async (key) => {
+  try {
+    const entry = await readEntry(BLOB_STORE, key);
+    return entry ? entry.blob : null;
+  } catch (error) {
+    console.error("Error reading image blob cache:", error);
+    return null;
+  }
+};
+
+export const cacheImageBlob = async (key, blob) => {
+  if (blob.size > MAX_BLOB_ENTRY_BYTES) return;
+
+  try {
+    await writeEntry(BLOB_STORE, {
+      key,
+      blob,
+      size: blob.size,
+      expiresAt: Date.now() + BLOB_TTL,
+    });
+  } catch (error) {
+    console.error("Error writing image blob cache:", error);
+  }
+};
+
+// Resolves the image bytes for `key`, downloading them from `url` only when
+// they aren't cached yet.
+export const fetchImageBlob = async (key, url, { signal } = {}) => {
+  const cachedBlob = await getCachedImageBlob(key);
+  if (cachedBlob) return cachedBlob;
+
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Failed to download ${key}: ${response.status}`);
+  }
+  const blob = await response.blob();
+  await cacheImageBlob(key, blob);
+  return blob;
+};
+
+export const pruneImageCache = async () => {
+  try {
+    const now = Date.now();
+    const urlCount = await withStore(URL_STORE, "readonly", (store) =>
+      toPromise(store.count())
+    );
+    let excessUrls = urlCount - MAX_URL_ENTRIES;
+    await evictEntries(URL_STORE, (entry) => {
+      excessUrls--;
+      return entry.expiresAt <= now || excessUrls >= 0;
+    });
+
+    // Newest first, so everything past the byte budget is the least recently
+    // used.
+    let blobBytes = 0;
+    await evictEntries(
+      BLOB_STORE,
+      (entry) => {
+        if (entry.expiresAt <= now) return true;
+        blobBytes += entry.size;
+        return blobBytes > MAX_BLOB_BYTES;
+      },
+      "prev"
+    );
+  } catch (error) {
+    console.error("Error pruning image cache:", error);
+  }
+};
+
+const schedulePrune = () => {
+  clearTimeout(pruneTimer);
+  pruneTimer = setTimeout(pruneImageCache, PRUNE_DELAY);
+};
@@ -0,0 +1,104 @@
+// Cache names and keys must match public/sw.js.
+const PINNED_CACHE = "pixel-lens-pinned";
+const PINNED_KEY = "pixelLens-pinned";
+const PIN_CONCURRENCY = 4;
+
+const canUseCaches = () => typeof caches !== "undefined";
+
+const loadPinned = () => {
+  try {
+    const savedPinned = localStorage.getItem(PINNED_KEY);
+    return savedPinned ? JSON.parse(savedPinned) : {};
+  } catch (error) {
+    console.error("Error loading pinned images:", error);
+    return {};
+  }
+};
+
+const savePinned = (pinned) => {
+  localStorage.setItem(PINNED_KEY, JSON.stringify(pinned));
+};
+
+// The dev server gets a worker that only streams ZIP downloads: caching would
+// serve stale modules to Vite.
+export const registerServiceWorker = () => {
+  if (!("serviceWorker" in navigator)) return;
+
+  navigator.serviceWorker
+    .register(import.meta.env.PROD ? "/sw.js" : "/sw.js?mode=downloads")
+    .catch((error) =>
+      console.error("Error registering service worker:", error)
+    );
+};
+
+export const getOfflineCacheKey = (url) => {
+  const parsed = new URL(url, window.location.href);
+  return parsed.origin + parsed.pathname;
+};
+
+const getImageUrls = (image) => [
+  image.url,
+  ...Object.values(image.thumbnails || {}),
+];
+
+// An image counts as available offline once its original is cached, either
+// because it was opened in the lightbox or because it was pinned.
+export const getOfflineImageIds = async (images) => {
+  if (!canUseCaches()) return new Set();
+
+  const matches = await Promise.all(
+    images.map((image) => caches.match(getOfflineCacheKey(image.url)))
+  );
+  return new Set(
+    images.filter((image, index) => matches[index]).map((image) => image.id)
+  );
+};
+
+export const getPinnedIds = () => Object.keys(loadPinned());
+
+export const pinImages = async (images) => {
+  if (!canUseCaches()) return;
+
+  const cache = await caches.open(PINNED_CACHE);
+  const pinned = loadPinned();
+
+  for (let i = 0; i < images.length; i += PIN_CONCURRENCY) {
+    await Promise.all(
+      images.slice(i, i + PIN_CONCURRENCY).map(async (image) => {
+        const urls = getImageUrls(image);
+        try {
+          await Promise.all(
+            urls.map(async (url) => {
+              // Fetched with CORS so a failed or expired request is never
+              // kept as the saved copy.
+              const response = await fetch(url);
+              if (!response.ok) {
+                throw new Error(`Request failed with ${response.status}`);
+              }
+              await cache.put(getOfflineCacheKey(url), response);
+            })
+          );
+          pinned[image.id] = urls.map(getOfflineCacheKey);
+        } catch (error) {
+          console.error(`Error pinning ${image.id}:`, error);
+        }
+      })
+    );
+    savePinned(pinned);
+  }
+};
+
+export const unpinImages = async (ids) => {
+  if (!canUseCaches()) return;
+
+  const cache = await caches.open(PINNED_CACHE);
+  const pinned = loadPinned();
+
+  await Promise.all(
+    ids.flatMap((id) =>
+      (pinned[id] || []).map((cacheKey) => cache.delete(cacheKey))
+    )
+  );
+  ids.forEach((id) => delete pinned[id]);
+  savePinned(pinned);
+};
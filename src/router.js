@@ -0,0 +1,113 @@
+import { getAlbumPrefixForKey } from "./albums";
+
+// Views and the open photo live in the path, so links stay readable:
+//
+//   /                                  all photos
+//   /album/trips/japan/                an album
+//   /album/trips/japan/photo/a.jpg     a photo, inside its album
+//   /photo/a.jpg                       a photo at the top level
+//   /favorites                         favorites
+//   /favorites/photo/trips/japan/a.jpg a photo opened from favorites
+//
+// Search and view options stay in the query string. Links from before paths
+// were used (`?album=`, `?view=favorites`, `?image=`) are still understood.
+
+export const DEFAULT_ROUTE = { view: "gallery", album: "", image: null };
+
+const LEGACY_PARAMS = ["album", "view", "image"];
+
+const encodePath = (path) => path.split("/").map(encodeURIComponent).join("/");
+
+const toPrefix = (segments) =>
+  segments.length > 0 ? `${segments.join("/")}/` : "";
+
+const parseLegacyParams = (searchParams) => {
+  const image = searchParams.get("image");
+  const album = toPrefix(
+    (searchParams.get("album") || "").split("/").filter(Boolean)
+  );
+  if (searchParams.get("view") === "favorites") {
+    return { view: "favorites", album, image };
+  }
+  if (image) {
+    return { view: "gallery", album: getAlbumPrefixForKey(image), image };
+  }
+  return { ...DEFAULT_ROUTE, album };
+};
+
+// A gallery path names a photo when its second-to-last segment is `photo`
+// and it has no trailing slash; album paths always end in one. That keeps
+// albums that are themselves called "photo" unambiguous.
+const parseGalleryPath = (segments, hasTrailingSlash) => {
+  const photoIndex = segments.length - 2;
+  if (
+    !hasTrailingSlash &&
+    photoIndex >= 0 &&
+    segments[photoIndex] === "photo"
+  ) {
+    const album = toPrefix(segments.slice(0, photoIndex));
+    return {
+      ...DEFAULT_ROUTE,
+      album,
+      image: `${album}${segments[photoIndex + 1]}`,
+    };
+  }
+  return { ...DEFAULT_ROUTE, album: toPrefix(segments) };
+};
+
+export const parseRoute = ({ pathname, search }) => {
+  const searchParams = new URLSearchParams(search);
+  if (pathname === "/" || pathname === "/index.html") {
+    return LEGACY_PARAMS.some((name) => searchParams.has(name))
+      ? parseLegacyParams(searchParams)
+      : DEFAULT_ROUTE;
+  }
+
+  let segments;
+  try {
+    segments = pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return DEFAULT_ROUTE;
+  }
+  const hasTrailingSlash = pathname.endsWith("/");
+
+  if (segments[0] === "favorites") {
+    const image =
+      segments[1] === "photo" && segments.length > 2
+        ? segments.slice(2).join("/")
+        : null;
+    return { ...DEFAULT_ROUTE, view: "favorites", image };
+  }
+  if (segments[0] === "album") {
+    return parseGalleryPath(segments.slice(1), hasTrailingSlash);
+  }
+  if (segments[0] === "photo" && segments.length === 2) {
+    return parseGalleryPath(segments, hasTrailingSlash);
+  }
+  return DEFAULT_ROUTE;
+};
+
+const getAlbumPath = (album) => (album ? `/album/${encodePath(album)}` : "/");
+
+// Photos in the gallery are addressed through their own album, so a path
+// always resolves to the same key and album.
+export const getRoutePath = ({ view, album, image }) => {
+  if (view === "favorites") {
+    return image ? `/favorites/photo/${encodePath(image)}` : "/favorites";
+  }
+  if (!image) return getAlbumPath(album);
+
+  const imageAlbum = getAlbumPrefixForKey(image);
+  return `${getAlbumPath(imageAlbum)}photo/${encodeURIComponent(
+    image.slice(imageAlbum.length)
+  )}`;
+};
+
+// Keeps the query string (search, view options) and drops the legacy params
+// the path now carries.
+export const getRouteUrl = (route, currentUrl = window.location.href) => {
+  const url = new URL(currentUrl);
+  url.pathname = getRoutePath(route);
+  LEGACY_PARAMS.forEach((name) => url.searchParams.delete(name));
+  return url;
+};
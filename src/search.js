@@ -0,0 +1,177 @@
+// Fuzzy search over file names, captions, tags and EXIF. Entries are built
+// lazily and only rebuilt when an image's captions or EXIF change, so the
+// index grows as pages and metadata load.
+
+const FIELDS = [
+  { name: "title", weight: 3 },
+  { name: "fileName", weight: 3 },
+  { name: "tags", weight: 2.5 },
+  { name: "caption", weight: 2 },
+  { name: "camera", weight: 1.5 },
+  { name: "lens", weight: 1.5 },
+  { name: "path", weight: 1 },
+];
+
+// A fuzzy match may spread over at most this many times the token length.
+const MAX_SPREAD = 3;
+const MIN_FUZZY_LENGTH = 3;
+
+// Lowercases and strips accents one UTF-16 unit at a time, so the normalized
+// text has the same length as the original and match offsets carry over.
+// Accents go before lowercasing, which keeps "İ" (two units in lowercase) at
+// one; anything else that would change length, and the surrogate halves of
+// astral characters, stays as it is.
+const normalizeUnit = (unit) => {
+  if (/[\uD800-\uDFFF]/.test(unit)) return unit;
+  const folded = unit.normalize("NFD")[0].toLowerCase();
+  return folded.length === 1 ? folded : unit;
+};
+
+const normalize = (text) => text.split("").map(normalizeUnit).join("");
+
+export const getSearchQueryFromUrl = () =>
+  new URLSearchParams(window.location.search).get("q") || "";
+
+const tokenize = (query) =>
+  normalize(query.trim()).split(/\s+/).filter(Boolean);
+
+const buildEntry = (image, captions, exif) => {
+  const values = {
+    title: captions?.title,
+    fileName: image.id.slice(image.id.lastIndexOf("/") + 1),
+    tags: captions?.tags?.join(", "),
+    caption: captions?.caption,
+    camera: exif?.camera,
+    lens: exif?.lens,
+    path: image.id,
+  };
+
+  return {
+    captions,
+    exif,
+    fields: FIELDS.filter(({ name }) => values[name]).map(
+      ({ name, weight }) => ({
+        name,
+        weight,
+        text: values[name],
+        normalized: normalize(values[name]),
+      })
+    ),
+  };
+};
+
+const isWordStart = (text, index) =>
+  index === 0 || /[\s\W_]/.test(text[index - 1]);
+
+// Scores one token against one field. Substrings beat fuzzy subsequences, and
+// matches at the start of a word beat matches inside one.
+const matchToken = (token, text) => {
+  const index = text.indexOf(token);
+  if (index !== -1) {
+    return {
+      score: isWordStart(text, index) ? 1 : 0.8,
+      ranges: [[index, index + token.length]],
+    };
+  }
+  if (token.length < MIN_FUZZY_LENGTH) return null;
+
+  const ranges = [];
+  let position = text.indexOf(token[0]);
+  if (position === -1) return null;
+  const start = position;
+
+  for (const char of token) {
+    position = text.indexOf(char, position);
+    if (position === -1) return null;
+
+    const lastRange = ranges[ranges.length - 1];
+    if (lastRange && lastRange[1] === position) {
+      lastRange[1] += 1;
+    } else {
+      ranges.push([position, position + 1]);
+    }
+    position += 1;
+  }
+
+  const spread = position - start;
+  if (spread > token.length * MAX_SPREAD) return null;
+  return {
+    score: 0.6 * (token.length / spread) * (isWordStart(text, start) ? 1 : 0.8),
+    ranges,
+  };
+};
+
+const mergeRanges = (ranges) =>
+  [...ranges]
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+      return merged;
+    }, []);
+
+export const createSearchIndex = () => {
+  const entries = new Map();
+
+  const getEntry = (image, captions, exif) => {
+    const entry = entries.get(image.id);
+    if (entry && entry.captions === captions && entry.exif === exif) {
+      return entry;
+    }
+    const nextEntry = buildEntry(image, captions, exif);
+    entries.set(image.id, nextEntry);
+    return nextEntry;
+  };
+
+  // Returns the matching images, best first, with ties kept in their given
+  // order. Every token has to match some field; `highlights` maps image ids
+  // to the matched text and ranges per field, in FIELDS order.
+  const search = (query, images, { getCaptions, getExif }) => {
+    const tokens = tokenize(query);
+    const highlights = {};
+    if (tokens.length === 0) return { results: images, highlights };
+
+    const scored = [];
+    images.forEach((image, order) => {
+      const entry = getEntry(image, getCaptions(image.id), getExif(image.id));
+      const fieldRanges = {};
+      let score = 0;
+
+      for (const token of tokens) {
+        let best = null;
+        entry.fields.forEach((field) => {
+          const match = matchToken(token, field.normalized);
+          if (match && (!best || match.score * field.weight > best.score)) {
+            best = { score: match.score * field.weight, field, match };
+          }
+        });
+        if (!best) return;
+
+        score += best.score;
+        fieldRanges[best.field.name] = [
+          ...(fieldRanges[best.field.name] || []),
+          ...best.match.ranges,
+        ];
+      }
+
+      highlights[image.id] = Object.fromEntries(
+        entry.fields
+          .filter(({ name }) => fieldRanges[name])
+          .map(({ name, text }) => [
+            name,
+            { text, ranges: mergeRanges(fieldRanges[name]) },
+          ])
+      );
+      scored.push({ image, score, order });
+    });
+
+    scored.sort((a, b) => b.score - a.score || a.order - b.order);
+    return { results: scored.map(({ image }) => image), highlights };
+  };
+
+  return { search };
+};
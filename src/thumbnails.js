@@ -0,0 +1,18 @@
+export const GRID_SIZES =
+  "(min-width: 1280px) 20vw, (min-width: 1024px) 25vw, (min-width: 768px) 33vw, 50vw";
+
+export const getThumbnailSrc = (thumbnails, preferredWidth) => {
+  if (!thumbnails) return null;
+  const widths = Object.keys(thumbnails)
+    .map(Number)
+    .sort((a, b) => a - b);
+  const width = widths.find((w) => w >= preferredWidth) ?? widths[widths.length - 1];
+  return width ? thumbnails[width] : null;
+};
+
+export const getThumbnailSrcSet = (thumbnails) =>
+  thumbnails
+    ? Object.entries(thumbnails)
+        .map(([width, url]) => `${url} ${width}w`)
+        .join(", ")
+    : undefined;
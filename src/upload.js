@@ -0,0 +1,135 @@
+import {
+  createUploadUrl,
+  createMultipartUpload,
+  fetchUploadedParts,
+  createUploadPartUrl,
+  completeMultipartUpload,
+} from "./api";
+
+const MULTIPART_THRESHOLD = 16 * 1024 * 1024;
+const PART_SIZE = 8 * 1024 * 1024;
+const PENDING_UPLOADS_KEY = "pixelLens-pendingUploads";
+
+const loadPendingUploads = () => {
+  try {
+    const saved = localStorage.getItem(PENDING_UPLOADS_KEY);
+    return saved ? JSON.parse(saved) : {};
+  } catch (error) {
+    console.error("Error loading pending uploads:", error);
+    return {};
+  }
+};
+
+const savePendingUpload = (fingerprint, upload) => {
+  const pending = loadPendingUploads();
+  if (upload) {
+    pending[fingerprint] = upload;
+  } else {
+    delete pending[fingerprint];
+  }
+  localStorage.setItem(PENDING_UPLOADS_KEY, JSON.stringify(pending));
+};
+
+const getFingerprint = (file, key) =>
+  [key, file.name, file.size, file.lastModified].join(":");
+
+const putWithProgress = (url, body, { headers = {}, onProgress, signal }) =>
+  new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("PUT", url);
+    Object.entries(headers).forEach(([name, value]) =>
+      xhr.setRequestHeader(name, value)
+    );
+
+    xhr.upload.onprogress = (e) => onProgress?.(e.loaded);
+    xhr.onload = () => {
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(xhr);
+      } else {
+        reject(new Error(`Upload failed with ${xhr.status}`));
+      }
+    };
+    xhr.onerror = () => reject(new Error("Network error during upload"));
+    xhr.onabort = () => reject(new DOMException("Upload cancelled", "AbortError"));
+
+    if (signal) {
+      if (signal.aborted) return reject(new DOMException("Upload cancelled", "AbortError"));
+      signal.addEventListener("abort", () => xhr.abort(), { once: true });
+    }
+    xhr.send(body);
+  });
+
+const uploadSingle = async (file, key, { onProgress, signal }) => {
+  const { url, headers } = await createUploadUrl(key, file.type);
+  await putWithProgress(url, file, {
+    headers,
+    signal,
+    onProgress: (loaded) => onProgress(loaded / file.size),
+  });
+  return { key, lastModified: new Date().toISOString(), size: file.size };
+};
+
+// Parts that made it to the bucket before a failure are kept, so retrying
+// the same file into the same key only sends what is missing.
+const uploadMultipart = async (file, key, { onProgress, signal }) => {
+  const fingerprint = getFingerprint(file, key);
+  let pending = loadPendingUploads()[fingerprint];
+  let completedParts = [];
+
+  if (pending) {
+    try {
+      const { parts } = await fetchUploadedParts(key, pending.uploadId);
+      completedParts = parts.filter(
+        (part) =>
+          part.size ===
+          Math.min(PART_SIZE, file.size - (part.partNumber - 1) * PART_SIZE)
+      );
+    } catch (error) {
+      console.error(`Could not resume upload of ${key}:`, error);
+      pending = null;
+    }
+  }
+
+  if (!pending) {
+    const { uploadId } = await createMultipartUpload(key, file.type);
+    pending = { uploadId };
+    savePendingUpload(fingerprint, pending);
+  }
+
+  const partCount = Math.ceil(file.size / PART_SIZE);
+  const completedNumbers = new Set(completedParts.map((part) => part.partNumber));
+  let uploadedBytes = completedParts.reduce((total, part) => total + part.size, 0);
+  onProgress(uploadedBytes / file.size);
+
+  for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+    if (completedNumbers.has(partNumber)) continue;
+
+    const start = (partNumber - 1) * PART_SIZE;
+    const blob = file.slice(start, Math.min(start + PART_SIZE, file.size));
+    const { url } = await createUploadPartUrl(key, pending.uploadId, partNumber);
+    const xhr = await putWithProgress(url, blob, {
+      signal,
+      onProgress: (loaded) => onProgress((uploadedBytes + loaded) / file.size),
+    });
+
+    uploadedBytes += blob.size;
+    completedParts.push({ partNumber, etag: xhr.getResponseHeader("ETag") });
+  }
+
+  const object = await completeMultipartUpload(
+    key,
+    pending.uploadId,
+    completedParts
+  );
+  savePendingUpload(fingerprint, null);
+  return object;
+};
+
+export const uploadFile = (
+  file,
+  key,
+  { multipart = false, onProgress = () => {}, signal } = {}
+) =>
+  multipart && file.size > MULTIPART_THRESHOLD
+    ? uploadMultipart(file, key, { onProgress, signal })
+    : uploadSingle(file, key, { onProgress, signal });
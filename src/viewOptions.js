@@ -0,0 +1,149 @@
+export const SORT_OPTIONS = [
+  { value: "uploaded", label: "Upload date" },
+  { value: "captured", label: "Capture date" },
+  { value: "name", label: "File name" },
+  { value: "size", label: "File size" },
+];
+
+export const ORIENTATION_OPTIONS = [
+  { value: "landscape", label: "Landscape" },
+  { value: "portrait", label: "Portrait" },
+  { value: "square", label: "Square" },
+];
+
+export const DEFAULT_VIEW_OPTIONS = {
+  layout: "grid",
+  sort: "uploaded",
+  order: "desc",
+  orientation: "",
+  type: "",
+  from: "",
+  to: "",
+};
+
+// Within 5% of 1:1 counts as square, so slightly cropped squares still match.
+const SQUARE_TOLERANCE = 0.05;
+
+const isValidOption = (options, value) =>
+  options.some((option) => option.value === value);
+
+export const getViewOptionsFromUrl = () => {
+  const params = new URLSearchParams(window.location.search);
+  const sort = params.get("sort");
+  const orientation = params.get("orientation");
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || "");
+
+  return {
+    layout: params.get("layout") === "map" ? "map" : "grid",
+    sort: isValidOption(SORT_OPTIONS, sort) ? sort : DEFAULT_VIEW_OPTIONS.sort,
+    order: params.get("order") === "asc" ? "asc" : "desc",
+    orientation: isValidOption(ORIENTATION_OPTIONS, orientation)
+      ? orientation
+      : "",
+    type: params.get("type") || "",
+    from: isDate(params.get("from")) ? params.get("from") : "",
+    to: isDate(params.get("to")) ? params.get("to") : "",
+  };
+};
+
+// Only non-default options are written, so a plain gallery keeps a clean URL.
+export const applyViewOptionsToUrl = (url, viewOptions) => {
+  Object.entries(DEFAULT_VIEW_OPTIONS).forEach(([name, defaultValue]) => {
+    if (viewOptions[name] && viewOptions[name] !== defaultValue) {
+      url.searchParams.set(name, viewOptions[name]);
+    } else {
+      url.searchParams.delete(name);
+    }
+  });
+  return url;
+};
+
+export const hasActiveFilters = (viewOptions) =>
+  !!(
+    viewOptions.orientation ||
+    viewOptions.type ||
+    viewOptions.from ||
+    viewOptions.to
+  );
+
+export const getFileType = (key) => {
+  const extension = key.slice(key.lastIndexOf(".") + 1).toLowerCase();
+  return extension === "jpeg" ? "jpg" : extension;
+};
+
+export const getOrientation = (dimensions) => {
+  if (!dimensions) return null;
+  const ratio = dimensions.width / dimensions.height;
+  if (Math.abs(ratio - 1) <= SQUARE_TOLERANCE) return "square";
+  return ratio > 1 ? "landscape" : "portrait";
+};
+
+// Capture dates come from the placeholder index or from EXIF read in the
+// lightbox; photos without one fall back to their upload date.
+export const getImageDate = (image, sort, exif) => {
+  if (sort === "captured") {
+    const capturedAt = image.placeholder?.capturedAt || exif?.capturedAt;
+    if (capturedAt) return new Date(capturedAt);
+  }
+  return image.lastModified;
+};
+
+export const getMonthKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+
+export const formatMonthKey = (monthKey) => {
+  const [year, month] = monthKey.split("-").map(Number);
+  return new Date(year, month - 1).toLocaleDateString(undefined, {
+    month: "long",
+    year: "numeric",
+  });
+};
+
+export const isDateSort = (sort) => sort === "uploaded" || sort === "captured";
+
+const compareBy = {
+  name: (a, b) =>
+    a.image.id.localeCompare(b.image.id, undefined, { numeric: true }),
+  size: (a, b) => (a.image.size || 0) - (b.image.size || 0),
+  date: (a, b) => a.date.getTime() - b.date.getTime(),
+};
+
+// `getDimensions` and `getExif` look up data that is loaded lazily, so they
+// are passed in rather than read from the image objects.
+export const applyViewOptions = (
+  images,
+  viewOptions,
+  { getDimensions, getExif }
+) => {
+  const fromTime = viewOptions.from
+    ? new Date(`${viewOptions.from}T00:00:00`).getTime()
+    : null;
+  const toTime = viewOptions.to
+    ? new Date(`${viewOptions.to}T23:59:59.999`).getTime()
+    : null;
+  const compare =
+    compareBy[isDateSort(viewOptions.sort) ? "date" : viewOptions.sort];
+  const direction = viewOptions.order === "asc" ? 1 : -1;
+
+  return images
+    .map((image) => ({
+      image,
+      date: getImageDate(image, viewOptions.sort, getExif(image.id)),
+    }))
+    .filter(({ image, date }) => {
+      if (viewOptions.type && getFileType(image.id) !== viewOptions.type) {
+        return false;
+      }
+      if (
+        viewOptions.orientation &&
+        getOrientation(getDimensions(image)) !== viewOptions.orientation
+      ) {
+        return false;
+      }
+      if (fromTime !== null && date.getTime() < fromTime) return false;
+      if (toTime !== null && date.getTime() > toTime) return false;
+      return true;
+    })
+    .sort((a, b) => compare(a, b) * direction)
+    .map(({ image }) => image);
+};
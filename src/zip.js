@@ -0,0 +1,231 @@
+// Streaming ZIP writer. Entries are stored without compression (photos are
+// already compressed) and their CRC and sizes go into a data descriptor after
+// the data, so nothing has to be buffered or known up front. ZIP64 records are
+// added only when the archive outgrows the classic 4 GB / 65535 entry limits.
+
+const MAX_UINT16 = 0xffff;
+const MAX_UINT32 = 0xffffffff;
+const UTF8_AND_DATA_DESCRIPTOR_FLAGS = 0x0808;
+const VERSION_DEFAULT = 20;
+const VERSION_ZIP64 = 45;
+
+const CRC_TABLE = new Uint32Array(256).map((_, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc;
+});
+
+const updateCrc32 = (crc, bytes) => {
+  let value = crc ^ MAX_UINT32;
+  for (let i = 0; i < bytes.length; i++) {
+    value = CRC_TABLE[(value ^ bytes[i]) & 0xff] ^ (value >>> 8);
+  }
+  return (value ^ MAX_UINT32) >>> 0;
+};
+
+const toDosDateTime = (date) => ({
+  time:
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2),
+  date:
+    (Math.max(0, date.getFullYear() - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate(),
+});
+
+// Little-endian record builder.
+const createRecord = (size) => {
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+  const record = {
+    bytes,
+    uint16: (value) => {
+      view.setUint16(offset, value, true);
+      offset += 2;
+      return record;
+    },
+    uint32: (value) => {
+      view.setUint32(offset, value, true);
+      offset += 4;
+      return record;
+    },
+    uint64: (value) => {
+      view.setBigUint64(offset, BigInt(value), true);
+      offset += 8;
+      return record;
+    },
+    raw: (data) => {
+      bytes.set(data, offset);
+      offset += data.length;
+      return record;
+    },
+  };
+  return record;
+};
+
+const createLocalHeader = (entry) =>
+  createRecord(30 + entry.name.length)
+    .uint32(0x04034b50)
+    .uint16(VERSION_DEFAULT)
+    .uint16(UTF8_AND_DATA_DESCRIPTOR_FLAGS)
+    .uint16(0)
+    .uint16(entry.time)
+    .uint16(entry.date)
+    .uint32(0)
+    .uint32(0)
+    .uint32(0)
+    .uint16(entry.name.length)
+    .uint16(0)
+    .raw(entry.name).bytes;
+
+const createDataDescriptor = (entry) =>
+  createRecord(16)
+    .uint32(0x08074b50)
+    .uint32(entry.crc)
+    .uint32(entry.size)
+    .uint32(entry.size).bytes;
+
+const createCentralDirectoryHeader = (entry) => {
+  const needsZip64 = entry.offset >= MAX_UINT32;
+  const extraLength = needsZip64 ? 12 : 0;
+  const record = createRecord(46 + entry.name.length + extraLength)
+    .uint32(0x02014b50)
+    .uint16(needsZip64 ? VERSION_ZIP64 : VERSION_DEFAULT)
+    .uint16(needsZip64 ? VERSION_ZIP64 : VERSION_DEFAULT)
+    .uint16(UTF8_AND_DATA_DESCRIPTOR_FLAGS)
+    .uint16(0)
+    .uint16(entry.time)
+    .uint16(entry.date)
+    .uint32(entry.crc)
+    .uint32(entry.size)
+    .uint32(entry.size)
+    .uint16(entry.name.length)
+    .uint16(extraLength)
+    .uint16(0)
+    .uint16(0)
+    .uint16(0)
+    .uint32(0)
+    .uint32(needsZip64 ? MAX_UINT32 : entry.offset)
+    .raw(entry.name);
+  if (needsZip64) record.uint16(0x0001).uint16(8).uint64(entry.offset);
+  return record.bytes;
+};
+
+const createEndOfCentralDirectory = (count, size, offset) => {
+  const needsZip64 =
+    count >= MAX_UINT16 || size >= MAX_UINT32 || offset >= MAX_UINT32;
+  const end = createRecord(22)
+    .uint32(0x06054b50)
+    .uint16(0)
+    .uint16(0)
+    .uint16(Math.min(count, MAX_UINT16))
+    .uint16(Math.min(count, MAX_UINT16))
+    .uint32(Math.min(size, MAX_UINT32))
+    .uint32(Math.min(offset, MAX_UINT32))
+    .uint16(0).bytes;
+  if (!needsZip64) return [end];
+
+  const zip64End = createRecord(56)
+    .uint32(0x06064b50)
+    .uint64(44)
+    .uint16(VERSION_ZIP64)
+    .uint16(VERSION_ZIP64)
+    .uint32(0)
+    .uint32(0)
+    .uint64(count)
+    .uint64(count)
+    .uint64(size)
+    .uint64(offset).bytes;
+  const locator = createRecord(20)
+    .uint32(0x07064b50)
+    .uint32(0)
+    .uint64(offset + size)
+    .uint32(1).bytes;
+  return [zip64End, locator, end];
+};
+
+const encoder = new TextEncoder();
+
+// Writes `files` to `writable` as a ZIP archive. Each file is
+// `{ name, lastModified, open }`, where `open()` resolves to a ReadableStream
+// of its bytes. Files whose `open()` fails are skipped and returned in
+// `failed`; errors while a file is being copied abort the whole archive.
+export const writeZip = async (
+  writable,
+  files,
+  { signal, onProgress = () => {} } = {}
+) => {
+  const writer = writable.getWriter();
+  const entries = [];
+  const failed = [];
+  let offset = 0;
+
+  const write = async (bytes) => {
+    await writer.write(bytes);
+    offset += bytes.length;
+  };
+
+  try {
+    for (const file of files) {
+      signal?.throwIfAborted();
+
+      let stream;
+      try {
+        stream = await file.open();
+      } catch (error) {
+        if (error.name === "AbortError") throw error;
+        console.error(`Error downloading ${file.name}:`, error);
+        failed.push(file.name);
+        onProgress({ file, bytes: 0, done: true });
+        continue;
+      }
+
+      const entry = {
+        name: encoder.encode(file.name),
+        ...toDosDateTime(new Date(file.lastModified || Date.now())),
+        offset,
+        crc: 0,
+        size: 0,
+      };
+      await write(createLocalHeader(entry));
+
+      const reader = stream.getReader();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        entry.crc = updateCrc32(entry.crc, value);
+        entry.size += value.length;
+        if (entry.size >= MAX_UINT32) {
+          throw new Error(`${file.name} is too large for a ZIP entry`);
+        }
+        await write(value);
+        onProgress({ file, bytes: value.length, done: false });
+      }
+
+      await write(createDataDescriptor(entry));
+      entries.push(entry);
+      onProgress({ file, bytes: 0, done: true });
+    }
+
+    const centralDirectoryOffset = offset;
+    for (const entry of entries) {
+      await write(createCentralDirectoryHeader(entry));
+    }
+    for (const record of createEndOfCentralDirectory(
+      entries.length,
+      offset - centralDirectoryOffset,
+      centralDirectoryOffset
+    )) {
+      await write(record);
+    }
+    await writer.close();
+    return { count: entries.length, failed };
+  } catch (error) {
+    await writer.abort(error).catch(() => {});
+    throw error;
+  }
+};
@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createAdminAuth, isSameOriginRequest } from "../server/adminAuth.js";
+
+const createResponse = () => {
+  const headers = {};
+  return {
+    headers,
+    setHeader: (name, value) => {
+      headers[name.toLowerCase()] = value;
+    },
+  };
+};
+
+describe("admin auth", () => {
+  it("treats requests without an Origin header as same-origin", () => {
+    assert.equal(isSameOriginRequest({ headers: { host: "a.test" } }), true);
+  });
+
+  it("compares the Origin header with the (forwarded) host", () => {
+    assert.equal(
+      isSameOriginRequest({
+        headers: { host: "a.test", origin: "https://a.test" },
+      }),
+      true
+    );
+    assert.equal(
+      isSameOriginRequest({
+        headers: { host: "a.test", origin: "https://b.test" },
+      }),
+      false
+    );
+    assert.equal(
+      isSameOriginRequest({
+        headers: {
+          host: "localhost:3001",
+          "x-forwarded-host": "photos.test",
+          origin: "https://photos.test",
+        },
+      }),
+      true
+    );
+    assert.equal(
+      isSameOriginRequest({ headers: { host: "a.test", origin: "null" } }),
+      false
+    );
+  });
+
+  it("accepts only cookies it signed, with the same password", () => {
+    const auth = createAdminAuth({ password: "secret" });
+    const res = createResponse();
+    auth.startSession({ headers: {} }, res);
+    const cookie = res.headers["set-cookie"].split(";")[0];
+
+    assert.equal(auth.isAdmin({ headers: { cookie } }), true);
+    assert.equal(auth.isAdmin({ headers: {} }), false);
+    assert.equal(
+      createAdminAuth({ password: "changed" }).isAdmin({ headers: { cookie } }),
+      false
+    );
+  });
+
+  it("marks the cookie Secure behind HTTPS and clears it on sign-out", () => {
+    const auth = createAdminAuth({ password: "secret" });
+    const req = { headers: { "x-forwarded-proto": "https" } };
+    const signIn = createResponse();
+    auth.startSession(req, signIn);
+    assert.match(signIn.headers["set-cookie"], /; Secure/);
+
+    const signOut = createResponse();
+    auth.endSession(req, signOut);
+    assert.match(signOut.headers["set-cookie"], /^pixel-lens-admin=;/);
+    assert.match(signOut.headers["set-cookie"], /Max-Age=0/);
+  });
+
+  it("checks passwords", async () => {
+    const auth = createAdminAuth({ password: "secret" });
+    assert.equal(await auth.checkPassword("secret"), true);
+    assert.equal(await auth.checkPassword(undefined), false);
+  });
+});
@@ -0,0 +1,155 @@
+import assert from "node:assert/strict";
+import fsp from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { createAdminStore } from "../server/adminStore.js";
+import { HttpError } from "../server/httpError.js";
+import { createLocalProvider } from "../server/providers/local.js";
+
+const FILES = {
+  "a.jpg": "a",
+  "a.jpg.json": '{"title":"A"}',
+  "thumbs/400/a.jpg.webp": "a thumbnail",
+  "b.jpg": "b",
+  "trips/b.jpg": "another b",
+};
+
+const UNDO_WINDOW = 60 * 1000;
+
+const isHttpError = (status) => (error) =>
+  error instanceof HttpError && error.status === status;
+
+describe("admin store", () => {
+  let root;
+  let provider;
+
+  const exists = (key) =>
+    fsp.access(path.join(root, key)).then(
+      () => true,
+      () => false
+    );
+
+  const listTrashFiles = async () => {
+    if (!(await exists(".pixel-lens/trash"))) return [];
+    const entries = await fsp.readdir(path.join(root, ".pixel-lens/trash"), {
+      recursive: true,
+      withFileTypes: true,
+    });
+    return entries.filter((entry) => entry.isFile()).map(({ name }) => name);
+  };
+
+  beforeEach(async () => {
+    root = await fsp.mkdtemp(path.join(os.tmpdir(), "pixel-lens-admin-"));
+    for (const [key, body] of Object.entries(FILES)) {
+      const filePath = path.join(root, key);
+      await fsp.mkdir(path.dirname(filePath), { recursive: true });
+      await fsp.writeFile(filePath, body);
+    }
+    provider = createLocalProvider({ root });
+  });
+
+  afterEach(() => fsp.rm(root, { recursive: true, force: true }));
+
+  it("moves a deleted photo and its related objects to the trash, and undo restores them", async () => {
+    const store = createAdminStore({ provider, undoWindow: UNDO_WINDOW });
+    const mutation = await store.deleteImages(["a.jpg"]);
+    assert.equal(mutation.type, "delete");
+    assert.deepEqual(mutation.keys, ["a.jpg"]);
+    assert.equal(await exists("a.jpg"), false);
+    assert.equal(await exists("a.jpg.json"), false);
+    assert.equal(await exists("thumbs/400/a.jpg.webp"), false);
+
+    await store.undo(mutation.id);
+    assert.equal(await fsp.readFile(path.join(root, "a.jpg"), "utf8"), "a");
+    assert.equal(await exists("a.jpg.json"), true);
+    assert.equal(await exists("thumbs/400/a.jpg.webp"), true);
+
+    const { mutations } = await store.listMutations();
+    assert.equal(mutations[0].id, mutation.id);
+    assert.ok(mutations[0].undoneAt);
+    assert.equal(mutations[0].undoable, false);
+  });
+
+  it("refuses to move a photo onto an existing key", async () => {
+    const store = createAdminStore({ provider, undoWindow: UNDO_WINDOW });
+    await assert.rejects(
+      store.moveImages([{ from: "b.jpg", to: "trips/b.jpg" }]),
+      isHttpError(409)
+    );
+    assert.equal(await fsp.readFile(path.join(root, "b.jpg"), "utf8"), "b");
+    assert.equal(
+      await fsp.readFile(path.join(root, "trips/b.jpg"), "utf8"),
+      "another b"
+    );
+  });
+
+  it("refuses a move whose thumbnails would replace another photo's", async () => {
+    await fsp.mkdir(path.join(root, "thumbs/400/trips"), { recursive: true });
+    await fsp.writeFile(path.join(root, "thumbs/400/trips/a.jpg.webp"), "x");
+    const store = createAdminStore({ provider, undoWindow: UNDO_WINDOW });
+    await assert.rejects(
+      store.moveImages([{ from: "a.jpg", to: "trips/a.jpg" }]),
+      isHttpError(409)
+    );
+    assert.equal(await exists("a.jpg"), true);
+  });
+
+  it("moves a photo with its related objects and undoes the move", async () => {
+    const store = createAdminStore({ provider, undoWindow: UNDO_WINDOW });
+    await store.setHidden(["a.jpg"], true);
+    const mutation = await store.moveImages([
+      { from: "a.jpg", to: "trips/a.jpg" },
+    ]);
+    assert.equal(await exists("trips/a.jpg.json"), true);
+    assert.equal(await exists("thumbs/400/trips/a.jpg.webp"), true);
+    assert.deepEqual((await store.getState()).hidden, ["trips/a.jpg"]);
+
+    await store.undo(mutation.id);
+    assert.equal(await exists("a.jpg"), true);
+    assert.equal(await exists("trips/a.jpg"), false);
+    assert.deepEqual((await store.getState()).hidden, ["a.jpg"]);
+  });
+
+  it("refuses to undo once the undo window has passed", async () => {
+    const store = createAdminStore({ provider, undoWindow: 0 });
+    const mutation = await store.setHidden(["a.jpg"], true);
+    await assert.rejects(store.undo(mutation.id), isHttpError(409));
+    assert.deepEqual((await store.getState()).hidden, ["a.jpg"]);
+    await assert.rejects(store.undo("missing"), isHttpError(404));
+  });
+
+  it("purges expired deletions from the trash when the log is listed", async () => {
+    const store = createAdminStore({ provider, undoWindow: 0 });
+    const mutation = await store.deleteImages(["a.jpg"]);
+    assert.equal((await listTrashFiles()).length, 3);
+
+    const { mutations } = await store.listMutations();
+    assert.ok(mutations.find((entry) => entry.id === mutation.id).purgedAt);
+    assert.deepEqual(await listTrashFiles(), []);
+    assert.equal(await exists("a.jpg"), false);
+  });
+
+  it("keeps deletions in the trash while they can still be undone", async () => {
+    const store = createAdminStore({ provider, undoWindow: UNDO_WINDOW });
+    await store.deleteImages(["a.jpg"]);
+    const { mutations } = await store.listMutations();
+    assert.equal(mutations[0].purgedAt, undefined);
+    assert.equal(mutations[0].undoable, true);
+    assert.ok((await listTrashFiles()).includes("a.jpg"));
+  });
+
+  it("undoes hiding a photo and setting an album cover", async () => {
+    const store = createAdminStore({ provider, undoWindow: UNDO_WINDOW });
+    const hide = await store.setHidden(["b.jpg"], true);
+    const cover = await store.setCover("trips/", "trips/b.jpg");
+    assert.deepEqual(await store.getState(), {
+      hidden: ["b.jpg"],
+      covers: { "trips/": "trips/b.jpg" },
+    });
+
+    await store.undo(cover.id);
+    await store.undo(hide.id);
+    assert.deepEqual(await store.getState(), { hidden: [], covers: {} });
+  });
+});
@@ -0,0 +1,49 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { readCaptions } from "../server/captions.js";
+import { ObjectNotFoundError } from "../server/providers/errors.js";
+
+// A provider holding only sidecars, with optional user metadata per photo.
+const createProvider = (sidecars, metadata = {}) => ({
+  getMetadata: async (key) => ({ key, metadata: metadata[key] || {} }),
+  readObject: async (key) => {
+    if (!(key in sidecars)) throw new ObjectNotFoundError(key);
+    return Buffer.from(sidecars[key]);
+  },
+});
+
+describe("captions", () => {
+  it("merges user metadata with the sidecar, which wins", async () => {
+    const provider = createProvider(
+      { "a.jpg.json": '{"title":"Sidecar","tags":["sea"]}' },
+      { "a.jpg": { Title: "Metadata", caption: "Caf%C3%A9" } }
+    );
+    assert.deepEqual(await readCaptions(provider, "a.jpg"), {
+      title: "Sidecar",
+      caption: "Café",
+      tags: ["sea"],
+    });
+  });
+
+  it("resolves to null when there are no captions", async () => {
+    assert.equal(await readCaptions(createProvider({}), "a.jpg"), null);
+  });
+
+  it("treats sidecars that aren't JSON objects as empty", async () => {
+    const provider = createProvider(
+      {
+        "null.jpg.json": "null",
+        "list.jpg.json": '["title"]',
+        "text.jpg.json": '"title"',
+        "broken.jpg.json": "{",
+      },
+      { "null.jpg": { title: "Kept" } }
+    );
+    assert.deepEqual(await readCaptions(provider, "null.jpg"), {
+      title: "Kept",
+    });
+    for (const key of ["list.jpg", "text.jpg", "broken.jpg"]) {
+      assert.equal(await readCaptions(provider, key), null);
+    }
+  });
+});
@@ -0,0 +1,130 @@
+import assert from "node:assert/strict";
+import fsp from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { pipeline } from "node:stream/promises";
+import { Readable } from "node:stream";
+import { after, before, describe, it } from "node:test";
+import {
+  isAlreadyExistsError,
+  isNotFoundError,
+} from "../../server/providers/errors.js";
+import { createLocalProvider } from "../../server/providers/local.js";
+
+const writeFiles = async (root, files) => {
+  for (const [key, body] of Object.entries(files)) {
+    const filePath = path.join(root, key);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await fsp.writeFile(filePath, body);
+  }
+};
+
+describe("local provider", () => {
+  let root;
+  let provider;
+
+  before(async () => {
+    root = await fsp.mkdtemp(path.join(os.tmpdir(), "pixel-lens-local-"));
+    await writeFiles(root, {
+      "a.jpg": "a",
+      "b.png": "bb",
+      "c.webp": "ccc",
+      "trips/japan/d.jpg": "dddd",
+      "trips/e.jpg": "eeeee",
+      ".hidden.jpg": "x",
+    });
+    provider = createLocalProvider({ root });
+  });
+
+  after(() => fsp.rm(root, { recursive: true, force: true }));
+
+  it("lists keys in order and pages through them with cursors", async () => {
+    const first = await provider.list("", null, { limit: 2 });
+    assert.deepEqual(
+      first.items.map((item) => item.key),
+      ["a.jpg", "b.png"]
+    );
+    assert.equal(first.nextCursor, "b.png");
+
+    const second = await provider.list("", first.nextCursor, { limit: 10 });
+    assert.deepEqual(
+      second.items.map((item) => item.key),
+      ["c.webp", "trips/e.jpg", "trips/japan/d.jpg"]
+    );
+    assert.equal(second.nextCursor, null);
+  });
+
+  it("groups nested keys into prefixes with a delimiter", async () => {
+    const page = await provider.list("trips/", null, { delimiter: "/" });
+    assert.deepEqual(
+      page.items.map((item) => item.key),
+      ["trips/e.jpg"]
+    );
+    assert.deepEqual(page.prefixes, ["trips/japan/"]);
+  });
+
+  it("reports size and a content type from the extension", async () => {
+    const metadata = await provider.getMetadata("b.png");
+    assert.equal(metadata.size, 2);
+    assert.equal(metadata.contentType, "image/png");
+  });
+
+  it("serves files through the API path", async () => {
+    assert.deepEqual(await provider.getUrl("trips/e.jpg"), {
+      url: "/api/files/trips%2Fe.jpg",
+      expiresIn: null,
+    });
+  });
+
+  it("treats missing keys and keys outside the root as not found", async () => {
+    await assert.rejects(provider.getMetadata("missing.jpg"), isNotFoundError);
+    await assert.rejects(
+      provider.getMetadata("../outside.jpg"),
+      isNotFoundError
+    );
+  });
+
+  it("only puts an upload in place once it is complete", async () => {
+    await pipeline(
+      Readable.from([Buffer.from("new "), Buffer.from("photo")]),
+      provider.createWriteStream("uploads/new.jpg")
+    );
+    assert.equal(
+      await fsp.readFile(path.join(root, "uploads/new.jpg"), "utf8"),
+      "new photo"
+    );
+    assert.deepEqual(await fsp.readdir(path.join(root, "uploads")), [
+      "new.jpg",
+    ]);
+  });
+
+  it("leaves nothing behind when an upload fails", async () => {
+    const stream = provider.createWriteStream("uploads/broken.jpg");
+    stream.write("partial");
+    stream.destroy(new Error("Connection lost"));
+    await assert.rejects(
+      new Promise((resolve, reject) => {
+        stream.on("close", resolve);
+        stream.on("error", reject);
+      })
+    );
+    assert.deepEqual(await fsp.readdir(path.join(root, "uploads")), [
+      "new.jpg",
+    ]);
+  });
+
+  it("never replaces an existing file", async () => {
+    await assert.rejects(
+      pipeline(
+        Readable.from([Buffer.from("replacement")]),
+        provider.createWriteStream("a.jpg")
+      ),
+      isAlreadyExistsError
+    );
+    assert.equal(await fsp.readFile(path.join(root, "a.jpg"), "utf8"), "a");
+    assert.deepEqual(
+      (await fsp.readdir(root)).filter((name) => name.endsWith(".part")),
+      []
+    );
+  });
+});
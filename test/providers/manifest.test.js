@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import fsp from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { isNotFoundError } from "../../server/providers/errors.js";
+import { createManifestProvider } from "../../server/providers/manifest.js";
+
+describe("manifest provider", () => {
+  let dir;
+  let provider;
+
+  before(async () => {
+    dir = await fsp.mkdtemp(path.join(os.tmpdir(), "pixel-lens-manifest-"));
+    const manifestPath = path.join(dir, "photos.json");
+    await fsp.writeFile(
+      manifestPath,
+      JSON.stringify({
+        images: [
+          { key: "c.jpg", url: "https://cdn.example/c.jpg", size: 3 },
+          { key: "a.jpg", url: "https://cdn.example/a.jpg", size: 1 },
+          { key: "trips/b.jpg", url: "https://cdn.example/b.jpg", size: 2 },
+        ],
+      })
+    );
+    provider = createManifestProvider({ manifestPath });
+  });
+
+  after(() => fsp.rm(dir, { recursive: true, force: true }));
+
+  it("lists images sorted by key, paged by offset", async () => {
+    const first = await provider.list("", null, { limit: 2 });
+    assert.deepEqual(
+      first.items.map((item) => item.key),
+      ["a.jpg", "c.jpg"]
+    );
+    assert.equal(first.nextCursor, "2");
+
+    const second = await provider.list("", first.nextCursor, { limit: 2 });
+    assert.deepEqual(
+      second.items.map((item) => item.key),
+      ["trips/b.jpg"]
+    );
+    assert.equal(second.nextCursor, null);
+  });
+
+  it("groups nested keys into prefixes with a delimiter", async () => {
+    const page = await provider.list("", null, { delimiter: "/" });
+    assert.deepEqual(
+      page.items.map((item) => item.key),
+      ["a.jpg", "c.jpg"]
+    );
+    assert.deepEqual(page.prefixes, ["trips/"]);
+  });
+
+  it("returns the URL from the manifest", async () => {
+    assert.deepEqual(await provider.getUrl("trips/b.jpg"), {
+      url: "https://cdn.example/b.jpg",
+      expiresIn: null,
+    });
+  });
+
+  it("treats keys missing from the manifest as not found", async () => {
+    await assert.rejects(provider.getUrl("missing.jpg"), isNotFoundError);
+  });
+});
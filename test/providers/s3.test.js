@@ -0,0 +1,158 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, describe, it } from "node:test";
+import {
+  isAlreadyExistsError,
+  isNotFoundError,
+} from "../../server/providers/errors.js";
+import { createS3Provider } from "../../server/providers/s3.js";
+
+const BUCKET = "photos";
+
+const OBJECTS = {
+  "a.jpg": { size: 1, lastModified: "2024-01-01T00:00:00.000Z" },
+  "b.jpg": { size: 2, lastModified: "2024-02-01T00:00:00.000Z" },
+  "trips/c.jpg": { size: 3, lastModified: "2024-03-01T00:00:00.000Z" },
+};
+
+const renderList = (searchParams) => {
+  const prefix = searchParams.get("prefix") || "";
+  const delimiter = searchParams.get("delimiter");
+  const keys = Object.keys(OBJECTS)
+    .filter((key) => key.startsWith(prefix))
+    .sort();
+  const contents = delimiter
+    ? keys.filter((key) => !key.slice(prefix.length).includes(delimiter))
+    : keys;
+  const prefixes = delimiter
+    ? [
+        ...new Set(
+          keys
+            .filter((key) => key.slice(prefix.length).includes(delimiter))
+            .map((key) => key.slice(0, key.indexOf(delimiter) + 1))
+        ),
+      ]
+    : [];
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ListBucketResult>
+  <Name>${BUCKET}</Name>
+  <Prefix>${prefix}</Prefix>
+  <IsTruncated>false</IsTruncated>
+  ${contents
+    .map(
+      (key) =>
+        `<Contents><Key>${key}</Key><LastModified>${OBJECTS[key].lastModified}</LastModified><Size>${OBJECTS[key].size}</Size></Contents>`
+    )
+    .join("")}
+  ${prefixes
+    .map(
+      (entry) => `<CommonPrefixes><Prefix>${entry}</Prefix></CommonPrefixes>`
+    )
+    .join("")}
+</ListBucketResult>`;
+};
+
+// Just enough of the S3 REST API for the provider's read paths: ListObjectsV2,
+// HeadObject, and a refused conditional CompleteMultipartUpload.
+const handleRequest = (req, res) => {
+  const { pathname, searchParams } = new URL(req.url, "http://localhost");
+  const key = decodeURIComponent(pathname.slice(`/${BUCKET}/`.length));
+
+  if (req.method === "GET" && searchParams.get("list-type") === "2") {
+    res.setHeader("Content-Type", "application/xml");
+    res.end(renderList(searchParams));
+  } else if (req.method === "HEAD") {
+    const object = OBJECTS[key];
+    if (!object) {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+    res.setHeader("Content-Type", "image/jpeg");
+    res.setHeader("Content-Length", object.size);
+    res.setHeader("Last-Modified", new Date(object.lastModified).toUTCString());
+    res.end();
+  } else if (req.method === "POST" && searchParams.has("uploadId")) {
+    res.statusCode = 412;
+    res.setHeader("Content-Type", "application/xml");
+    res.end(
+      "<Error><Code>PreconditionFailed</Code><Message>At least one of the pre-conditions you specified did not hold</Message></Error>"
+    );
+  } else {
+    res.statusCode = 501;
+    res.end();
+  }
+};
+
+describe("s3 provider", () => {
+  let server;
+  let provider;
+
+  before(async () => {
+    server = http.createServer(handleRequest);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    provider = createS3Provider({
+      S3_ENDPOINT: `http://127.0.0.1:${server.address().port}`,
+      S3_REGION: "us-east-1",
+      BUCKET_NAME: BUCKET,
+      ACCESS_KEY_ID: "test",
+      SECRET_ACCESS_KEY: "test",
+    });
+  });
+
+  // The SDK keeps its connections alive, which would hold the server open.
+  after(() => {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  });
+
+  it("lists objects and common prefixes", async () => {
+    const page = await provider.list("", null, { delimiter: "/" });
+    assert.deepEqual(
+      page.items.map((item) => [item.key, item.size]),
+      [
+        ["a.jpg", 1],
+        ["b.jpg", 2],
+      ]
+    );
+    assert.deepEqual(page.prefixes, ["trips/"]);
+    assert.equal(page.nextCursor, null);
+  });
+
+  it("reads metadata and treats missing objects as not found", async () => {
+    const metadata = await provider.getMetadata("trips/c.jpg");
+    assert.equal(metadata.size, 3);
+    assert.equal(metadata.contentType, "image/jpeg");
+    await assert.rejects(provider.getMetadata("missing.jpg"), isNotFoundError);
+  });
+
+  it("presigns GET URLs against the configured endpoint", async () => {
+    const { url, expiresIn } = await provider.getUrl("a.jpg");
+    const signed = new URL(url);
+    assert.equal(signed.pathname, `/${BUCKET}/a.jpg`);
+    assert.ok(signed.searchParams.has("X-Amz-Signature"));
+    assert.equal(expiresIn, 3600);
+  });
+
+  it("signs uploads so they can't replace an existing object", async () => {
+    const { url, headers } = await provider.getUploadUrl(
+      "new.jpg",
+      "image/jpeg"
+    );
+    assert.equal(headers["If-None-Match"], "*");
+    assert.match(
+      new URL(url).searchParams.get("X-Amz-SignedHeaders"),
+      /if-none-match/
+    );
+  });
+
+  it("reports a refused multipart completion as an existing object", async () => {
+    await assert.rejects(
+      provider.completeMultipartUpload("a.jpg", "upload-1", [
+        { partNumber: 1, etag: '"etag"' },
+      ]),
+      isAlreadyExistsError
+    );
+  });
+});
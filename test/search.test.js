@@ -0,0 +1,49 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createSearchIndex } from "../src/search.js";
+
+const search = (query, images, captions = {}) =>
+  createSearchIndex().search(query, images, {
+    getCaptions: (id) => captions[id],
+    getExif: () => undefined,
+  });
+
+const highlighted = ({ text, ranges }) =>
+  ranges.map(([start, end]) => text.slice(start, end));
+
+describe("search", () => {
+  it("matches across case and accents", () => {
+    const { results, highlights } = search("cafe", [
+      { id: "trips/Café.jpg" },
+      { id: "trips/tea.jpg" },
+    ]);
+    assert.deepEqual(
+      results.map((image) => image.id),
+      ["trips/Café.jpg"]
+    );
+    assert.deepEqual(highlighted(highlights["trips/Café.jpg"].fileName), [
+      "Café",
+    ]);
+  });
+
+  it("keeps highlights on the right characters after astral characters", () => {
+    const id = "a.jpg";
+    const { highlights } = search("sunset", [{ id }], {
+      [id]: { title: "🌅🌅 Sunset" },
+    });
+    assert.deepEqual(highlighted(highlights[id].title), ["Sunset"]);
+  });
+
+  it("keeps highlights on the right characters after a dotted capital I", () => {
+    const id = "b.jpg";
+    const { highlights } = search("bosphorus", [{ id }], {
+      [id]: { title: "İstanbul, Bosphorus" },
+    });
+    assert.deepEqual(highlighted(highlights[id].title), ["Bosphorus"]);
+
+    const city = search("istanbul", [{ id }], {
+      [id]: { title: "İstanbul, Bosphorus" },
+    });
+    assert.deepEqual(highlighted(city.highlights[id].title), ["İstanbul"]);
+  });
+});
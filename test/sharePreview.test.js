@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import fsp from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { createLocalProvider } from "../server/providers/local.js";
+import { createSharePreview } from "../server/sharePreview.js";
+import { createGalleryStorage } from "../server/storage.js";
+
+const HTML = "<html><head><title>Pixel Lens</title></head><body></body></html>";
+
+describe("share previews", () => {
+  let root;
+  let storage;
+  let renderSharePreview;
+
+  const render = (url) =>
+    renderSharePreview({ url, headers: { host: "photos.example" } }, HTML);
+
+  before(async () => {
+    root = await fsp.mkdtemp(path.join(os.tmpdir(), "pixel-lens-preview-"));
+    await fsp.mkdir(path.join(root, "trips"));
+    await fsp.writeFile(path.join(root, "trips/a.jpg"), "a");
+    storage = createGalleryStorage({
+      provider: createLocalProvider({ root }),
+    });
+    renderSharePreview = createSharePreview({ storage });
+  });
+
+  after(() => fsp.rm(root, { recursive: true, force: true }));
+
+  it("adds Open Graph tags for a photo link", async () => {
+    const html = await render("/album/trips/photo/a.jpg");
+    assert.match(html, /<title>a · Pixel Lens<\/title>/);
+    assert.match(
+      html,
+      /<meta property="og:url" content="http:\/\/photos.example\/album\/trips\/photo\/a.jpg" \/>/
+    );
+    assert.match(
+      html,
+      /<meta property="og:image" content="http:\/\/photos.example\/api\/files\/trips%2Fa.jpg" \/>/
+    );
+  });
+
+  it("leaves the page alone for missing photos", async () => {
+    assert.equal(await render("/photo/missing.jpg"), HTML);
+  });
+
+  it("stops previewing a photo as soon as it is hidden", async () => {
+    assert.notEqual(await render("/album/trips/photo/a.jpg"), HTML);
+    await storage.adminStore.setHidden(["trips/a.jpg"], true);
+    assert.equal(await render("/album/trips/photo/a.jpg"), HTML);
+  });
+});
@@ -0,0 +1,562 @@
+import assert from "node:assert/strict";
+import fsp from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { createLocalProvider } from "../server/providers/local.js";
+import { createSigningApi } from "../server/signingApi.js";
+import { createGalleryStorage } from "../server/storage.js";
+
+const FILES = {
+  "a.jpg": "a",
+  "b.jpg": "b",
+  "notes.html": "<script>alert(1)</script>",
+  "trips/c.jpg": "c",
+  "thumbs/400/a.jpg.webp": "thumbnail",
+  "thumbs/placeholders.json": JSON.stringify({
+    version: 1,
+    images: {
+      "trips/c.jpg": {
+        width: 600,
+        height: 400,
+        thumbnailWidths: [400, 600, 600],
+      },
+    },
+  }),
+};
+
+const writeFiles = async (root, files) => {
+  for (const [key, body] of Object.entries(files)) {
+    const filePath = path.join(root, key);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await fsp.writeFile(filePath, body);
+  }
+};
+
+const PASSWORD = "correct horse";
+
+// Serves the API on a free port; `close` also drops kept-alive connections,
+// which would otherwise hold the test run open.
+const startApi = async (options) => {
+  const api = createSigningApi(options);
+  const server = http.createServer((req, res) =>
+    api(req, res, () => {
+      res.statusCode = 404;
+      res.end();
+    })
+  );
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const request = (pathname, options) =>
+    fetch(`${baseUrl}${pathname}`, options);
+  const requestJson = async (pathname, options) => {
+    const response = await request(pathname, options);
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: await response.json(),
+    };
+  };
+  const close = async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  };
+  return { request, requestJson, close };
+};
+
+// Returns the owner's session cookie.
+const signIn = async (app) => {
+  const { headers } = await app.requestJson("/api/admin/login", {
+    method: "POST",
+    body: JSON.stringify({ password: PASSWORD }),
+  });
+  return headers.get("set-cookie").split(";")[0];
+};
+
+describe("signing API", () => {
+  let root;
+  let storage;
+  let app;
+  let ownerCookie;
+
+  const request = (pathname, options) => app.request(pathname, options);
+
+  const requestJson = (pathname, options) => app.requestJson(pathname, options);
+
+  const post = (pathname, body, headers = {}) =>
+    requestJson(pathname, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+    });
+
+  const upload = (
+    key,
+    body,
+    contentType = "image/jpeg",
+    cookie = ownerCookie
+  ) =>
+    requestJson(`/api/files/${encodeURIComponent(key)}`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": contentType,
+        ...(cookie && { Cookie: cookie }),
+      },
+      body,
+    });
+
+  before(async () => {
+    root = await fsp.mkdtemp(path.join(os.tmpdir(), "pixel-lens-api-"));
+    await writeFiles(root, FILES);
+
+    storage = createGalleryStorage({
+      provider: createLocalProvider({ root }),
+    });
+    await storage.adminStore.setHidden(["b.jpg"], true);
+
+    app = await startApi({
+      storage,
+      allowUploads: true,
+      thumbnails: true,
+      adminPassword: PASSWORD,
+    });
+    ownerCookie = await signIn(app);
+  });
+
+  after(async () => {
+    await app.close();
+    await fsp.rm(root, { recursive: true, force: true });
+  });
+
+  it("lists visible photos and albums, without thumbnails or other files", async () => {
+    const { status, body } = await requestJson("/api/images?delimiter=/");
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.images.map((image) => image.key),
+      ["a.jpg"]
+    );
+
+    const albums = await requestJson("/api/albums");
+    assert.deepEqual(albums.body.albums, [
+      { prefix: "trips/", count: 1, cover: "trips/c.jpg" },
+    ]);
+  });
+
+  it("returns a photo's URL with its thumbnails", async () => {
+    const { status, body } = await requestJson("/api/images/a.jpg/url");
+    assert.equal(status, 200);
+    assert.equal(body.url, "/api/files/a.jpg");
+    assert.equal(body.thumbnails[400], "/api/files/thumbs%2F400%2Fa.jpg.webp");
+  });
+
+  it("keys thumbnails by the width they were generated at", async () => {
+    const { body } = await requestJson("/api/images/trips%2Fc.jpg/url");
+    assert.deepEqual(body.thumbnails, {
+      400: "/api/files/thumbs%2F400%2Ftrips%2Fc.jpg.webp",
+      600: "/api/files/thumbs%2F800%2Ftrips%2Fc.jpg.webp",
+    });
+  });
+
+  it("signs a batch of photos, leaving out hidden ones", async () => {
+    const { status, body } = await post("/api/images/urls", {
+      keys: ["a.jpg", "b.jpg", "trips/c.jpg"],
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(Object.keys(body.urls), ["a.jpg", "trips/c.jpg"]);
+  });
+
+  it("looks up photos by key, reporting only keys that don't exist as missing", async () => {
+    const { status, body } = await post("/api/images/lookup", {
+      keys: ["a.jpg", "b.jpg", "gone.jpg"],
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.images.map((image) => image.key),
+      ["a.jpg"]
+    );
+    assert.deepEqual(body.missing, ["gone.jpg"]);
+  });
+
+  it("hides hidden photos from everyone but the owner", async () => {
+    const { status } = await requestJson("/api/images/b.jpg/url");
+    assert.equal(status, 404);
+  });
+
+  it("answers malformed key escapes with 400", async () => {
+    const { status } = await requestJson("/api/images/%E0%A4%A/url");
+    assert.equal(status, 400);
+  });
+
+  it("answers unknown routes with 404 and wrong methods with 405", async () => {
+    assert.equal((await requestJson("/api/nothing")).status, 404);
+    assert.equal(
+      (await requestJson("/api/capabilities", { method: "DELETE" })).status,
+      405
+    );
+  });
+
+  it("serves files with their content type and nosniff", async () => {
+    const response = await request("/api/files/a.jpg");
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("content-type"), "image/jpeg");
+    assert.equal(response.headers.get("x-content-type-options"), "nosniff");
+    assert.equal(await response.text(), "a");
+
+    const page = await request("/api/files/notes.html");
+    assert.equal(page.headers.get("content-type"), "application/octet-stream");
+    await page.arrayBuffer();
+  });
+
+  it("accepts new photo uploads", async () => {
+    const { status, body } = await upload("trips/new.jpg", "new");
+    assert.equal(status, 200);
+    assert.equal(body.key, "trips/new.jpg");
+    assert.equal(
+      await fsp.readFile(path.join(root, "trips/new.jpg"), "utf8"),
+      "new"
+    );
+  });
+
+  it("refuses uploads that aren't photos", async () => {
+    assert.equal((await upload("page.html", "<html>")).status, 400);
+    assert.equal((await upload("thumbs/400/x.jpg", "x")).status, 400);
+    assert.equal((await upload(".pixel-lens/x.jpg", "x")).status, 400);
+    assert.equal((await upload("x.jpg", "x", "text/html")).status, 400);
+  });
+
+  it("refuses uploads over an existing photo", async () => {
+    const { status } = await upload("a.jpg", "replacement");
+    assert.equal(status, 409);
+    assert.equal(await fsp.readFile(path.join(root, "a.jpg"), "utf8"), "a");
+
+    const presign = await post(
+      "/api/uploads",
+      { key: "a.jpg", contentType: "image/jpeg" },
+      { Cookie: ownerCookie }
+    );
+    assert.equal(presign.status, 409);
+  });
+
+  it("refuses uploads from anyone but the signed-in owner", async () => {
+    const { status } = await upload("anonymous.jpg", "x", "image/jpeg", null);
+    assert.equal(status, 401);
+    await assert.rejects(fsp.access(path.join(root, "anonymous.jpg")));
+
+    const presign = await post("/api/uploads", {
+      key: "anonymous.jpg",
+      contentType: "image/jpeg",
+    });
+    assert.equal(presign.status, 401);
+  });
+});
+
+describe("admin routes", () => {
+  const ORIGIN_ROUTES = [
+    ["POST", "/api/admin/mutations/some-id/undo", {}],
+    ["POST", "/api/admin/images/delete", { keys: ["a.jpg"] }],
+    [
+      "POST",
+      "/api/admin/images/move",
+      { moves: [{ from: "a.jpg", to: "c.jpg" }] },
+    ],
+    ["POST", "/api/admin/images/visibility", { keys: ["a.jpg"], hidden: true }],
+    [
+      "POST",
+      "/api/admin/albums/cover",
+      { prefix: "trips/", key: "trips/c.jpg" },
+    ],
+  ];
+  const ADMIN_ROUTES = [["GET", "/api/admin/mutations"], ...ORIGIN_ROUTES];
+
+  let root;
+  let app;
+  let cookie;
+
+  const send = (method, pathname, body, headers = {}) =>
+    app.requestJson(pathname, {
+      method,
+      headers: { ...(cookie && { Cookie: cookie }), ...headers },
+      body: body && JSON.stringify(body),
+    });
+
+  const CROSS_ORIGIN = { Origin: "https://elsewhere.example" };
+
+  before(async () => {
+    root = await fsp.mkdtemp(path.join(os.tmpdir(), "pixel-lens-admin-api-"));
+    await writeFiles(root, FILES);
+    app = await startApi({
+      storage: createGalleryStorage({
+        provider: createLocalProvider({ root }),
+      }),
+      adminPassword: PASSWORD,
+    });
+  });
+
+  after(async () => {
+    await app.close();
+    await fsp.rm(root, { recursive: true, force: true });
+  });
+
+  it("answers every owner route with 401 before signing in", async () => {
+    cookie = null;
+    for (const [method, pathname, body] of ADMIN_ROUTES) {
+      const { status } = await send(method, pathname, body);
+      assert.equal(status, 401, `${method} ${pathname}`);
+    }
+    const session = await send("GET", "/api/admin/session");
+    assert.deepEqual(session.body, { enabled: true, admin: false });
+  });
+
+  it("refuses a wrong password and cross-origin sign-ins", async () => {
+    cookie = null;
+    const wrong = await send("POST", "/api/admin/login", { password: "nope" });
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.headers.get("set-cookie"), null);
+
+    const crossOrigin = await send(
+      "POST",
+      "/api/admin/login",
+      { password: PASSWORD },
+      CROSS_ORIGIN
+    );
+    assert.equal(crossOrigin.status, 403);
+    assert.equal(crossOrigin.headers.get("set-cookie"), null);
+  });
+
+  it("signs in with an HttpOnly, same-site session cookie", async () => {
+    const { status, headers } = await send("POST", "/api/admin/login", {
+      password: PASSWORD,
+    });
+    assert.equal(status, 200);
+    const setCookie = headers.get("set-cookie");
+    assert.match(setCookie, /HttpOnly/);
+    assert.match(setCookie, /SameSite=Strict/);
+    cookie = setCookie.split(";")[0];
+
+    const session = await send("GET", "/api/admin/session");
+    assert.deepEqual(session.body, { enabled: true, admin: true });
+    assert.equal(session.headers.get("x-pixel-lens-admin"), "1");
+  });
+
+  it("ignores a tampered session cookie", async () => {
+    const [name, value] = cookie.split("=");
+    const [expiresAt, signature] = value.split(".");
+    const tampered = `${name}=${Number(expiresAt) + 1000}.${signature}`;
+    const { status } = await app.requestJson("/api/admin/mutations", {
+      headers: { Cookie: tampered },
+    });
+    assert.equal(status, 401);
+  });
+
+  it("answers owner changes from another origin with 403", async () => {
+    for (const [method, pathname, body] of ORIGIN_ROUTES) {
+      const { status } = await send(method, pathname, body, CROSS_ORIGIN);
+      assert.equal(status, 403, `${method} ${pathname}`);
+    }
+    const logout = await send("POST", "/api/admin/logout", {}, CROSS_ORIGIN);
+    assert.equal(logout.status, 403);
+    assert.equal(
+      (await app.requestJson("/api/images?delimiter=/")).body.images.length,
+      2
+    );
+  });
+
+  it("refuses to move a photo onto an existing key with 409", async () => {
+    const { status } = await send("POST", "/api/admin/images/move", {
+      moves: [{ from: "a.jpg", to: "b.jpg" }],
+    });
+    assert.equal(status, 409);
+    assert.equal(await fsp.readFile(path.join(root, "b.jpg"), "utf8"), "b");
+  });
+
+  it("deletes a photo and undoes the deletion", async () => {
+    const deleted = await send("POST", "/api/admin/images/delete", {
+      keys: ["a.jpg"],
+    });
+    assert.equal(deleted.status, 200);
+    assert.equal(
+      (await app.requestJson("/api/images/a.jpg/metadata")).status,
+      404
+    );
+
+    const { mutation } = deleted.body;
+    const undone = await send(
+      "POST",
+      `/api/admin/mutations/${mutation.id}/undo`,
+      {}
+    );
+    assert.equal(undone.status, 200);
+    assert.equal(await fsp.readFile(path.join(root, "a.jpg"), "utf8"), "a");
+  });
+
+  it("signs out", async () => {
+    const { status, headers } = await send("POST", "/api/admin/logout", {});
+    assert.equal(status, 200);
+    assert.match(headers.get("set-cookie"), /Max-Age=0/);
+  });
+});
+
+describe("uploads", () => {
+  let root;
+
+  before(async () => {
+    root = await fsp.mkdtemp(path.join(os.tmpdir(), "pixel-lens-uploads-"));
+    await writeFiles(root, FILES);
+  });
+
+  after(() => fsp.rm(root, { recursive: true, force: true }));
+
+  it("stay off without an owner password", async () => {
+    const app = await startApi({
+      storage: createGalleryStorage({
+        provider: createLocalProvider({ root }),
+      }),
+      allowUploads: true,
+    });
+    try {
+      const { body } = await app.requestJson("/api/capabilities");
+      assert.equal(body.uploads, false);
+      const { status } = await app.requestJson("/api/uploads", {
+        method: "POST",
+        body: JSON.stringify({ key: "x.jpg", contentType: "image/jpeg" }),
+      });
+      assert.equal(status, 401);
+    } finally {
+      await app.close();
+    }
+  });
+
+  it("refuse a taken key at every multipart step", async () => {
+    const calls = [];
+    const record =
+      (name) =>
+      async (...args) => {
+        calls.push(name);
+        return args;
+      };
+    const app = await startApi({
+      storage: createGalleryStorage({
+        provider: {
+          ...createLocalProvider({ root }),
+          createMultipartUpload: record("create"),
+          listUploadedParts: record("list"),
+          getUploadPartUrl: record("part"),
+          completeMultipartUpload: record("complete"),
+          abortMultipartUpload: record("abort"),
+        },
+      }),
+      allowUploads: true,
+      adminPassword: PASSWORD,
+    });
+    try {
+      const cookie = await signIn(app);
+      const post = (pathname, body) =>
+        app.requestJson(pathname, {
+          method: "POST",
+          headers: { Cookie: cookie },
+          body: JSON.stringify(body),
+        });
+      const upload = { key: "a.jpg", uploadId: "upload-1" };
+
+      const responses = [
+        await post("/api/uploads/multipart", {
+          ...upload,
+          contentType: "image/jpeg",
+        }),
+        await app.requestJson(
+          "/api/uploads/multipart/parts?key=a.jpg&uploadId=upload-1",
+          { headers: { Cookie: cookie } }
+        ),
+        await post("/api/uploads/multipart/parts", {
+          ...upload,
+          partNumber: 1,
+        }),
+        await post("/api/uploads/multipart/complete", {
+          ...upload,
+          parts: [{ partNumber: 1, etag: "x" }],
+        }),
+        await post("/api/uploads/multipart/abort", upload),
+      ];
+      assert.deepEqual(
+        responses.map(({ status }) => status),
+        [409, 409, 409, 409, 409]
+      );
+      assert.deepEqual(calls, []);
+
+      const fresh = await post("/api/uploads/multipart/complete", {
+        key: "fresh.jpg",
+        uploadId: "upload-2",
+        parts: [{ partNumber: 1, etag: "x" }],
+      });
+      assert.equal(fresh.status, 200);
+      assert.deepEqual(calls, ["complete"]);
+    } finally {
+      await app.close();
+    }
+  });
+});
+
+describe("favorites sync", () => {
+  const TOKEN = "a-sync-code-of-some-length";
+  let root;
+  let app;
+
+  const save = (token, favorites) =>
+    app.requestJson(`/api/favorites/${token}`, {
+      method: "PUT",
+      body: JSON.stringify({ favorites, updatedAt: 1 }),
+    });
+
+  before(async () => {
+    root = await fsp.mkdtemp(path.join(os.tmpdir(), "pixel-lens-sync-"));
+    await writeFiles(root, FILES);
+    app = await startApi({
+      storage: createGalleryStorage({
+        provider: createLocalProvider({ root }),
+      }),
+      favoritesSync: true,
+    });
+  });
+
+  after(async () => {
+    await app.close();
+    await fsp.rm(root, { recursive: true, force: true });
+  });
+
+  it("stores only keys of photos that exist", async () => {
+    const { status, body } = await save(TOKEN, [
+      "a.jpg",
+      "gone.jpg",
+      "notes.html",
+      "trips/c.jpg",
+    ]);
+    assert.equal(status, 200);
+    assert.deepEqual(body.favorites, ["a.jpg", "trips/c.jpg"]);
+
+    const stored = await app.requestJson(`/api/favorites/${TOKEN}`);
+    assert.deepEqual(stored.body, {
+      favorites: ["a.jpg", "trips/c.jpg"],
+      updatedAt: 1,
+    });
+  });
+
+  it("refuses new lists once the storage holds the maximum", async () => {
+    const favoritesDir = path.join(root, ".pixel-lens/favorites");
+    for (let i = 0; i < 999; i++) {
+      await fsp.writeFile(path.join(favoritesDir, `filler-${i}.json`), "{}");
+    }
+    assert.equal((await save("another-sync-code-here", [])).status, 507);
+    assert.equal((await save(TOKEN, ["a.jpg"])).status, 200);
+  });
+
+  it("limits how often one client saves", async () => {
+    const statuses = [];
+    for (let i = 0; i < 30; i++) {
+      statuses.push((await save(TOKEN, ["a.jpg"])).status);
+    }
+    assert.ok(statuses.includes(429));
+    assert.equal(statuses.at(-1), 429);
+  });
+});
@@ -1,9 +1,10 @@
-import { defineConfig } from 'vite';
+import { defineConfig, loadEnv } from 'vite';
 import react from '@vitejs/plugin-react';
 import { imagetools } from 'vite-imagetools';
+import { signingApiPlugin } from './server/vitePlugin.js';
 
 // https://vite.dev/config/
-export default defineConfig({
+export default defineConfig(({ mode }) => ({
   plugins: [
     react(),
     imagetools({
@@ -14,16 +15,16 @@ export default defineConfig({
         });
       },
     }),
+    signingApiPlugin(loadEnv(mode, process.cwd(), '')),
   ],
   build: {
     rollupOptions: {
       output: {
         manualChunks: {
           'react-vendor': ['react', 'react-dom'],
-          'aws-vendor': ['@aws-sdk/client-s3', '@aws-sdk/s3-request-presigner'],
         },
       },
     },
     chunkSizeWarningLimit: 1000,
   },
-})
+}))